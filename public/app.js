@@ -12,6 +12,12 @@ const dom = {
   gaugeText: document.getElementById("gaugeText"),
   clearBtn: document.getElementById("clear"),
   downloadZipBtn: document.getElementById("downloadZip"),
+  downloadImageBtn: document.getElementById("downloadImage"),
+  downloadMixBtn: document.getElementById("downloadMix"),
+  downloadWavBtn: document.getElementById("downloadWav"),
+  findDuplicatesBtn: document.getElementById("findDuplicates"),
+  splitDiscsBtn: document.getElementById("splitDiscs"),
+  splitModeSelect: document.getElementById("splitMode"),
   overlayRoot: document.getElementById("overlay"),
   overlayTitle: document.getElementById("overlayTitle"),
   overlaySubtitle: document.getElementById("overlaySubtitle"),
@@ -23,13 +29,100 @@ const dom = {
   disclaimerLink: document.getElementById("disclaimerLink"),
   disclaimerOverlay: document.getElementById("disclaimerOverlay"),
   disclaimerClose: document.getElementById("disclaimerClose"),
+  chapterOverlay: document.getElementById("chapterOverlay"),
+  chapterSubtitle: document.getElementById("chapterSubtitle"),
+  chapterList: document.getElementById("chapterList"),
+  chapterSplit: document.getElementById("chapterSplit"),
+  chapterWhole: document.getElementById("chapterWhole"),
+  chapterCancel: document.getElementById("chapterCancel"),
+  playlistOverlay: document.getElementById("playlistOverlay"),
+  playlistTitle: document.getElementById("playlistTitle"),
+  playlistSubtitle: document.getElementById("playlistSubtitle"),
+  playlistList: document.getElementById("playlistList"),
+  playlistWarning: document.getElementById("playlistWarning"),
+  playlistAdd: document.getElementById("playlistAdd"),
+  playlistSingle: document.getElementById("playlistSingle"),
+  playlistCancel: document.getElementById("playlistCancel"),
+  searchForm: document.getElementById("searchForm"),
+  searchQuery: document.getElementById("searchQuery"),
+  searchBtn: document.getElementById("searchBtn"),
+  searchNote: document.getElementById("searchNote"),
+  searchResults: document.getElementById("searchResults"),
+  bulkToggle: document.getElementById("bulkToggle"),
+  panelTop: document.getElementById("panelTop"),
+  uploadPick: document.getElementById("uploadPick"),
+  uploadFiles: document.getElementById("uploadFiles"),
+  tracklistPick: document.getElementById("tracklistPick"),
+  tracklistFile: document.getElementById("tracklistFile"),
+  tracklistOverlay: document.getElementById("tracklistOverlay"),
+  tracklistTitle: document.getElementById("tracklistTitle"),
+  tracklistSubtitle: document.getElementById("tracklistSubtitle"),
+  tracklistRows: document.getElementById("tracklistRows"),
+  tracklistWarning: document.getElementById("tracklistWarning"),
+  tracklistAdd: document.getElementById("tracklistAdd"),
+  tracklistCancel: document.getElementById("tracklistCancel"),
+  bulkPanel: document.getElementById("bulkPanel"),
+  bulkUrls: document.getElementById("bulkUrls"),
+  bulkNote: document.getElementById("bulkNote"),
+  bulkAdd: document.getElementById("bulkAdd"),
   themeToggle: document.getElementById("themeToggle"),
+  projectSelect: document.getElementById("projectSelect"),
+  projectNew: document.getElementById("projectNew"),
+  projectRename: document.getElementById("projectRename"),
+  projectDuplicate: document.getElementById("projectDuplicate"),
+  projectDelete: document.getElementById("projectDelete"),
+  projectBar: document.getElementById("projectBar"),
+  projectShare: document.getElementById("projectShare"),
+  sharePanel: document.getElementById("sharePanel"),
+  shareMode: document.getElementById("shareMode"),
+  shareCreate: document.getElementById("shareCreate"),
+  shareList: document.getElementById("shareList"),
+  shareBanner: document.getElementById("shareBanner"),
+  shareBannerText: document.getElementById("shareBannerText"),
+  shareClone: document.getElementById("shareClone"),
+  albumMeta: document.getElementById("albumMeta"),
+  albumSummary: document.getElementById("albumSummary"),
+  albumInputs: Array.from(document.querySelectorAll("[data-album-field]")),
+  pregapSelect: document.getElementById("pregapSelect"),
+  overflowSelect: document.getElementById("overflowSelect"),
+  profileSelect: document.getElementById("profileSelect"),
+  loudnessMode: document.getElementById("loudnessMode"),
+  loudnessTarget: document.getElementById("loudnessTarget"),
+  loudnessPeak: document.getElementById("loudnessPeak"),
+  silenceEnabled: document.getElementById("silenceEnabled"),
+  silenceThreshold: document.getElementById("silenceThreshold"),
+  silenceMinSeconds: document.getElementById("silenceMinSeconds"),
+  transitionType: document.getElementById("transitionType"),
+  crossfadeSeconds: document.getElementById("crossfadeSeconds"),
+  crossfadeCurve: document.getElementById("crossfadeCurve"),
+  titleNoise: document.getElementById("titleNoise"),
 };
 
+const sharedToken = new URLSearchParams(window.location.search).get("share");
+
 const state = {
-  server: { capSeconds: 80 * 60, totalSeconds: 0, items: [] },
+  server: {
+    capSeconds: 80 * 60,
+    totalSeconds: 0,
+    usedSeconds: 0,
+    remainingSeconds: 80 * 60,
+    pregapSeconds: 2,
+    capacityMode: "time",
+    album: {},
+    loudness: null,
+    transition: null,
+    items: [],
+  },
   optimisticAdds: [],
   nextOrderHint: 1,
+  settings: {},
+  trimEdit: null,
+  metaEdit: null,
+  duplicates: new Map(), // itemId -> { reason, ofId, ofTitle } from the last scan
+  projects: [],
+  projectId: null, // sent with every request so other tabs switching can't redirect edits
+  // Set when the page was opened through someone's share link (?share=token)
+  share: sharedToken ? { token: sharedToken, mode: null, name: "", invalid: false } : null,
 };
 
 let sessionHint = null;
@@ -37,10 +130,50 @@ let refreshRequestId = 0;
 let activeConversionOverlayToken = 0;
 
 const THEME_STORAGE_KEY = "cd-maker-theme";
+const CD_FRAMES_PER_SECOND = 75;
+const CD_FIRST_PREGAP_SECONDS = 2;
+const BULK_MAX_LINKS = 50;
+const TRACKLIST_CONFIDENT = 0.6; // rows below this start unticked
+const UPLOAD_EXTENSIONS = [".mp3", ".flac", ".wav", ".m4a", ".ogg"];
+const SERVER_TIME_FIELDS = [
+  "capSeconds",
+  "totalSeconds",
+  "usedSeconds",
+  "remainingSeconds",
+  "pregapSeconds",
+  "overlapSeconds",
+  "disc",
+  "discCount",
+  "usedBytes",
+  "capBytes",
+  "remainingBytes",
+];
+// Matches the server's pre-download estimate for V0 MP3s on data discs
+const MP3_ESTIMATE_KBPS = 245;
+// Per-track crossfade lengths offered in the row's transition select
+const TRANSITION_CROSSFADE_SECONDS = [2, 4, 6, 8];
+const SPLIT_MODE_LABELS = {
+  order: "keeping playlist order",
+  pack: "using as few discs as possible",
+};
 
 const optimisticLoadingIndicators = new Map();
-const progressWatchers = new Map();
+const progressWatchers = new Map(); // polling fallback when the event stream is unavailable
+const jobEvents = new Map(); // token -> last "job" event, for adds whose row isn't shown yet
+const JOB_EVENTS_MAX = 200;
+const EVENT_RETRY_MIN_MS = 2000;
+const EVENT_RETRY_MAX_MS = 30000;
+let eventSource = null;
+let eventsLive = false;
+let eventRetryTimer = null;
+let eventRetryDelay = EVENT_RETRY_MIN_MS;
 let lastDisclaimerTrigger = null;
+let pendingChapterAdd = null;
+let pendingPlaylistAdd = null;
+let searchResults = [];
+let pendingTracklist = null;
+const TRACKLIST_POLL_MS = 1500;
+const TRACKLIST_POLL_LIVE_MS = 10000; // the stream says when it's done; this is a backstop
 
 const probeCache = new Map(); // key -> { fast, smart, pendingFast, pendingSmart, ts }
 const probeSubscribers = new Map(); // key -> Set<fn({ data, fast, smart })>
@@ -461,6 +594,26 @@ class OverlayController {
   }
 }
 
+function createRowBadge(text, modifier = "") {
+  const badge = document.createElement("span");
+  badge.className = modifier ? `rowBadge ${modifier}` : "rowBadge";
+  badge.textContent = text;
+  return badge;
+}
+
+function createLoudnessBadge(item) {
+  const { integrated, truePeak, lra } = item.loudness;
+  const hasGain = typeof item.gainDb === "number";
+  const badge = createRowBadge(
+    hasGain ? `${integrated.toFixed(1)} LUFS · ${fmtDb(item.gainDb)}` : `${integrated.toFixed(1)} LUFS`
+  );
+  const parts = [`Measured ${integrated.toFixed(1)} LUFS`];
+  if (Number.isFinite(truePeak)) parts.push(`true peak ${truePeak.toFixed(1)} dBTP`);
+  if (Number.isFinite(lra)) parts.push(`range ${lra.toFixed(1)} LU`);
+  badge.title = `${parts.join(", ")}.${hasGain ? ` Exports apply ${fmtDb(item.gainDb)}.` : ""}`;
+  return badge;
+}
+
 class PlaylistRenderer {
   constructor({ body, gaugeFill, gaugeText }) {
     this.body = body;
@@ -468,7 +621,7 @@ class PlaylistRenderer {
     this.gaugeText = gaugeText;
   }
 
-  render(server, optimistic) {
+  render(server, optimistic, { trimEdit = null, metaEdit = null, duplicates = null } = {}) {
     if (!this.body) return;
 
     const frag = document.createDocumentFragment();
@@ -496,7 +649,13 @@ class PlaylistRenderer {
       });
     });
 
+    const discCount = Math.max(1, Number(server.discCount) || 1);
+    combined.forEach((entry) => {
+      entry.disc = Number(entry.item?.disc) || discCount;
+    });
+
     combined.sort((a, b) => {
+      if (a.disc !== b.disc) return a.disc - b.disc;
       const ao = Number.isFinite(a.order) ? a.order : Infinity;
       const bo = Number.isFinite(b.order) ? b.order : Infinity;
       if (ao !== bo) return ao - bo;
@@ -504,19 +663,187 @@ class PlaylistRenderer {
       return a.tie - b.tie;
     });
 
+    const discSummaries = Array.isArray(server.discs) ? server.discs : [];
+    let currentDisc = null;
+    let trackNumber = 0;
     combined.forEach((entry, idx) => {
+      if (entry.disc !== currentDisc) {
+        currentDisc = entry.disc;
+        trackNumber = 0;
+        if (discCount > 1) {
+          const summary = discSummaries.find((d) => d?.disc === currentDisc) || null;
+          frag.appendChild(this.createDiscHeaderRow(currentDisc, summary));
+        }
+      }
+      trackNumber += 1;
       if (entry.kind === "server") {
-        frag.appendChild(this.createServerRow(entry.item, idx + 1));
+        const next = combined[idx + 1];
+        frag.appendChild(
+          this.createServerRow(entry.item, trackNumber, discCount, {
+            transition: server.transition,
+            hasNext: next?.kind === "server" && next.disc === entry.disc,
+            metaEdit: metaEdit?.id === entry.item?.id ? metaEdit : null,
+            duplicate: liveDuplicate(duplicates?.get(entry.item?.id), serverItems),
+          })
+        );
+        if (trimEdit && entry.item?.id === trimEdit.id) {
+          frag.appendChild(this.createTrimEditorRow(entry.item, trimEdit));
+        }
       } else {
-        frag.appendChild(this.createOptimisticRow(entry.item, idx + 1));
+        frag.appendChild(this.createOptimisticRow(entry.item, trackNumber));
       }
     });
 
+    // Re-rendering replaces the edit inputs; keep the caret where the user is typing
+    const active = this.body.contains(document.activeElement) ? document.activeElement : null;
+    let focusedSelector = null;
+    if (active?.dataset?.trimField) focusedSelector = `input[data-trim-field="${active.dataset.trimField}"]`;
+    if (active?.dataset?.metaField) focusedSelector = `input[data-meta-field="${active.dataset.metaField}"]`;
     this.body.replaceChildren(frag);
+    if (focusedSelector) {
+      const input = this.body.querySelector(focusedSelector);
+      input?.focus();
+      input?.setSelectionRange(input.value.length, input.value.length);
+    }
     this.renderGauge(server, optimisticItems);
   }
 
-  createServerRow(item, index) {
+  createDiscHeaderRow(disc, summary) {
+    const tr = document.createElement("tr");
+    tr.className = "discHeader";
+    tr.dataset.disc = String(disc);
+    const td = document.createElement("td");
+    td.colSpan = 4;
+
+    const inner = document.createElement("div");
+    inner.className = "discHeader__inner";
+
+    const label = document.createElement("strong");
+    label.textContent = `Disc ${disc}`;
+
+    const byBytes = summary?.capacityMode === "bytes";
+    const cap = byBytes ? summary?.capBytes || 1 : summary?.capSeconds || 80 * 60;
+    const used = byBytes ? summary?.usedBytes || 0 : summary?.usedSeconds || 0;
+    const bar = document.createElement("span");
+    bar.className = "discGauge";
+    const fill = document.createElement("span");
+    fill.style.width = `${Math.min(100, Math.round((used / cap) * 100))}%`;
+    if (used > cap) bar.classList.add("discGauge--over");
+    bar.appendChild(fill);
+
+    const time = document.createElement("span");
+    time.className = "discHeader__time subtle";
+    time.textContent = byBytes
+      ? `${fmtMegabytes(used)} / ${fmtMegabytes(cap)}`
+      : `${fmtTime(Math.ceil(used))} / ${fmtTime(cap)}`;
+
+    const zipBtn = document.createElement("button");
+    zipBtn.className = "action";
+    zipBtn.dataset.discZip = String(disc);
+    zipBtn.textContent = "ZIP";
+
+    const imageBtn = document.createElement("button");
+    imageBtn.className = "action";
+    imageBtn.dataset.discImage = String(disc);
+    imageBtn.textContent = "Disc image";
+
+    imageBtn.hidden = byBytes;
+
+    const mixBtn = document.createElement("button");
+    mixBtn.className = "action";
+    mixBtn.dataset.discMix = String(disc);
+    mixBtn.textContent = "Mix";
+
+    const wavBtn = document.createElement("button");
+    wavBtn.className = "action";
+    wavBtn.dataset.discWav = String(disc);
+    wavBtn.textContent = "WAVs";
+
+    inner.append(label, bar, time, zipBtn, imageBtn, mixBtn, wavBtn);
+    td.appendChild(inner);
+    tr.appendChild(td);
+    return tr;
+  }
+
+  createDiscSelect(item, discCount) {
+    const select = document.createElement("select");
+    select.className = "discSelect";
+    select.dataset.moveDisc = item.id;
+    select.setAttribute("aria-label", "Move to disc");
+    const current = Number(item?.disc) || 1;
+    for (let disc = 1; disc <= discCount + 1; disc++) {
+      const opt = document.createElement("option");
+      opt.value = String(disc);
+      opt.textContent = disc > discCount ? `Disc ${disc} (new)` : `Disc ${disc}`;
+      if (disc === current) opt.selected = true;
+      select.appendChild(opt);
+    }
+    return select;
+  }
+
+  // How a track leads into the next one; "default" follows the playlist setting.
+  createTransitionSelect(item, fallback) {
+    const select = document.createElement("select");
+    select.className = "discSelect";
+    select.dataset.transition = item.id;
+    select.setAttribute("aria-label", "Transition into the next track");
+    const options = [
+      ["default", `Default: ${fmtTransition(fallback)}`],
+      ["cut", "Cut"],
+      ["gapless", "Gapless"],
+      ...TRANSITION_CROSSFADE_SECONDS.map((seconds) => [`crossfade:${seconds}`, `Crossfade ${seconds}s`]),
+    ];
+    const current = transitionOptionValue(item.transition);
+    if (!options.some(([value]) => value === current)) {
+      options.push([current, fmtTransition(item.transition)]);
+    }
+    options.forEach(([value, label]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+    select.value = current;
+    return select;
+  }
+
+  createMetaEditor(item, draft) {
+    const wrap = document.createElement("div");
+    wrap.className = "metaEditor";
+    [
+      ["title", "Title"],
+      ["artist", "Artist"],
+      ["album", "Album"],
+      ["comment", "Comment"],
+    ].forEach(([name, label]) => {
+      const input = document.createElement("input");
+      input.className = "input";
+      input.dataset.metaField = name;
+      input.placeholder = label;
+      input.setAttribute("aria-label", label);
+      input.value = draft[name] ?? "";
+      input.disabled = Boolean(draft.saving);
+      wrap.appendChild(input);
+    });
+    const save = document.createElement("button");
+    save.className = "action";
+    save.dataset.metaSave = item.id;
+    save.textContent = draft.saving ? "Saving…" : "Save";
+    save.disabled = Boolean(draft.saving);
+    const cancel = document.createElement("button");
+    cancel.className = "action";
+    cancel.dataset.metaCancel = item.id;
+    cancel.textContent = "Cancel";
+    wrap.append(save, cancel);
+    return wrap;
+  }
+
+  createServerRow(
+    item,
+    index,
+    discCount = 1,
+    { transition = null, hasNext = false, metaEdit = null, duplicate = null } = {}
+  ) {
     const tr = document.createElement("tr");
     if (item?.id) {
       tr.dataset.itemId = item.id;
@@ -532,7 +859,65 @@ class PlaylistRenderer {
 
     const titleTd = document.createElement("td");
     titleTd.className = "colTitle";
-    titleTd.textContent = item?.title || "Untitled";
+    if (metaEdit) {
+      titleTd.appendChild(this.createMetaEditor(item, metaEdit));
+    } else if (item?.id) {
+      const titleBtn = document.createElement("button");
+      titleBtn.className = "titleButton";
+      titleBtn.dataset.editMeta = item.id;
+      titleBtn.title =
+        item.rawTitle && item.rawTitle !== item.title
+          ? `${item.videoId ? "YouTube title" : "File"}: ${item.rawTitle}\nClick to edit title, artist, album and comment`
+          : "Edit title, artist, album and comment";
+      titleBtn.textContent = item.title || "Untitled";
+      titleTd.appendChild(titleBtn);
+      const details = [item.artist, item.album].filter(Boolean).join(" · ");
+      if (details) {
+        const sub = document.createElement("span");
+        sub.className = "titleDetails subtle";
+        sub.textContent = details;
+        titleTd.appendChild(sub);
+      }
+    } else {
+      titleTd.textContent = item?.title || "Untitled";
+    }
+    if (item?.overflow) {
+      tr.classList.add("isOverflow");
+      titleTd.appendChild(createRowBadge("Over capacity", "rowBadge--warn"));
+    }
+    if (duplicate) {
+      const badge = createRowBadge("Duplicate", "rowBadge--warn");
+      badge.title =
+        duplicate.reason === "same-video"
+          ? `Same video as "${duplicate.ofTitle}"`
+          : `Looks like "${duplicate.ofTitle}"`;
+      titleTd.appendChild(badge);
+    }
+    if (Number.isFinite(item?.loudness?.integrated)) {
+      titleTd.appendChild(createLoudnessBadge(item));
+    }
+    if (item?.silence?.reclaimed > 0) {
+      const { lead = 0, trail = 0, reclaimed } = item.silence;
+      const badge = createRowBadge(`−${reclaimed.toFixed(1)}s silence`);
+      badge.title = `Removed ${lead.toFixed(1)}s of leading and ${trail.toFixed(1)}s of trailing silence. Use Trim to keep it.`;
+      titleTd.appendChild(badge);
+    }
+    if (isItemTrimmed(item)) {
+      const source = item.sourceDuration || item.duration || 0;
+      const badge = createRowBadge("Trimmed");
+      badge.title = `Plays ${fmtTime(item.trimStart)}–${fmtTime(item.trimEnd ?? source)} of ${fmtTime(source)}`;
+      titleTd.appendChild(badge);
+    }
+    if (item?.fadeIn > 0 || item?.fadeOut > 0) {
+      const badge = createRowBadge("Fades");
+      badge.title = `Fade in ${item.fadeIn || 0}s, fade out ${item.fadeOut || 0}s on export`;
+      titleTd.appendChild(badge);
+    }
+    if (item?.volumeDb) {
+      const badge = createRowBadge(fmtDb(item.volumeDb));
+      badge.title = "Volume change applied on export, on top of loudness normalization";
+      titleTd.appendChild(badge);
+    }
     tr.appendChild(titleTd);
 
     const durTd = document.createElement("td");
@@ -542,6 +927,15 @@ class PlaylistRenderer {
 
     const actTd = document.createElement("td");
     actTd.className = "colAct";
+    if (item?.id) {
+      actTd.appendChild(this.createDiscSelect(item, discCount));
+      if (hasNext) actTd.appendChild(this.createTransitionSelect(item, transition));
+      const trimBtn = document.createElement("button");
+      trimBtn.className = "action";
+      trimBtn.dataset.trim = item.id;
+      trimBtn.textContent = "Edit";
+      actTd.appendChild(trimBtn);
+    }
     const removeBtn = document.createElement("button");
     removeBtn.className = "action danger";
     removeBtn.dataset.remove = item.id;
@@ -552,6 +946,89 @@ class PlaylistRenderer {
     return tr;
   }
 
+  createTrimEditorRow(item, draft) {
+    const tr = document.createElement("tr");
+    tr.className = "trimEditor";
+    tr.dataset.trimFor = item.id;
+    const td = document.createElement("td");
+    td.colSpan = 4;
+
+    const inner = document.createElement("div");
+    inner.className = "trimEditor__inner";
+
+    const field = (name, labelText, placeholder) => {
+      const label = document.createElement("label");
+      label.className = "trimEditor__field";
+      const span = document.createElement("span");
+      span.textContent = labelText;
+      const input = document.createElement("input");
+      input.className = "input";
+      input.dataset.trimField = name;
+      input.placeholder = placeholder;
+      input.value = draft[name] ?? "";
+      label.append(span, input);
+      return label;
+    };
+
+    const source = item.sourceDuration || item.duration || 0;
+    const hint = document.createElement("span");
+    hint.className = "subtle";
+    hint.textContent = `of ${fmtTime(source)}`;
+
+    const save = document.createElement("button");
+    save.className = "action";
+    save.dataset.trimSave = item.id;
+    save.textContent = draft.saving ? "Saving…" : "Save";
+    save.disabled = Boolean(draft.saving);
+
+    const reset = document.createElement("button");
+    reset.className = "action";
+    reset.dataset.trimReset = item.id;
+    reset.textContent = "Full length";
+    reset.disabled = Boolean(draft.saving) || !isItemTrimmed(item);
+
+    const close = document.createElement("button");
+    close.className = "action";
+    close.dataset.trimClose = item.id;
+    close.textContent = "Close";
+
+    const silenceLabel = document.createElement("label");
+    silenceLabel.className = "trimEditor__field";
+    const silenceText = document.createElement("span");
+    silenceText.textContent = "Silence";
+    const silenceSelect = document.createElement("select");
+    silenceSelect.className = "discSelect";
+    silenceSelect.dataset.trimField = "silenceTrim";
+    [
+      ["default", "Session setting"],
+      ["on", "Trim"],
+      ["off", "Keep"],
+    ].forEach(([value, label]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      silenceSelect.appendChild(opt);
+    });
+    silenceSelect.value = draft.silenceTrim || "default";
+    silenceLabel.append(silenceText, silenceSelect);
+
+    inner.append(
+      field("start", "Start", "0:00"),
+      field("end", "End", fmtTime(source)),
+      hint,
+      silenceLabel,
+      field("fadeIn", "Fade in (s)", "0"),
+      field("fadeOut", "Fade out (s)", "0"),
+      field("volumeDb", "Volume (dB)", "0"),
+      save,
+      reset,
+      close
+    );
+    td.appendChild(inner);
+    tr.appendChild(td);
+    return tr;
+  }
+
   createOptimisticRow(item, index) {
     const tr = document.createElement("tr");
     if (item?.token) {
@@ -597,8 +1074,16 @@ class PlaylistRenderer {
     const cancelBtn = document.createElement("button");
     cancelBtn.className = "action danger";
     cancelBtn.dataset.cancel = item.token;
-    cancelBtn.textContent = "Cancel";
-    actTd.append(status, cancelBtn);
+    cancelBtn.textContent = item?.duplicate ? "Skip" : item?.status === "error" ? "Dismiss" : "Cancel";
+    actTd.append(status);
+    if (item?.duplicate) {
+      const anyway = document.createElement("button");
+      anyway.className = "action";
+      anyway.dataset.addAnyway = item.token;
+      anyway.textContent = "Add anyway";
+      actTd.append(anyway);
+    }
+    actTd.append(cancelBtn);
     tr.appendChild(actTd);
 
     return tr;
@@ -606,15 +1091,58 @@ class PlaylistRenderer {
 
   renderGauge(server, optimistic) {
     if (!this.gaugeFill || !this.gaugeText) return;
+    const disc = typeof server.disc === "number" ? server.disc : 1;
+    const serverItems = Array.isArray(server.items) ? server.items : [];
+    const serverCount = serverItems.filter((item) => (item?.disc ?? 1) === disc).length;
+    const pregap = typeof server.pregapSeconds === "number" ? server.pregapSeconds : 2;
+    const pending = optimistic.filter(
+      (o) => isOptimisticActive(o) && (o.disc === undefined || o.disc === disc)
+    );
+    const discLabel = (server.discCount || 1) > 1 ? `Disc ${disc} · ` : "";
+
+    if (server.capacityMode === "bytes") {
+      const capBytes = server.capBytes || 1;
+      const usedBytes =
+        (server.usedBytes || 0) + pending.reduce((acc, o) => acc + estimateMp3Bytes(o.duration), 0);
+      this.setGauge(usedBytes, capBytes);
+      this.gaugeText.textContent = `${discLabel}${fmtMegabytes(usedBytes)} / ${fmtMegabytes(capBytes)}`;
+      this.gaugeText.title =
+        usedBytes <= capBytes
+          ? `${fmtMegabytes(capBytes - usedBytes)} free on the data disc`
+          : `${fmtMegabytes(usedBytes - capBytes)} over capacity`;
+      return;
+    }
+
     const cap = server.capSeconds || 80 * 60;
-    const optimisticSeconds = optimistic.reduce((acc, o) => acc + (o.duration || 0), 0);
-    const used = (server.totalSeconds || 0) + optimisticSeconds;
-    const pct = Math.min(100, Math.round((used / cap) * 100));
+    // Server time already includes pregaps, overlaps and frame rounding; mirror
+    // that for pending rows, joined with the playlist's default transition
+    const lastOnDisc = serverItems.filter((item) => (item?.disc ?? 1) === disc).at(-1);
+    let previousDuration = lastOnDisc?.duration || 0;
+    const optimisticSeconds = pending.reduce((acc, o, idx) => {
+      const gap =
+        serverCount + idx === 0
+          ? CD_FIRST_PREGAP_SECONDS
+          : transitionJoinSeconds(server.transition, pregap, previousDuration, o.duration);
+      previousDuration = o.duration || 0;
+      return acc + discSeconds(o.duration) + gap;
+    }, 0);
+    const serverUsed =
+      typeof server.usedSeconds === "number" ? server.usedSeconds : server.totalSeconds || 0;
+    const used = serverUsed + optimisticSeconds;
+    const remaining = cap - used;
+
+    this.setGauge(used, cap);
+    this.gaugeText.textContent = `${discLabel}${fmtTime(Math.ceil(used))} / ${fmtTime(cap)}`;
+    this.gaugeText.title =
+      remaining >= 0
+        ? `${fmtTime(Math.floor(remaining))} left, ${describeJoins(server)}`
+        : `${fmtTime(Math.ceil(-remaining))} over capacity`;
+  }
 
-    this.gaugeFill.style.width = pct + "%";
+  setGauge(used, cap) {
+    this.gaugeFill.style.width = Math.min(100, Math.round((used / cap) * 100)) + "%";
     this.gaugeFill.style.opacity = used > cap ? "0.6" : "1";
     this.gaugeFill.style.filter = used > cap ? "grayscale(1)" : "none";
-    this.gaugeText.textContent = `${fmtTime(used)} / ${fmtTime(cap)}`;
   }
 }
 
@@ -642,6 +1170,74 @@ function debounce(fn, ms = 220) {
   };
 }
 
+function discSeconds(seconds) {
+  const num = Number(seconds);
+  if (!Number.isFinite(num) || num <= 0) return 0;
+  return Math.ceil(num * CD_FRAMES_PER_SECOND - 1e-6) / CD_FRAMES_PER_SECOND;
+}
+
+function applyServerTimes(target, body) {
+  if (!target || !body) return;
+  if (typeof body.capacityMode === "string") {
+    target.capacityMode = body.capacityMode;
+  }
+  SERVER_TIME_FIELDS.forEach((key) => {
+    // null means "not measured this way" under the current disc profile
+    if ((typeof body[key] === "number" && Number.isFinite(body[key])) || body[key] === null) {
+      target[key] = body[key];
+    }
+  });
+}
+
+function estimateMp3Bytes(seconds) {
+  const num = Number(seconds);
+  if (!Number.isFinite(num) || num <= 0) return 0;
+  return Math.ceil((num * MP3_ESTIMATE_KBPS * 1000) / 8);
+}
+
+function fmtMegabytes(bytes) {
+  return `${(Math.max(0, Number(bytes) || 0) / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function fmtDb(value) {
+  const num = Number(value) || 0;
+  return `${num > 0 ? "+" : num < 0 ? "−" : ""}${Math.abs(num).toFixed(1)} dB`;
+}
+
+function isItemTrimmed(item) {
+  return Boolean(item) && ((item.trimStart || 0) > 0 || (item.trimEnd ?? null) !== null);
+}
+
+function fmtTransition(transition) {
+  if (transition?.type === "gapless") return "Gapless";
+  if (transition?.type === "crossfade") return `Crossfade ${transition.seconds}s`;
+  return "Cut";
+}
+
+function transitionOptionValue(transition) {
+  if (!transition) return "default";
+  return transition.type === "crossfade" ? `crossfade:${transition.seconds}` : transition.type;
+}
+
+// Disc seconds one join adds (cut) or takes back (crossfade), as the server
+// counts them: a crossfade overlaps at most half of the shorter track.
+function transitionJoinSeconds(transition, pregap, previousDuration, nextDuration) {
+  if (transition?.type === "gapless") return 0;
+  if (transition?.type === "crossfade") {
+    const shorter = Math.min(Number(previousDuration) || 0, Number(nextDuration) || 0);
+    const frames = Math.floor(Math.min(transition.seconds, shorter / 2) * CD_FRAMES_PER_SECOND);
+    return -frames / CD_FRAMES_PER_SECOND;
+  }
+  return pregap;
+}
+
+function describeJoins(server) {
+  const overlap = Number(server.overlapSeconds) || 0;
+  if (overlap > 0) return `with ${overlap.toFixed(1)}s of crossfades overlapped`;
+  if (server.transition?.type === "gapless") return "with gapless joins";
+  return `including ${server.pregapSeconds ?? 2}s gaps between tracks`;
+}
+
 function fmtTime(seconds) {
   const s = Math.max(0, Math.floor(seconds || 0));
   const m = Math.floor(s / 60);
@@ -709,14 +1305,29 @@ function setButtonsEnabled(on) {
 
 function updateActionButtons() {
   const hasItems = state.server.items.length > 0;
-  const hasPendingAdds = state.optimisticAdds.length > 0;
-  dom.downloadZipBtn.disabled = !hasItems || hasPendingAdds;
-  if (dom.downloadZipBtn) {
+  const hasPendingAdds = state.optimisticAdds.some(isOptimisticActive);
+  const multiDisc = (state.server.discCount || 1) > 1;
+  [dom.downloadZipBtn, dom.downloadImageBtn, dom.downloadMixBtn, dom.downloadWavBtn].forEach((btn) => {
+    if (!btn) return;
+    btn.disabled = !hasItems || hasPendingAdds;
     if (hasPendingAdds) {
-      dom.downloadZipBtn.title = "Please wait for pending tracks to finish adding before downloading.";
+      btn.title = "Please wait for pending tracks to finish adding before downloading.";
     } else {
-      dom.downloadZipBtn.removeAttribute("title");
+      btn.removeAttribute("title");
     }
+  });
+  if (dom.downloadImageBtn) {
+    dom.downloadImageBtn.hidden = multiDisc || state.server.capacityMode === "bytes";
+  }
+  if (dom.downloadMixBtn) {
+    // A mix is one disc; with several, each disc header has its own button
+    dom.downloadMixBtn.hidden = multiDisc;
+  }
+  if (dom.splitDiscsBtn) {
+    dom.splitDiscsBtn.disabled = !hasItems || hasPendingAdds;
+  }
+  if (dom.findDuplicatesBtn) {
+    dom.findDuplicatesBtn.disabled = state.server.items.length < 2;
   }
   dom.clearBtn.disabled = !hasItems && state.optimisticAdds.length === 0;
 }
@@ -773,9 +1384,303 @@ function setPickedNoteError(msg) {
 }
 
 function syncUI() {
-  playlistRenderer.render(state.server, state.optimisticAdds);
+  playlistRenderer.render(state.server, state.optimisticAdds, {
+    trimEdit: state.trimEdit,
+    metaEdit: state.metaEdit,
+    duplicates: state.duplicates,
+  });
   refreshOptimisticLoadingIndicators();
   updateActionButtons();
+  renderAlbumFields();
+}
+
+function renderAlbumFields() {
+  const album = state.server.album || {};
+  dom.albumInputs.forEach((input) => {
+    if (document.activeElement === input || input.dataset.dirty === "true") return;
+    const value = album[input.dataset.albumField] || "";
+    if (input.value !== value) input.value = value;
+  });
+  if (dom.pregapSelect && document.activeElement !== dom.pregapSelect) {
+    const value = String(state.server.pregapSeconds ?? 2);
+    if (!Array.from(dom.pregapSelect.options).some((opt) => opt.value === value)) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = `${value} seconds`;
+      dom.pregapSelect.appendChild(opt);
+    }
+    dom.pregapSelect.value = value;
+  }
+  if (dom.overflowSelect && state.settings.overflowPolicy && document.activeElement !== dom.overflowSelect) {
+    dom.overflowSelect.value = state.settings.overflowPolicy;
+  }
+  if (dom.profileSelect && document.activeElement !== dom.profileSelect) {
+    const profiles = Array.isArray(state.settings.profiles) ? state.settings.profiles : [];
+    if (profiles.length && dom.profileSelect.options.length !== profiles.length) {
+      dom.profileSelect.replaceChildren(
+        ...profiles.map((profile) => {
+          const opt = document.createElement("option");
+          opt.value = profile.id;
+          opt.textContent = profile.label;
+          return opt;
+        })
+      );
+    }
+    if (state.settings.profile) dom.profileSelect.value = state.settings.profile;
+  }
+  if (dom.pregapSelect) {
+    // Gaps only exist on audio discs
+    dom.pregapSelect.disabled = state.server.capacityMode === "bytes";
+  }
+  const loudness = state.server.loudness;
+  if (loudness) {
+    [
+      [dom.loudnessMode, loudness.mode],
+      [dom.loudnessTarget, loudness.target],
+      [dom.loudnessPeak, loudness.truePeak],
+    ].forEach(([select, value]) => {
+      if (!select || document.activeElement === select || value === undefined) return;
+      const str = String(value);
+      if (!Array.from(select.options).some((opt) => opt.value === str)) {
+        const opt = document.createElement("option");
+        opt.value = str;
+        opt.textContent = str;
+        select.appendChild(opt);
+      }
+      select.value = str;
+    });
+    const off = loudness.mode === "off";
+    if (dom.loudnessTarget) dom.loudnessTarget.disabled = off;
+    if (dom.loudnessPeak) dom.loudnessPeak.disabled = off;
+  }
+  const transition = state.server.transition;
+  if (transition) {
+    [
+      [dom.transitionType, transition.type],
+      [dom.crossfadeSeconds, transition.seconds],
+      [dom.crossfadeCurve, transition.curve],
+    ].forEach(([select, value]) => {
+      if (!select || document.activeElement === select || value === undefined) return;
+      const str = String(value);
+      if (!Array.from(select.options).some((opt) => opt.value === str)) {
+        const opt = document.createElement("option");
+        opt.value = str;
+        opt.textContent = str;
+        select.appendChild(opt);
+      }
+      select.value = str;
+    });
+    const crossfade = transition.type === "crossfade";
+    if (dom.crossfadeSeconds) dom.crossfadeSeconds.disabled = !crossfade;
+    if (dom.crossfadeCurve) dom.crossfadeCurve.disabled = !crossfade;
+  }
+  const silence = state.settings.silence;
+  if (silence) {
+    [
+      [dom.silenceEnabled, silence.enabled ? "on" : "off"],
+      [dom.silenceThreshold, silence.thresholdDb],
+      [dom.silenceMinSeconds, silence.minSeconds],
+    ].forEach(([select, value]) => {
+      if (!select || document.activeElement === select) return;
+      const str = String(value);
+      if (!Array.from(select.options).some((opt) => opt.value === str)) {
+        const opt = document.createElement("option");
+        opt.value = str;
+        opt.textContent = str;
+        select.appendChild(opt);
+      }
+      select.value = str;
+    });
+    if (dom.silenceThreshold) dom.silenceThreshold.disabled = !silence.enabled;
+    if (dom.silenceMinSeconds) dom.silenceMinSeconds.disabled = !silence.enabled;
+  }
+  if (dom.titleNoise && document.activeElement !== dom.titleNoise && Array.isArray(state.settings.titleNoise)) {
+    dom.titleNoise.value = state.settings.titleNoise.join(", ");
+  }
+  if (dom.albumSummary) {
+    const parts = [album.performer, album.title].filter(Boolean);
+    dom.albumSummary.textContent = parts.length ? parts.join(" – ") : "";
+  }
+}
+
+const saveAlbumFields = debounce(async () => {
+  const patch = {};
+  dom.albumInputs.forEach((input) => {
+    if (input.dataset.dirty !== "true") return;
+    patch[input.dataset.albumField] = input.value;
+  });
+  if (!Object.keys(patch).length) return;
+
+  try {
+    const r = await sessionFetch("/api/album", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(patch),
+    });
+    if (!r.ok) throw new Error(await r.text());
+    const body = await r.json();
+    dom.albumInputs.forEach((input) => {
+      if (Object.prototype.hasOwnProperty.call(patch, input.dataset.albumField)) {
+        delete input.dataset.dirty;
+      }
+    });
+    if (body?.album) {
+      state.server.album = body.album;
+    }
+    renderAlbumFields();
+  } catch (err) {
+    setPickedNoteError("Failed to save disc details.");
+  }
+}, 500);
+
+async function loadSettings() {
+  try {
+    const r = await sessionFetch("/api/settings");
+    if (!r.ok) return;
+    state.settings = { ...state.settings, ...(await r.json()) };
+    renderAlbumFields();
+  } catch (err) {
+    // settings are optional; defaults stay in place
+  }
+}
+
+async function saveSettings(patch) {
+  const r = await sessionFetch("/api/settings", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(patch),
+  });
+  if (!r.ok) throw new Error(await r.text());
+  const body = await r.json();
+  state.settings = { ...state.settings, ...body };
+  applyServerTimes(state.server, body);
+  return body;
+}
+
+async function saveOverflowPolicy(value) {
+  const previous = state.settings.overflowPolicy;
+  state.settings.overflowPolicy = value;
+  try {
+    await saveSettings({ overflowPolicy: value });
+  } catch (err) {
+    state.settings.overflowPolicy = previous;
+    setPickedNoteError("Failed to update what happens when the disc is full.");
+  }
+  renderAlbumFields();
+}
+
+async function saveProfile(value) {
+  const previous = state.settings.profile;
+  state.settings.profile = value;
+  try {
+    await saveSettings({ profile: value });
+    await refresh();
+  } catch (err) {
+    state.settings.profile = previous;
+    setPickedNoteError("Failed to change the disc type.");
+  }
+  syncUI();
+}
+
+async function saveTitleNoise(value) {
+  try {
+    await saveSettings({ titleNoise: value.trim() ? value : null });
+  } catch (err) {
+    setPickedNoteError("Failed to update the title clean-up list.");
+  }
+  renderAlbumFields();
+}
+
+async function saveSilence(patch) {
+  const previous = state.settings.silence;
+  state.settings.silence = { ...(previous || {}), ...patch };
+  renderAlbumFields();
+  try {
+    await saveSettings({ silence: patch });
+  } catch (err) {
+    state.settings.silence = previous;
+    setPickedNoteError("Failed to update silence trimming.");
+  }
+  renderAlbumFields();
+}
+
+async function saveLoudness(patch) {
+  const previous = state.server.loudness;
+  state.server.loudness = { ...(previous || {}), ...patch };
+  syncUI();
+  try {
+    const body = await saveSettings({ loudness: patch });
+    if (body?.loudness) state.server.loudness = body.loudness;
+    await refresh();
+  } catch (err) {
+    state.server.loudness = previous;
+    setPickedNoteError("Failed to update loudness settings.");
+    syncUI();
+  }
+}
+
+async function saveTransition(patch) {
+  const previous = state.server.transition;
+  state.server.transition = { ...(previous || {}), ...patch };
+  syncUI();
+  try {
+    const body = await saveSettings({ transition: patch });
+    if (body?.transition) state.server.transition = body.transition;
+    await refresh();
+  } catch (err) {
+    state.server.transition = previous;
+    setPickedNoteError("Failed to update the transition between tracks.");
+    syncUI();
+  }
+}
+
+async function savePregap(value) {
+  const previous = state.server.pregapSeconds;
+  state.server.pregapSeconds = Number(value);
+  syncUI();
+  try {
+    await saveSettings({ pregapSeconds: Number(value) });
+    syncUI();
+  } catch (err) {
+    state.server.pregapSeconds = previous;
+    setPickedNoteError("Failed to update the gap between tracks.");
+    syncUI();
+  }
+}
+
+function initAlbumFields() {
+  dom.pregapSelect?.addEventListener("change", () => savePregap(dom.pregapSelect.value));
+  dom.overflowSelect?.addEventListener("change", () => saveOverflowPolicy(dom.overflowSelect.value));
+  dom.profileSelect?.addEventListener("change", () => saveProfile(dom.profileSelect.value));
+  dom.loudnessMode?.addEventListener("change", () => saveLoudness({ mode: dom.loudnessMode.value }));
+  dom.silenceEnabled?.addEventListener("change", () =>
+    saveSilence({ enabled: dom.silenceEnabled.value === "on" })
+  );
+  dom.silenceThreshold?.addEventListener("change", () =>
+    saveSilence({ thresholdDb: Number(dom.silenceThreshold.value) })
+  );
+  dom.silenceMinSeconds?.addEventListener("change", () =>
+    saveSilence({ minSeconds: Number(dom.silenceMinSeconds.value) })
+  );
+  dom.titleNoise?.addEventListener("change", () => saveTitleNoise(dom.titleNoise.value));
+  dom.transitionType?.addEventListener("change", () => saveTransition({ type: dom.transitionType.value }));
+  dom.crossfadeSeconds?.addEventListener("change", () =>
+    saveTransition({ seconds: Number(dom.crossfadeSeconds.value) })
+  );
+  dom.crossfadeCurve?.addEventListener("change", () => saveTransition({ curve: dom.crossfadeCurve.value }));
+  dom.loudnessTarget?.addEventListener("change", () =>
+    saveLoudness({ target: Number(dom.loudnessTarget.value) })
+  );
+  dom.loudnessPeak?.addEventListener("change", () =>
+    saveLoudness({ truePeak: Number(dom.loudnessPeak.value) })
+  );
+  dom.albumInputs.forEach((input) => {
+    input.addEventListener("input", () => {
+      input.dataset.dirty = "true";
+      saveAlbumFields();
+    });
+    input.addEventListener("blur", () => renderAlbumFields());
+  });
 }
 
 function buildSessionHeaders(headers) {
@@ -783,6 +1688,11 @@ function buildSessionHeaders(headers) {
   if (sessionHint && !merged.has("X-CD-Session")) {
     merged.set("X-CD-Session", sessionHint);
   }
+  if (state.share) {
+    merged.set("X-CD-Share", state.share.token);
+  } else if (state.projectId && !merged.has("X-CD-Project")) {
+    merged.set("X-CD-Project", state.projectId);
+  }
   return merged;
 }
 
@@ -802,61 +1712,337 @@ async function sessionFetch(input, init = {}) {
   return response;
 }
 
-async function refresh() {
-  const requestId = ++refreshRequestId;
-  const r = await sessionFetch("/api/list");
-  if (!r.ok) {
-    const msg = await r.text().catch(() => r.statusText || "Request failed");
-    throw new Error(msg || `Request failed with status ${r.status}`);
+function renderProjects() {
+  if (!dom.projectSelect) return;
+  dom.projectSelect.replaceChildren(
+    ...state.projects.map((project) => {
+      const option = document.createElement("option");
+      option.value = project.id;
+      option.textContent = project.name;
+      return option;
+    })
+  );
+  dom.projectSelect.value = state.projectId || "";
+  if (dom.projectDelete) dom.projectDelete.disabled = state.projects.length < 2;
+}
+
+function applyProjectList(body) {
+  state.projects = Array.isArray(body?.projects) ? body.projects : [];
+  if (!state.projects.some((project) => project.id === state.projectId)) {
+    state.projectId = body?.activeId || state.projects[0]?.id || null;
   }
+  renderProjects();
+}
 
-  const next = await r.json();
-  const nextItems = Array.isArray(next?.items) ? next.items.slice() : [];
-  nextItems.sort((a, b) => {
-    const oa = orderValueOf(a);
-    const ob = orderValueOf(b);
-    const aFinite = Number.isFinite(oa);
-    const bFinite = Number.isFinite(ob);
-    if (aFinite && bFinite) return oa - ob;
-    if (aFinite) return -1;
-    if (bFinite) return 1;
-    return 0;
+async function loadProjects() {
+  try {
+    const r = await sessionFetch("/api/projects");
+    if (r.ok) applyProjectList(await r.json());
+  } catch (err) {
+    // the switcher just stays empty; the list still works on the active project
+  }
+}
+
+// Adds still running keep going into the project they were started in; their
+// rows only belong on that project's list.
+function resetProjectView() {
+  progressWatchers.forEach((_, token) => stopProgressWatcher(token));
+  optimisticLoadingIndicators.forEach((_, token) => stopOptimisticLoading(token));
+  state.optimisticAdds.length = 0;
+  jobEvents.clear();
+  state.duplicates.clear();
+  state.trimEdit = null;
+  state.metaEdit = null;
+  state.nextOrderHint = 1;
+}
+
+async function projectRequest(path, body) {
+  const r = await sessionFetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {}),
   });
-  const currentItems = Array.isArray(state.server.items) ? state.server.items : [];
-  const hasPendingAdds = state.optimisticAdds.length > 0;
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error || `Request failed with status ${r.status}`);
+  return data;
+}
 
-  if (requestId !== refreshRequestId) {
-    return null;
+async function switchProject(id) {
+  if (!id || id === state.projectId) return;
+  try {
+    applyProjectList(await projectRequest(`/api/projects/${encodeURIComponent(id)}/switch`));
+    state.projectId = id;
+    renderProjects();
+    resetProjectView();
+    connectEvents();
+    await Promise.all([refresh(), loadSettings()]);
+    if (!dom.sharePanel?.hidden) loadShares();
+  } catch (err) {
+    renderProjects();
+    setPickedNoteError(err?.message || "Couldn't switch project.");
   }
+}
 
-  if (hasPendingAdds && nextItems.length < currentItems.length) {
-    return null;
+async function handleNewProject() {
+  const name = prompt("Name for the new CD:", "");
+  if (name === null) return;
+  try {
+    const data = await projectRequest("/api/projects", { name });
+    applyProjectList(data);
+    await switchProject(data.project.id);
+  } catch (err) {
+    setPickedNoteError(err?.message || "Couldn't create project.");
   }
+}
 
-  state.server = {
-    capSeconds:
-      typeof next?.capSeconds === "number" ? next.capSeconds : state.server.capSeconds,
-    totalSeconds:
-      typeof next?.totalSeconds === "number" ? next.totalSeconds : state.server.totalSeconds,
-    items: nextItems,
-  };
-
-  if (!Array.isArray(state.server.items)) state.server.items = [];
-  updateOrderCursorFromServerItems(state.server.items);
-  syncUI();
-  return state.server;
+async function handleRenameProject() {
+  const current = state.projects.find((project) => project.id === state.projectId);
+  const name = prompt("Rename this CD:", current?.name || "");
+  if (!name || !name.trim() || name === current?.name) return;
+  try {
+    applyProjectList(await projectRequest(`/api/projects/${encodeURIComponent(state.projectId)}/rename`, { name }));
+  } catch (err) {
+    setPickedNoteError(err?.message || "Couldn't rename project.");
+  }
 }
 
-function stopOptimisticLoading(token) {
-  if (!token) return;
-  const indicator = optimisticLoadingIndicators.get(token);
-  if (!indicator) return;
-  if (indicator.timer) clearInterval(indicator.timer);
-  optimisticLoadingIndicators.delete(token);
+async function handleDuplicateProject() {
+  try {
+    const data = await projectRequest(`/api/projects/${encodeURIComponent(state.projectId)}/duplicate`);
+    applyProjectList(data);
+    await switchProject(data.project.id);
+  } catch (err) {
+    setPickedNoteError(err?.message || "Couldn't duplicate project.");
+  }
 }
 
-function ensureOptimisticLoadingIndicator(token, el) {
-  if (!token || !el) return;
+async function handleDeleteProject() {
+  const current = state.projects.find((project) => project.id === state.projectId);
+  if (!current || !confirm(`Delete "${current.name}" and its files?`)) return;
+  try {
+    const data = await projectRequest(`/api/projects/${encodeURIComponent(current.id)}/delete`);
+    state.projectId = data.activeId;
+    applyProjectList(data);
+    resetProjectView();
+    connectEvents();
+    await Promise.all([refresh(), loadSettings()]);
+  } catch (err) {
+    setPickedNoteError(err?.message || "Couldn't delete project.");
+  }
+}
+
+function shareUrl(token) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set("share", token);
+  return url.toString();
+}
+
+function renderShares(shares) {
+  if (!dom.shareList) return;
+  dom.shareList.replaceChildren(
+    ...shares.map((share) => {
+      const li = document.createElement("li");
+      const input = document.createElement("input");
+      input.className = "input";
+      input.readOnly = true;
+      input.value = shareUrl(share.token);
+      input.setAttribute("aria-label", share.mode === "edit" ? "Edit link" : "View link");
+      input.addEventListener("focus", () => input.select());
+      const mode = document.createElement("span");
+      mode.className = "subtle";
+      mode.textContent = share.mode === "edit" ? "Can edit" : "Can view";
+      const copy = document.createElement("button");
+      copy.type = "button";
+      copy.className = "btn ghost";
+      copy.dataset.shareCopy = input.value;
+      copy.textContent = "Copy";
+      const revoke = document.createElement("button");
+      revoke.type = "button";
+      revoke.className = "btn ghost";
+      revoke.dataset.shareRevoke = share.token;
+      revoke.textContent = "Revoke";
+      li.append(input, mode, copy, revoke);
+      return li;
+    })
+  );
+}
+
+async function loadShares() {
+  try {
+    const r = await sessionFetch("/api/shares");
+    if (r.ok) renderShares((await r.json()).shares || []);
+  } catch (err) {
+    // leave the previous list in place
+  }
+}
+
+function setSharePanelVisible(show) {
+  if (!dom.sharePanel) return;
+  dom.sharePanel.hidden = !show;
+  dom.projectShare?.setAttribute("aria-expanded", show ? "true" : "false");
+  if (show) loadShares();
+}
+
+async function handleCreateShare() {
+  try {
+    const data = await projectRequest("/api/shares", { mode: dom.shareMode?.value || "view" });
+    renderShares(data.shares || []);
+  } catch (err) {
+    setPickedNoteError(err?.message || "Couldn't create a share link.");
+  }
+}
+
+async function handleRevokeShare(token) {
+  try {
+    const data = await projectRequest(`/api/shares/${encodeURIComponent(token)}/revoke`);
+    renderShares(data.shares || []);
+  } catch (err) {
+    setPickedNoteError(err?.message || "Couldn't revoke the link.");
+  }
+}
+
+async function copyShareLink(button) {
+  try {
+    await navigator.clipboard.writeText(button.dataset.shareCopy);
+    button.textContent = "Copied";
+    setTimeout(() => {
+      button.textContent = "Copy";
+    }, 1500);
+  } catch (err) {
+    button.closest("li")?.querySelector("input")?.select();
+  }
+}
+
+// Share recipients get a banner in place of the project switcher.
+function renderShareBanner() {
+  const share = state.share;
+  document.body.classList.toggle("isReadOnly", Boolean(share) && share.mode !== "edit");
+  if (dom.projectBar) dom.projectBar.hidden = Boolean(share);
+  // These apply to all of the owner's CDs, so only the owner changes them
+  for (const control of [dom.overflowSelect, dom.silenceEnabled, dom.silenceThreshold, dom.silenceMinSeconds, dom.titleNoise]) {
+    if (control) control.disabled = Boolean(share);
+  }
+  if (share) setSharePanelVisible(false);
+  if (!dom.shareBanner) return;
+  dom.shareBanner.hidden = !share;
+  if (!share) return;
+  const name = share.name ? `“${share.name}”` : "a CD";
+  if (share.invalid) {
+    dom.shareBannerText.textContent = "This share link is no longer valid.";
+  } else if (share.mode === "edit") {
+    dom.shareBannerText.textContent = `You're editing ${name}, shared with you.`;
+  } else {
+    dom.shareBannerText.textContent = `You're viewing ${name}, shared with you.`;
+  }
+  if (dom.shareClone) dom.shareClone.hidden = share.invalid || !share.mode;
+}
+
+async function handleCloneShare() {
+  try {
+    const data = await projectRequest("/api/share/clone");
+    state.share = null;
+    window.history.replaceState(null, "", window.location.pathname);
+    state.projectId = data.project.id;
+    applyProjectList(data);
+    renderShareBanner();
+    resetProjectView();
+    connectEvents();
+    await Promise.all([refresh(), loadSettings()]);
+  } catch (err) {
+    setPickedNoteError(err?.message || "Couldn't copy the shared CD.");
+  }
+}
+
+async function refresh() {
+  const requestId = ++refreshRequestId;
+  const r = await sessionFetch("/api/list");
+  if (r.status === 404 && state.share) {
+    state.share.invalid = true;
+    renderShareBanner();
+    return null;
+  }
+  if (r.status === 404 && state.projectId) {
+    // Our project was deleted elsewhere; fall back to the session's active one
+    state.projectId = null;
+    await loadProjects();
+    resetProjectView();
+    connectEvents();
+    return state.projectId ? refresh() : null;
+  }
+  if (!r.ok) {
+    const msg = await r.text().catch(() => r.statusText || "Request failed");
+    throw new Error(msg || `Request failed with status ${r.status}`);
+  }
+
+  const next = await r.json();
+  if (requestId !== refreshRequestId) {
+    return null;
+  }
+  return applyServerList(next);
+}
+
+// Take a full list from /api/list or a pushed "playlist" event.
+function applyServerList(next) {
+  const nextItems = Array.isArray(next?.items) ? next.items.slice() : [];
+  nextItems.sort((a, b) => {
+    const oa = orderValueOf(a);
+    const ob = orderValueOf(b);
+    const aFinite = Number.isFinite(oa);
+    const bFinite = Number.isFinite(ob);
+    if (aFinite && bFinite) return oa - ob;
+    if (aFinite) return -1;
+    if (bFinite) return 1;
+    return 0;
+  });
+  const currentItems = Array.isArray(state.server.items) ? state.server.items : [];
+  const hasPendingAdds = state.optimisticAdds.some(isOptimisticActive);
+
+  if (hasPendingAdds && nextItems.length < currentItems.length) {
+    return null;
+  }
+
+  const previous = state.server;
+  state.server = {
+    capSeconds: previous.capSeconds,
+    totalSeconds: previous.totalSeconds,
+    usedSeconds: previous.usedSeconds,
+    remainingSeconds: previous.remainingSeconds,
+    pregapSeconds: previous.pregapSeconds,
+    capacityMode: previous.capacityMode,
+    usedBytes: previous.usedBytes,
+    capBytes: previous.capBytes,
+    remainingBytes: previous.remainingBytes,
+    album: next?.album && typeof next.album === "object" ? next.album : state.server.album,
+    loudness: next?.loudness && typeof next.loudness === "object" ? next.loudness : state.server.loudness,
+    transition:
+      next?.transition && typeof next.transition === "object" ? next.transition : state.server.transition,
+    discs: Array.isArray(next?.discs) ? next.discs : [],
+    items: nextItems,
+  };
+
+  if (state.share && next?.share) {
+    state.share.mode = next.share.mode;
+    state.share.name = next.project?.name || "";
+    renderShareBanner();
+  }
+
+  applyServerTimes(state.server, next);
+  if (!Array.isArray(state.server.items)) state.server.items = [];
+  updateOrderCursorFromServerItems(state.server.items);
+  syncUI();
+  return state.server;
+}
+
+function stopOptimisticLoading(token) {
+  if (!token) return;
+  const indicator = optimisticLoadingIndicators.get(token);
+  if (!indicator) return;
+  if (indicator.timer) clearInterval(indicator.timer);
+  optimisticLoadingIndicators.delete(token);
+}
+
+function ensureOptimisticLoadingIndicator(token, el) {
+  if (!token || !el) return;
   let indicator = optimisticLoadingIndicators.get(token);
   if (!indicator) {
     indicator = {};
@@ -974,8 +2160,127 @@ function stopProgressWatcher(token) {
   progressWatchers.delete(token);
 }
 
+// ---------- Live events ----------
+function eventsUrl() {
+  const params = new URLSearchParams();
+  if (state.share) params.set("share", state.share.token);
+  else if (state.projectId) params.set("project", state.projectId);
+  return `/api/events?${params}`;
+}
+
+// One stream per page, for the project in view. The browser reconnects on its
+// own after network drops; a stream that ends for good is reopened here with
+// backoff. Every (re)connect resyncs, since events sent meanwhile are lost.
+function connectEvents() {
+  if (typeof EventSource !== "function") return;
+  eventSource?.close();
+  clearTimeout(eventRetryTimer);
+  const source = new EventSource(eventsUrl(), { withCredentials: true });
+  eventSource = source;
+
+  source.addEventListener("hello", (event) => {
+    const data = JSON.parse(event.data);
+    // EventSource can't send the session header; without cookies it lands in
+    // another session, so stay on polling
+    if (!state.share && state.projectId && data.project !== state.projectId) {
+      source.close();
+      eventSource = null;
+      setEventsLive(false);
+      return;
+    }
+    eventRetryDelay = EVENT_RETRY_MIN_MS;
+    setEventsLive(true);
+    resyncAfterConnect();
+  });
+  source.addEventListener("job", (event) => handleJobEvent(JSON.parse(event.data)));
+  source.addEventListener("tracklist", (event) => handleTracklistEvent(JSON.parse(event.data)));
+  source.addEventListener("playlist", (event) => handlePlaylistEvent(JSON.parse(event.data)));
+  source.addEventListener("projects", (event) => handleProjectsEvent(JSON.parse(event.data)));
+  source.addEventListener("revoked", () => {
+    source.close();
+    eventSource = null;
+    setEventsLive(false);
+    if (state.share) {
+      state.share.invalid = true;
+      renderShareBanner();
+    }
+  });
+  source.onerror = () => {
+    if (eventSource !== source) return;
+    setEventsLive(false);
+    if (source.readyState !== EventSource.CLOSED) return;
+    eventRetryTimer = setTimeout(connectEvents, eventRetryDelay);
+    eventRetryDelay = Math.min(eventRetryDelay * 2, EVENT_RETRY_MAX_MS);
+  };
+}
+
+// While the stream is down, pending adds fall back to polling.
+function setEventsLive(live) {
+  eventsLive = live;
+  if (live) {
+    progressWatchers.forEach((_, token) => stopProgressWatcher(token));
+    return;
+  }
+  for (const entry of state.optimisticAdds) {
+    if (entry.token && isOptimisticActive(entry)) startProgressWatcher(entry.token);
+  }
+}
+
+async function resyncAfterConnect() {
+  try {
+    await refresh();
+  } catch (err) {
+    console.warn("Failed to resync the playlist:", err);
+  }
+  loadSettings();
+  for (const entry of state.optimisticAdds.slice()) {
+    if (!entry.token || !isOptimisticActive(entry)) continue;
+    try {
+      const r = await sessionFetch(`/api/add-progress/${encodeURIComponent(entry.token)}`);
+      if (r.ok) await handleAddProgressUpdate(entry.token, await r.json());
+    } catch (err) {
+      // the next job event will catch it up
+    }
+  }
+}
+
+function handleJobEvent(data) {
+  if (!data?.token) return;
+  if (!state.optimisticAdds.some((entry) => entry.token === data.token)) {
+    jobEvents.set(data.token, data);
+    if (jobEvents.size > JOB_EVENTS_MAX) jobEvents.delete(jobEvents.keys().next().value);
+    return;
+  }
+  handleAddProgressUpdate(data.token, data);
+}
+
+function handlePlaylistEvent(data) {
+  if (!data?.playlist) return;
+  refreshRequestId += 1; // a list fetched before this push is older
+  applyServerList(data.playlist);
+  if (data.reasons?.includes("settings")) loadSettings();
+}
+
+// Another tab (or this one) changed the session's projects.
+async function handleProjectsEvent(data) {
+  if (state.share) return;
+  const previous = state.projectId;
+  applyProjectList(data);
+  if (state.projectId === previous) return;
+  resetProjectView();
+  connectEvents();
+  await Promise.all([refresh(), loadSettings()]);
+}
+
 function startProgressWatcher(token) {
   if (!token || progressWatchers.has(token)) return;
+  if (eventsLive) {
+    // The stream delivers this add's progress; catch up on anything it already sent
+    const early = jobEvents.get(token);
+    jobEvents.delete(token);
+    if (early) handleAddProgressUpdate(token, early);
+    return;
+  }
   const watcher = { timer: null, backoff: 2000, stopped: false };
 
   const poll = async () => {
@@ -1052,13 +2357,88 @@ async function handleAddProgressUpdate(token, body) {
     return false;
   }
 
+  markOptimisticFailed(token, updated.message || "Failed to add this link.");
+  return false;
+}
+
+// Keep a failed row in place with its reason until the user dismisses it.
+function markOptimisticFailed(token, message) {
+  stopProgressWatcher(token);
+  updateOptimisticEntry(token, { status: "error", done: true, message: message || "Failed" });
+}
+
+// A held duplicate waits for "Add anyway" (retried with the same link or
+// file) or "Skip"
+// A scan result stops showing once the track it repeats is gone
+function liveDuplicate(duplicate, items) {
+  return duplicate && items.some((item) => item.id === duplicate.ofId) ? duplicate : null;
+}
+
+function markOptimisticDuplicate(token, failure, retry) {
+  stopProgressWatcher(token);
+  const patch = { status: "error", done: true, message: failure.message || "Possible duplicate", duplicate: retry };
+  if (failure.title) patch.title = failure.title;
+  if (Number.isFinite(failure.duration)) patch.duration = failure.duration;
+  updateOptimisticEntry(token, patch);
+}
+
+function handleAddAnyway(token) {
+  const entry = state.optimisticAdds.find((o) => o.token === token);
+  if (!entry?.duplicate) return;
   removeOptimisticEntry(token);
-  if (updated.message) {
-    setPickedNoteError(`Failed to add this link: ${updated.message}`);
-  } else {
-    setPickedNoteError("Failed to add this link.");
+  if (entry.duplicate.file) {
+    uploadAudioFiles([entry.duplicate.file], { allowDuplicate: true });
+    return;
   }
-  return false;
+  addUrlToCd(entry.duplicate.url, { chapters: entry.duplicate.chapters, allowDuplicate: true });
+}
+
+async function handleFindDuplicates() {
+  if (!dom.findDuplicatesBtn) return;
+  dom.findDuplicatesBtn.disabled = true;
+  try {
+    const r = await sessionFetch("/api/find-duplicates", { method: "POST" });
+    if (!r.ok) throw new Error(await readAddError(r));
+    const { groups = [] } = await r.json();
+    const titles = new Map(state.server.items.map((item) => [item.id, item.title]));
+    state.duplicates = new Map();
+    for (const group of groups) {
+      const [ofId, ...repeats] = group.ids;
+      for (const id of repeats) {
+        state.duplicates.set(id, { reason: group.reason, ofId, ofTitle: titles.get(ofId) || "another track" });
+      }
+    }
+    if (dom.pickedNote) {
+      const count = state.duplicates.size;
+      dom.pickedNote.textContent = count
+        ? `${count} track${count === 1 ? " repeats" : "s repeat"} another one; they're marked Duplicate.`
+        : "No duplicates found.";
+    }
+    syncUI();
+  } catch (e) {
+    setPickedNoteError(`Failed to look for duplicates: ${e.message || e}`);
+  } finally {
+    updateActionButtons();
+  }
+}
+
+function isOptimisticActive(entry) {
+  return entry && entry.status !== "error";
+}
+
+// The parsed error body, with `message` filled in from whatever the server sent
+async function readAddFailure(response) {
+  const txt = await response.text().catch(() => "");
+  try {
+    const body = JSON.parse(txt);
+    return { ...body, message: body?.message || body?.error || txt };
+  } catch (err) {
+    return { message: txt || response.statusText || "" };
+  }
+}
+
+async function readAddError(response) {
+  return (await readAddFailure(response)).message;
 }
 
 async function probe(url, { fast = false } = {}) {
@@ -1154,6 +2534,21 @@ async function handleAddToCd() {
   const url = dom.url.value.trim();
   if (!url) return;
 
+  if (isPlaylistUrl(url)) {
+    await openPlaylistPicker(url);
+    return;
+  }
+
+  const cached = bestCachedData(url);
+  if (Array.isArray(cached?.chapters) && cached.chapters.length > 1) {
+    openChapterPicker(url, cached);
+    return;
+  }
+  await addUrlToCd(url);
+}
+
+// `chapters` is a list of chapter indexes to add as separate tracks
+async function addUrlToCd(url, { chapters = null, allowDuplicate = false } = {}) {
   hideThumb();
   const token = makeToken();
   const orderHint = state.nextOrderHint++;
@@ -1170,19 +2565,19 @@ async function handleAddToCd() {
   state.optimisticAdds.push(optimistic);
   syncUI();
 
-  dom.url.value = "";
+  // Retries and search picks leave whatever is being typed alone
+  if (dom.url.value.trim() === url) {
+    dom.url.value = "";
+    setButtonsEnabled(false);
+  }
   dom.url.focus();
-  setButtonsEnabled(false);
 
   let data = bestCachedData(url);
   let bestFormat = data?.bestFormat || null;
   let usedClient = data?.usedClient || null;
 
   if (data) {
-    updateOptimisticEntry(token, {
-      title: data.title || optimistic.title,
-      duration: Number(data.duration || 0),
-    });
+    updateOptimisticEntry(token, describeOptimisticAdd(data, chapters, optimistic.title));
   } else {
     try {
       data = await probe(url, { fast: true });
@@ -1208,6 +2603,11 @@ async function handleAddToCd() {
           used_client: usedClient || null,
         }
       : { url, client_token: token, used_client: usedClient || null };
+    if (chapters) {
+      payload.split_chapters = true;
+      payload.chapters = chapters;
+    }
+    if (allowDuplicate) payload.allow_duplicate = true;
 
     const r = await sessionFetch("/api/add", {
       method: "POST",
@@ -1215,7 +2615,15 @@ async function handleAddToCd() {
       body: JSON.stringify(payload),
     });
 
-    if (!r.ok) throw new Error(await r.text());
+    if (!r.ok) {
+      const failure = await readAddFailure(r);
+      if (failure.code === "duplicate") {
+        markOptimisticDuplicate(token, failure, { url, chapters });
+        return;
+      }
+      markOptimisticFailed(token, failure.message || "Failed to add this link.");
+      return;
+    }
     const resBody = await r.json();
 
     if (resBody?.item) {
@@ -1227,12 +2635,7 @@ async function handleAddToCd() {
         items.splice(existingIdx, 1);
       }
       insertServerItemOrdered(items, incoming);
-      if (typeof resBody.totalSeconds === "number") {
-        state.server.totalSeconds = resBody.totalSeconds;
-      }
-      if (typeof resBody.capSeconds === "number") {
-        state.server.capSeconds = resBody.capSeconds;
-      }
+      applyServerTimes(state.server, resBody);
       syncUI();
       try {
         await refresh();
@@ -1245,7 +2648,7 @@ async function handleAddToCd() {
     if (resBody?.accepted) {
       const patch = {};
       if (resBody.title) {
-        patch.title = resBody.title;
+        patch.title = resBody.tracks > 1 ? `${resBody.title} · ${resBody.tracks} tracks` : resBody.title;
       }
       if (typeof resBody.duration === "number" && Number.isFinite(resBody.duration)) {
         patch.duration = Number(resBody.duration);
@@ -1254,24 +2657,780 @@ async function handleAddToCd() {
         patch.orderHint = resBody.order;
         registerOrderCursor(resBody.order);
       }
+      if (typeof resBody.disc === "number") {
+        patch.disc = resBody.disc;
+      }
+      patch.overflow = Boolean(resBody.overflow);
       updateOptimisticEntry(token, patch);
       startProgressWatcher(token);
       return;
     }
 
-    if (resBody?.canceled) {
-      removeOptimisticEntry(token, { silent: true });
-      syncUI();
+    if (resBody?.canceled) {
+      removeOptimisticEntry(token, { silent: true });
+      syncUI();
+      return;
+    }
+
+    await refresh();
+  } catch (e) {
+    markOptimisticFailed(token, "Failed to add this link.");
+  }
+}
+
+function describeOptimisticAdd(data, chapters, fallbackTitle) {
+  const title = data?.title || fallbackTitle;
+  if (!chapters) {
+    return { title, duration: Number(data?.duration || 0) };
+  }
+  const picked = (data.chapters || []).filter((chapter) => chapters.includes(chapter.index));
+  return {
+    title: `${title} · ${picked.length} tracks`,
+    duration: picked.reduce((acc, chapter) => acc + (Number(chapter.duration) || 0), 0),
+  };
+}
+
+function openChapterPicker(url, data) {
+  if (!dom.chapterOverlay || !dom.chapterList) {
+    addUrlToCd(url);
+    return;
+  }
+  pendingChapterAdd = { url, data };
+  if (dom.chapterSubtitle) {
+    dom.chapterSubtitle.textContent =
+      `"${data.title || "This video"}" has ${data.chapters.length} chapters. ` +
+      "Add the ones you want as separate tracks, or keep the video as one track.";
+  }
+  dom.chapterList.replaceChildren(
+    ...data.chapters.map((chapter) => {
+      const label = document.createElement("label");
+      label.className = "chapterList__item";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = true;
+      box.dataset.chapterIndex = String(chapter.index);
+      const title = document.createElement("span");
+      title.className = "chapterList__title";
+      title.textContent = chapter.title;
+      const time = document.createElement("span");
+      time.className = "subtle";
+      time.textContent = `${fmtTime(chapter.start)} · ${fmtTime(chapter.duration)}`;
+      label.append(box, title, time);
+      return label;
+    })
+  );
+  updateChapterSplitButton();
+  dom.chapterOverlay.hidden = false;
+  dom.chapterOverlay.setAttribute("aria-hidden", "false");
+  dom.chapterSplit?.focus();
+}
+
+function closeChapterPicker() {
+  pendingChapterAdd = null;
+  if (!dom.chapterOverlay) return;
+  dom.chapterOverlay.hidden = true;
+  dom.chapterOverlay.setAttribute("aria-hidden", "true");
+  dom.url.focus();
+}
+
+function selectedChapterIndexes() {
+  return Array.from(dom.chapterList?.querySelectorAll("input[data-chapter-index]") || [])
+    .filter((box) => box.checked)
+    .map((box) => Number(box.dataset.chapterIndex));
+}
+
+function updateChapterSplitButton() {
+  if (!dom.chapterSplit) return;
+  const count = selectedChapterIndexes().length;
+  dom.chapterSplit.disabled = count === 0;
+  dom.chapterSplit.textContent = count === 1 ? "Add 1 track" : `Add ${count} separate tracks`;
+}
+
+function confirmChapterPicker(split) {
+  const pending = pendingChapterAdd;
+  if (!pending) return;
+  const chapters = split ? selectedChapterIndexes() : null;
+  closeChapterPicker();
+  addUrlToCd(pending.url, { chapters: chapters?.length ? chapters : null });
+}
+
+function isPlaylistUrl(input) {
+  try {
+    const u = new URL(input.trim());
+    const host = u.hostname.replace(/^www\./, "");
+    if (host !== "youtu.be" && host !== "youtube.com" && !host.endsWith(".youtube.com")) return false;
+    return Boolean(u.searchParams.get("list"));
+  } catch (e) {
+    return false;
+  }
+}
+
+async function openPlaylistPicker(url) {
+  if (!dom.playlistOverlay || !dom.playlistList) {
+    await addUrlToCd(url);
+    return;
+  }
+  pendingPlaylistAdd = { url, data: null };
+  if (dom.playlistTitle) dom.playlistTitle.textContent = "playlist";
+  if (dom.playlistSubtitle) dom.playlistSubtitle.textContent = "Reading the playlist…";
+  dom.playlistList.replaceChildren();
+  if (dom.playlistWarning) dom.playlistWarning.hidden = true;
+  // A watch link that also names a playlist can still be added on its own
+  if (dom.playlistSingle) dom.playlistSingle.hidden = !youTubeIdFrom(url);
+  if (dom.playlistAdd) dom.playlistAdd.disabled = true;
+  dom.playlistOverlay.hidden = false;
+  dom.playlistOverlay.setAttribute("aria-hidden", "false");
+
+  let data;
+  try {
+    const r = await sessionFetch("/api/playlist-entries", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ url }),
+    });
+    if (!r.ok) throw new Error(await readAddError(r));
+    data = await r.json();
+  } catch (e) {
+    if (pendingPlaylistAdd?.url !== url) return;
+    if (dom.playlistSubtitle) {
+      dom.playlistSubtitle.textContent = `Couldn't read this playlist: ${e.message || e}`;
+    }
+    return;
+  }
+  if (pendingPlaylistAdd?.url !== url) return;
+  pendingPlaylistAdd.data = data;
+
+  const available = data.entries.filter((entry) => entry.available).length;
+  if (dom.playlistTitle) dom.playlistTitle.textContent = data.title || "playlist";
+  if (dom.playlistSubtitle) {
+    const skipped = data.entries.length - available;
+    dom.playlistSubtitle.textContent =
+      `${available} video${available === 1 ? "" : "s"}` +
+      (data.channel ? ` from ${data.channel}` : "") +
+      (skipped ? `, ${skipped} unavailable` : "") +
+      (data.truncated ? ", only the first ones are listed" : "") +
+      ". Tick the ones to add as tracks.";
+  }
+  dom.playlistList.replaceChildren(
+    ...data.entries.map((entry) => {
+      const label = document.createElement("label");
+      label.className = "chapterList__item";
+      label.classList.toggle("isUnavailable", !entry.available);
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = entry.available;
+      box.disabled = !entry.available;
+      box.dataset.playlistIndex = String(entry.index);
+      const thumb = document.createElement("img");
+      thumb.className = "chapterList__thumb";
+      thumb.alt = "";
+      thumb.loading = "lazy";
+      thumb.decoding = "async";
+      if (entry.id) thumb.src = `/thumb/${entry.id}`;
+      else if (entry.thumbnail) thumb.src = entry.thumbnail;
+      const title = document.createElement("span");
+      title.className = "chapterList__title";
+      title.textContent = entry.title;
+      if (entry.channel) title.title = entry.channel;
+      const time = document.createElement("span");
+      time.className = "subtle";
+      time.textContent = entry.available ? fmtTime(entry.duration) : "Unavailable";
+      label.append(box, thumb, title, time);
+      return label;
+    })
+  );
+  updatePlaylistAddButton();
+  dom.playlistAdd?.focus();
+}
+
+function closePlaylistPicker() {
+  pendingPlaylistAdd = null;
+  if (!dom.playlistOverlay) return;
+  dom.playlistOverlay.hidden = true;
+  dom.playlistOverlay.setAttribute("aria-hidden", "true");
+  dom.url.focus();
+}
+
+function selectedPlaylistEntries() {
+  const entries = pendingPlaylistAdd?.data?.entries || [];
+  const picked = new Set(
+    Array.from(dom.playlistList?.querySelectorAll("input[data-playlist-index]") || [])
+      .filter((box) => box.checked)
+      .map((box) => Number(box.dataset.playlistIndex))
+  );
+  return entries.filter((entry) => picked.has(entry.index));
+}
+
+// Mirrors the server's placement: pregaps or crossfades between the picked
+// entries, and the lead-in when the disc is still empty.
+function playlistOverflowWarning(capacity, entries) {
+  if (!capacity || !entries.length) return "";
+  let needed;
+  let remaining;
+  let describe;
+  if (capacity.capacityMode === "bytes") {
+    needed = entries.reduce((acc, entry) => acc + estimateMp3Bytes(entry.duration), 0);
+    remaining = capacity.remainingBytes || 0;
+    describe = fmtMegabytes;
+  } else {
+    const pregap = typeof state.server.pregapSeconds === "number" ? state.server.pregapSeconds : 2;
+    let previousDuration = 0;
+    needed = entries.reduce((acc, entry, idx) => {
+      const gap =
+        capacity.trackCount + idx === 0
+          ? CD_FIRST_PREGAP_SECONDS
+          : transitionJoinSeconds(state.server.transition, pregap, previousDuration, entry.duration);
+      previousDuration = entry.duration;
+      return acc + discSeconds(entry.duration) + gap;
+    }, 0);
+    remaining = capacity.remainingSeconds || 0;
+    describe = (seconds) => fmtTime(Math.ceil(seconds));
+  }
+  if (needed <= remaining) return "";
+  const over = `The selection needs ${describe(needed)}, only ${describe(remaining)} left on disc ${capacity.disc}`;
+  if (capacity.policy === "next-disc") return `${over}; the rest will go on the next disc.`;
+  if (capacity.policy === "flag") return `${over}; tracks past the end will be flagged.`;
+  return `${over}. Untick some entries to fit.`;
+}
+
+function updatePlaylistAddButton() {
+  if (!dom.playlistAdd) return;
+  const entries = selectedPlaylistEntries();
+  const warning = playlistOverflowWarning(pendingPlaylistAdd?.data?.capacity, entries);
+  dom.playlistAdd.disabled = entries.length === 0;
+  dom.playlistAdd.textContent = entries.length === 1 ? "Add 1 track" : `Add ${entries.length} tracks`;
+  if (dom.playlistWarning) {
+    dom.playlistWarning.textContent = warning;
+    dom.playlistWarning.hidden = !warning;
+  }
+}
+
+function confirmPlaylistPicker() {
+  const pending = pendingPlaylistAdd;
+  if (!pending?.data) return;
+  const entries = selectedPlaylistEntries();
+  closePlaylistPicker();
+  if (entries.length) addPlaylistEntries(pending.data, entries);
+}
+
+function addSinglePlaylistVideo() {
+  const pending = pendingPlaylistAdd;
+  if (!pending) return;
+  closePlaylistPicker();
+  addUrlToCd(pending.url);
+}
+
+// One optimistic row per entry; the server queues them in playlist order.
+async function addPlaylistEntries(data, entries) {
+  hideThumb();
+  const rows = entries.map((entry) => {
+    const optimistic = {
+      token: makeToken(),
+      title: entry.title,
+      duration: Number(entry.duration || 0),
+      orderHint: state.nextOrderHint++,
+      createdAt: Date.now(),
+      progress: 0,
+      status: "queued",
+      done: false,
+    };
+    state.optimisticAdds.push(optimistic);
+    return optimistic;
+  });
+  syncUI();
+
+  dom.url.value = "";
+  dom.url.focus();
+  setButtonsEnabled(false);
+
+  const failAll = (reason) => {
+    for (const row of rows) markOptimisticFailed(row.token, reason);
+  };
+
+  try {
+    const r = await sessionFetch("/api/add-playlist", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        import_id: data.importId,
+        entries: entries.map((entry) => entry.index),
+        client_tokens: rows.map((row) => row.token),
+      }),
+    });
+    if (!r.ok) {
+      failAll((await readAddError(r)) || "Failed to add this playlist.");
+      return;
+    }
+    const resBody = await r.json();
+    for (const held of resBody?.held || []) {
+      markOptimisticDuplicate(held.client_token, held, { url: held.url });
+    }
+    for (const track of resBody?.tracks || []) {
+      const patch = { disc: track.disc, overflow: Boolean(track.overflow) };
+      if (typeof track.order === "number" && Number.isFinite(track.order)) {
+        patch.orderHint = track.order;
+        registerOrderCursor(track.order);
+      }
+      updateOptimisticEntry(track.client_token, patch);
+      startProgressWatcher(track.client_token);
+    }
+  } catch (e) {
+    failAll("Failed to add this playlist.");
+  }
+}
+
+function setSearchNote(text) {
+  if (!dom.searchNote) return;
+  dom.searchNote.textContent = text || "";
+  dom.searchNote.hidden = !text;
+}
+
+function renderSearchResults() {
+  if (!dom.searchResults) return;
+  dom.searchResults.hidden = searchResults.length === 0;
+  dom.searchResults.replaceChildren(
+    ...searchResults.map((result, idx) => {
+      const li = document.createElement("li");
+      li.className = "searchResult";
+      const thumb = document.createElement("img");
+      thumb.className = "chapterList__thumb";
+      thumb.alt = "";
+      thumb.loading = "lazy";
+      thumb.decoding = "async";
+      if (result.id) thumb.src = `/thumb/${result.id}`;
+      else if (result.thumbnail) thumb.src = result.thumbnail;
+      const text = document.createElement("div");
+      text.className = "searchResult__text";
+      const title = document.createElement("span");
+      title.className = "searchResult__title";
+      title.textContent = result.title;
+      title.title = result.title;
+      const details = document.createElement("span");
+      details.className = "subtle";
+      details.textContent = [result.channel, fmtTime(result.duration)].filter(Boolean).join(" · ");
+      text.append(title, details);
+      const add = document.createElement("button");
+      add.type = "button";
+      add.className = "btn ghost";
+      add.dataset.searchAdd = String(idx);
+      add.textContent = "Add";
+      li.append(thumb, text, add);
+      return li;
+    })
+  );
+}
+
+async function handleSearch() {
+  const query = dom.searchQuery?.value.trim();
+  if (!query) return;
+  if (dom.searchBtn) dom.searchBtn.disabled = true;
+  setSearchNote("Searching…");
+  searchResults = [];
+  renderSearchResults();
+  try {
+    const r = await sessionFetch("/api/search", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query }),
+    });
+    if (!r.ok) throw new Error(await readAddError(r));
+    const body = await r.json();
+    searchResults = Array.isArray(body?.results) ? body.results : [];
+    setSearchNote(searchResults.length ? "" : `Nothing found for "${query}".`);
+  } catch (e) {
+    setSearchNote(`Search failed: ${e.message || e}`);
+  } finally {
+    if (dom.searchBtn) dom.searchBtn.disabled = false;
+    renderSearchResults();
+  }
+}
+
+// A chosen result goes through the same path as a pasted link
+function addSearchResult(idx) {
+  const result = searchResults[idx];
+  if (!result?.url) return;
+  searchResults = [];
+  renderSearchResults();
+  setSearchNote("");
+  if (dom.searchQuery) dom.searchQuery.value = "";
+  addUrlToCd(result.url);
+}
+
+// Split a pasted blob into words, in order. Repeats of the same video are
+// dropped; anything that isn't a YouTube video link stays in with `valid: false`
+// so it can be shown as a failed row.
+function parseBulkLinks(text) {
+  const seen = new Set();
+  const words = [];
+  let duplicates = 0;
+  for (const word of String(text || "").split(/\s+/).filter(Boolean)) {
+    const id = isYouTubeUrl(word) ? youTubeIdFrom(word) : null;
+    if (id && seen.has(id)) {
+      duplicates += 1;
+      continue;
+    }
+    if (id) seen.add(id);
+    words.push({ url: word, valid: Boolean(id) });
+  }
+  return { words: words.slice(0, BULK_MAX_LINKS), total: words.length, duplicates };
+}
+
+function updateBulkNote() {
+  if (!dom.bulkUrls) return;
+  const { words, total, duplicates } = parseBulkLinks(dom.bulkUrls.value);
+  const links = words.filter((word) => word.valid).length;
+  const invalid = words.length - links;
+  const parts = [];
+  if (links) parts.push(`${links} link${links === 1 ? "" : "s"}`);
+  if (duplicates) parts.push(`${duplicates} duplicate${duplicates === 1 ? "" : "s"} skipped`);
+  if (invalid) parts.push(`${invalid} not a YouTube video`);
+  if (total > BULK_MAX_LINKS) parts.push(`only the first ${BULK_MAX_LINKS} will be added`);
+  if (dom.bulkNote) dom.bulkNote.textContent = parts.join(" · ");
+  if (dom.bulkAdd) dom.bulkAdd.disabled = words.length === 0;
+}
+
+function setBulkPanelVisible(show) {
+  if (!dom.bulkPanel) return;
+  dom.bulkPanel.hidden = !show;
+  dom.bulkToggle?.setAttribute("aria-expanded", show ? "true" : "false");
+  if (show) dom.bulkUrls?.focus();
+}
+
+// Every pasted word gets its own row: links are queued by the server in the
+// pasted order, the rest fail straight away with the reason.
+async function handleBulkAdd() {
+  if (!dom.bulkUrls) return;
+  const { words } = parseBulkLinks(dom.bulkUrls.value);
+  if (!words.length) return;
+
+  const rows = words.map((word) => {
+    const optimistic = {
+      token: makeToken(),
+      title: word.url,
+      duration: 0,
+      orderHint: state.nextOrderHint++,
+      createdAt: Date.now(),
+      progress: 0,
+      status: "queued",
+      done: false,
+    };
+    state.optimisticAdds.push(optimistic);
+    return { ...word, token: optimistic.token };
+  });
+  for (const row of rows) {
+    if (!row.valid) markOptimisticFailed(row.token, "Not a YouTube video link");
+  }
+  syncUI();
+
+  dom.bulkUrls.value = "";
+  updateBulkNote();
+  const links = rows.filter((row) => row.valid);
+  if (!links.length) return;
+
+  try {
+    const r = await sessionFetch("/api/add-batch", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ entries: links.map((row) => ({ url: row.url, client_token: row.token })) }),
+    });
+    if (!r.ok) {
+      const reason = (await readAddError(r)) || "Failed to add these links.";
+      for (const row of links) markOptimisticFailed(row.token, reason);
+      return;
+    }
+    const resBody = await r.json();
+    for (const result of resBody?.results || []) {
+      const token = result.client_token;
+      if (result.code === "duplicate") {
+        markOptimisticDuplicate(token, result, { url: links.find((row) => row.token === token)?.url });
+        continue;
+      }
+      if (!result.accepted) {
+        markOptimisticFailed(token, result.message || result.error || "Failed to add this link.");
+        continue;
+      }
+      const patch = { disc: result.disc, overflow: Boolean(result.overflow) };
+      if (result.title) patch.title = result.title;
+      if (typeof result.duration === "number" && Number.isFinite(result.duration)) {
+        patch.duration = result.duration;
+      }
+      if (typeof result.order === "number" && Number.isFinite(result.order)) {
+        patch.orderHint = result.order;
+        registerOrderCursor(result.order);
+      }
+      updateOptimisticEntry(token, patch);
+      startProgressWatcher(token);
+    }
+  } catch (e) {
+    for (const row of links) markOptimisticFailed(row.token, "Failed to add these links.");
+  }
+}
+
+function isUploadableFile(file) {
+  const name = String(file?.name || "").toLowerCase();
+  return UPLOAD_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+// Files go up in one request; each gets a row that resolves to the stored
+// track or to the reason it was turned away.
+async function uploadAudioFiles(fileList, { allowDuplicate = false } = {}) {
+  const files = Array.from(fileList || []);
+  if (!files.length) return;
+  const rows = files.map((file) => {
+    const optimistic = {
+      token: makeToken(),
+      title: file.name,
+      duration: 0,
+      orderHint: state.nextOrderHint++,
+      createdAt: Date.now(),
+      progress: 0,
+      status: "queued",
+      done: false,
+    };
+    state.optimisticAdds.push(optimistic);
+    return { file, token: optimistic.token };
+  });
+  for (const row of rows) {
+    if (!isUploadableFile(row.file)) {
+      markOptimisticFailed(row.token, `Use ${UPLOAD_EXTENSIONS.join(" ")} files`);
+    }
+  }
+  syncUI();
+
+  const sending = rows.filter((row) => isUploadableFile(row.file));
+  if (!sending.length) return;
+  const form = new FormData();
+  for (const row of sending) form.append("files", row.file, row.file.name);
+
+  try {
+    const r = await sessionFetch(allowDuplicate ? "/api/upload?allow_duplicate=1" : "/api/upload", {
+      method: "POST",
+      body: form,
+    });
+    const body = await r.json().catch(() => null);
+    const results = Array.isArray(body?.results) ? body.results : [];
+    if (!results.length) {
+      const reason = body?.message || body?.error || "Upload failed.";
+      for (const row of sending) markOptimisticFailed(row.token, reason);
       return;
     }
-
+    // Results come back in the order the files were sent
+    sending.forEach((row, idx) => {
+      const result = results[idx];
+      if (result?.id) {
+        removeOptimisticEntry(row.token, { silent: true });
+      } else if (result?.code === "duplicate") {
+        markOptimisticDuplicate(row.token, result, { file: row.file });
+      } else {
+        markOptimisticFailed(row.token, result?.message || result?.error || "Upload failed.");
+      }
+    });
     await refresh();
   } catch (e) {
-    setPickedNoteError("Failed to add this link.");
-    removeOptimisticEntry(token);
+    for (const row of sending) markOptimisticFailed(row.token, "Upload failed.");
+  }
+}
+
+function hasDraggedFiles(event) {
+  return Array.from(event.dataTransfer?.types || []).includes("Files");
+}
+
+// Tracklist files are parsed and resolved on the server; the review lists
+// each row with its best match preselected and the alternates one click away.
+async function handleTracklistFile(file) {
+  if (!file || !dom.tracklistOverlay || !dom.tracklistRows) return;
+  pendingTracklist = { data: null, jobId: null, wake: null };
+  const session = pendingTracklist;
+  if (dom.tracklistTitle) dom.tracklistTitle.textContent = file.name || "tracklist";
+  if (dom.tracklistSubtitle) dom.tracklistSubtitle.textContent = "Finding each track on YouTube…";
+  dom.tracklistRows.replaceChildren();
+  if (dom.tracklistWarning) dom.tracklistWarning.hidden = true;
+  if (dom.tracklistAdd) dom.tracklistAdd.disabled = true;
+  dom.tracklistOverlay.hidden = false;
+  dom.tracklistOverlay.setAttribute("aria-hidden", "false");
+
+  let job;
+  try {
+    const form = new FormData();
+    form.append("file", file, file.name);
+    const r = await sessionFetch("/api/import-tracklist", { method: "POST", body: form });
+    if (!r.ok) throw new Error(await readAddError(r));
+    job = await r.json();
+  } catch (e) {
+    if (pendingTracklist !== session) return;
+    showTracklistFailure(e.message || e);
+    return;
+  }
+  if (pendingTracklist !== session) return;
+  session.jobId = job.id;
+  showTracklistProgress(job);
+  const data = await waitForTracklist(session);
+  if (!data || pendingTracklist !== session) return;
+  session.data = data;
+
+  const unresolved = data.rows.filter((row) => !row.candidates.length).length;
+  if (dom.tracklistSubtitle) {
+    dom.tracklistSubtitle.textContent =
+      `${data.rows.length} track${data.rows.length === 1 ? "" : "s"} read` +
+      (unresolved ? `, ${unresolved} not found` : "") +
+      (data.truncated ? ", the rest of the file was skipped" : "") +
+      ". Check the matches, then add them in file order.";
+  }
+  dom.tracklistRows.replaceChildren(...data.rows.map(createTracklistRow));
+  updateTracklistAddButton();
+  dom.tracklistAdd?.focus();
+}
+
+function showTracklistProgress(job) {
+  if (!dom.tracklistSubtitle) return;
+  dom.tracklistSubtitle.textContent = `Finding each track on YouTube… ${job.done} of ${job.total}`;
+}
+
+function showTracklistFailure(reason) {
+  if (!dom.tracklistSubtitle) return;
+  dom.tracklistSubtitle.textContent = `Couldn't import this file: ${reason}`;
+}
+
+// The lookup runs as a job on the server. Check on it until it's done; with
+// the event stream up, "tracklist" events carry the progress and say when.
+async function waitForTracklist(session) {
+  while (pendingTracklist === session) {
+    let job = null;
+    try {
+      const r = await sessionFetch(`/api/import-tracklist/${encodeURIComponent(session.jobId)}`);
+      if (!r.ok) {
+        showTracklistFailure(await readAddError(r));
+        return null;
+      }
+      job = await r.json();
+    } catch (err) {
+      // A dropped request; try again on the next round
+    }
+    if (pendingTracklist !== session) return null;
+    if (job?.status === "done") return job;
+    if (job && job.status !== "running") {
+      showTracklistFailure(job.error || "the lookup stopped");
+      return null;
+    }
+    if (job) showTracklistProgress(job);
+    await new Promise((resolve) => {
+      session.wake = resolve;
+      setTimeout(resolve, eventsLive ? TRACKLIST_POLL_LIVE_MS : TRACKLIST_POLL_MS);
+    });
+  }
+  return null;
+}
+
+function handleTracklistEvent(data) {
+  const session = pendingTracklist;
+  if (!session?.jobId || data?.id !== session.jobId || session.data) return;
+  if (data.status === "running") showTracklistProgress(data);
+  else session.wake?.();
+}
+
+function createTracklistRow(row) {
+  const item = document.createElement("div");
+  item.className = "chapterList__item tracklistRow";
+  item.classList.toggle("isUnavailable", !row.candidates.length);
+
+  const source = document.createElement("label");
+  source.className = "tracklistRow__source";
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.checked = row.candidates.length > 0 && row.confidence >= TRACKLIST_CONFIDENT;
+  box.disabled = !row.candidates.length;
+  box.dataset.tracklistRow = String(row.row);
+  const title = document.createElement("span");
+  title.className = "chapterList__title";
+  title.textContent = row.artist ? `${row.artist} – ${row.title}` : row.title;
+  const time = document.createElement("span");
+  time.className = "subtle";
+  time.textContent = row.duration ? fmtTime(row.duration) : "";
+  source.append(box, title, time);
+  if (row.candidates.length) {
+    const pct = Math.round(row.confidence * 100);
+    source.append(
+      createRowBadge(`${pct}%`, row.confidence < TRACKLIST_CONFIDENT ? "rowBadge--warn" : "")
+    );
+  }
+  item.append(source);
+
+  if (!row.candidates.length) {
+    const reason = document.createElement("span");
+    reason.className = "subtle";
+    reason.textContent = row.error || "No match found";
+    item.append(reason);
+    return item;
+  }
+  const select = document.createElement("select");
+  select.className = "select";
+  select.dataset.tracklistPick = String(row.row);
+  select.setAttribute("aria-label", `Match for row ${row.row}`);
+  for (const candidate of row.candidates) {
+    const option = document.createElement("option");
+    option.value = String(candidate.index);
+    option.textContent = [
+      candidate.title,
+      candidate.channel,
+      fmtTime(candidate.duration),
+      `${Math.round(candidate.confidence * 100)}%`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    select.append(option);
+  }
+  item.append(select);
+  return item;
+}
+
+function closeTracklistReview() {
+  const session = pendingTracklist;
+  pendingTracklist = null;
+  if (session?.jobId && !session.data) {
+    // Stop the searches nobody is waiting for
+    sessionFetch(`/api/import-tracklist/${encodeURIComponent(session.jobId)}/cancel`, { method: "POST" }).catch(() => {});
+    session.wake?.();
+  }
+  if (dom.tracklistFile) dom.tracklistFile.value = "";
+  if (!dom.tracklistOverlay) return;
+  dom.tracklistOverlay.hidden = true;
+  dom.tracklistOverlay.setAttribute("aria-hidden", "true");
+  dom.url.focus();
+}
+
+function selectedTracklistEntries() {
+  const data = pendingTracklist?.data;
+  if (!data || !dom.tracklistRows) return [];
+  const byIndex = new Map(data.rows.flatMap((row) => row.candidates).map((entry) => [entry.index, entry]));
+  return Array.from(dom.tracklistRows.querySelectorAll("input[data-tracklist-row]"))
+    .filter((box) => box.checked)
+    .map((box) => {
+      const select = dom.tracklistRows.querySelector(`select[data-tracklist-pick="${box.dataset.tracklistRow}"]`);
+      return byIndex.get(Number(select?.value));
+    })
+    .filter(Boolean);
+}
+
+function updateTracklistAddButton() {
+  if (!dom.tracklistAdd) return;
+  const entries = selectedTracklistEntries();
+  const warning = playlistOverflowWarning(pendingTracklist?.data?.capacity, entries);
+  dom.tracklistAdd.disabled = entries.length === 0;
+  dom.tracklistAdd.textContent = entries.length === 1 ? "Add 1 track" : `Add ${entries.length} tracks`;
+  if (dom.tracklistWarning) {
+    dom.tracklistWarning.textContent = warning;
+    dom.tracklistWarning.hidden = !warning;
   }
 }
 
+function confirmTracklistReview() {
+  const data = pendingTracklist?.data;
+  if (!data) return;
+  const entries = selectedTracklistEntries();
+  closeTracklistReview();
+  if (entries.length) addPlaylistEntries(data, entries);
+}
+
 function describeFormat(bf) {
   if (!bf) return "";
   const parts = [];
@@ -1515,19 +3674,32 @@ async function oneOffDownload(target) {
   }
 }
 
-async function handleZipDownload() {
-  if (!state.server.items.length) return;
-  if (state.optimisticAdds.length) return;
+function itemsOnDisc(disc) {
+  const items = Array.isArray(state.server.items) ? state.server.items : [];
+  if (!disc) return items;
+  return items.filter((item) => (Number(item?.disc) || 1) === disc);
+}
 
+// format "wav" renders the tracks with their transitions, one WAV per track.
+async function handleZipDownload(disc = null, { format = "mp3" } = {}) {
+  const items = itemsOnDisc(disc);
+  if (!items.length) return;
+  if (state.optimisticAdds.some(isOptimisticActive)) return;
+
+  const wav = format === "wav";
   overlay.showZip({
-    title: "Bundling your CD",
-    subtitle: `${state.server.items.length} track${state.server.items.length === 1 ? "" : "s"} will be zipped.`,
-    thumbnails: buildThumbSources(state.server.items),
+    title: disc ? `Bundling disc ${disc}` : "Bundling your CD",
+    subtitle: `${items.length} track${items.length === 1 ? "" : "s"} will be ${wav ? "rendered as WAVs and " : ""}zipped.`,
+    thumbnails: buildThumbSources(items),
   });
   dotsAnimator.start();
 
   try {
-    const r = await sessionFetch("/api/zip", { method: "POST" });
+    const r = await sessionFetch("/api/zip", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...(disc ? { disc } : {}), ...(wav ? { format } : {}) }),
+    });
     if (!r.ok) {
       const txt = await r.text();
       setPickedNoteError(`Failed to create ZIP: ${txt || r.statusText}`);
@@ -1548,6 +3720,246 @@ async function handleZipDownload() {
   }
 }
 
+async function handleDiscImageDownload(disc = 1) {
+  const items = itemsOnDisc(disc);
+  if (!items.length) return;
+  if (state.optimisticAdds.some(isOptimisticActive)) return;
+
+  overlay.showZip({
+    title: (state.server.discCount || 1) > 1 ? `Building disc ${disc}` : "Building your disc image",
+    subtitle: `${items.length} track${items.length === 1 ? "" : "s"} will be laid out as BIN/CUE.`,
+    thumbnails: buildThumbSources(items),
+  });
+  dotsAnimator.start();
+
+  try {
+    const r = await sessionFetch("/api/disc-image", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ disc }),
+    });
+    if (!r.ok) {
+      const txt = await r.text();
+      setPickedNoteError(`Failed to create disc image: ${txt || r.statusText}`);
+      return;
+    }
+    const result = await r.json().catch(() => null);
+    if (!result?.ok || !result.bin?.href || !result.cue?.href) {
+      setPickedNoteError(result?.message || "Failed to prepare disc image download.");
+      return;
+    }
+    triggerBrowserDownload(result.cue.href);
+    triggerBrowserDownload(result.bin.href);
+  } catch (e) {
+    setPickedNoteError(`Failed to create disc image: ${e.message || e}`);
+  } finally {
+    dotsAnimator.stop();
+    overlay.hide();
+  }
+}
+
+async function handleMixDownload(disc = 1) {
+  const items = itemsOnDisc(disc);
+  if (!items.length) return;
+  if (state.optimisticAdds.some(isOptimisticActive)) return;
+
+  overlay.showZip({
+    title: (state.server.discCount || 1) > 1 ? `Mixing disc ${disc}` : "Mixing your CD",
+    subtitle: `${items.length} track${items.length === 1 ? "" : "s"} will be joined into one file.`,
+    thumbnails: buildThumbSources(items),
+  });
+  dotsAnimator.start();
+
+  try {
+    const r = await sessionFetch("/api/mix", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ disc }),
+    });
+    if (!r.ok) {
+      const txt = await r.text();
+      setPickedNoteError(`Failed to create mix: ${txt || r.statusText}`);
+      return;
+    }
+    const result = await r.json().catch(() => null);
+    if (!result?.ok || !result.href) {
+      setPickedNoteError(result?.message || "Failed to prepare mix download.");
+      return;
+    }
+    triggerBrowserDownload(result.href);
+  } catch (e) {
+    setPickedNoteError(`Failed to create mix: ${e.message || e}`);
+  } finally {
+    dotsAnimator.stop();
+    overlay.hide();
+  }
+}
+
+async function handleTransitionChange(id, value) {
+  if (!id) return;
+  let transition = null;
+  if (value.startsWith("crossfade:")) {
+    transition = { type: "crossfade", seconds: Number(value.slice("crossfade:".length)) };
+  } else if (value !== "default") {
+    transition = { type: value };
+  }
+  try {
+    const r = await sessionFetch(`/api/update/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ transition }),
+    });
+    if (!r.ok) throw new Error(await readAddError(r));
+  } catch (err) {
+    setPickedNoteError(err?.message || "Failed to change the transition.");
+  }
+  await refresh();
+}
+
+async function handleMoveToDisc(id, disc) {
+  if (!id || !Number.isFinite(disc)) return;
+  try {
+    const r = await sessionFetch(`/api/move/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ disc }),
+    });
+    if (!r.ok) throw new Error(await r.text());
+  } catch (err) {
+    setPickedNoteError("Failed to move the track to another disc.");
+  }
+  await refresh();
+}
+
+function openTrimEditor(id) {
+  const item = state.server.items.find((entry) => entry?.id === id);
+  if (!item) return;
+  if (state.trimEdit?.id === id) {
+    state.trimEdit = null;
+  } else {
+    const fields = {
+      start: item.trimStart ? fmtTime(item.trimStart) : "",
+      end: item.trimEnd !== null && item.trimEnd !== undefined ? fmtTime(item.trimEnd) : "",
+      silenceTrim: item.silenceTrim === true ? "on" : item.silenceTrim === false ? "off" : "default",
+      fadeIn: item.fadeIn ? String(item.fadeIn) : "",
+      fadeOut: item.fadeOut ? String(item.fadeOut) : "",
+      volumeDb: item.volumeDb ? String(item.volumeDb) : "",
+    };
+    // `original` lets Save skip the re-cut when only fades or volume changed
+    state.trimEdit = { id, ...fields, original: fields, saving: false };
+  }
+  syncUI();
+}
+
+async function saveTrim(id, patch) {
+  if (!state.trimEdit || state.trimEdit.id !== id) return;
+  state.trimEdit.saving = true;
+  syncUI();
+  try {
+    const r = await sessionFetch(`/api/update/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(patch),
+    });
+    if (!r.ok) throw new Error(await readAddError(r));
+    state.trimEdit = null;
+  } catch (err) {
+    if (state.trimEdit) state.trimEdit.saving = false;
+    setPickedNoteError(err?.message || "Failed to update the track.");
+  }
+  await refresh();
+}
+
+function openMetaEditor(id) {
+  const item = state.server.items.find((entry) => entry?.id === id);
+  if (!item) return;
+  const fields = {
+    title: item.title || "",
+    artist: item.artist || "",
+    album: item.album || "",
+    comment: item.comment || "",
+  };
+  state.metaEdit = { id, ...fields, original: fields, saving: false };
+  syncUI();
+  playlistRenderer.body.querySelector('input[data-meta-field="title"]')?.focus();
+}
+
+function closeMetaEditor() {
+  state.metaEdit = null;
+  syncUI();
+}
+
+async function handleMetaSave(id) {
+  const draft = state.metaEdit;
+  if (!draft || draft.id !== id || draft.saving) return;
+  const patch = {};
+  ["title", "artist", "album", "comment"].forEach((key) => {
+    if (draft[key] !== draft.original[key]) patch[key] = draft[key];
+  });
+  if (!Object.keys(patch).length) {
+    closeMetaEditor();
+    return;
+  }
+  draft.saving = true;
+  syncUI();
+  try {
+    const r = await sessionFetch(`/api/update/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(patch),
+    });
+    if (!r.ok) throw new Error(await readAddError(r));
+    state.metaEdit = null;
+  } catch (err) {
+    if (state.metaEdit) state.metaEdit.saving = false;
+    setPickedNoteError(err?.message || "Failed to save the track details.");
+  }
+  await refresh();
+}
+
+function handleTrimSave(id) {
+  const draft = state.trimEdit;
+  if (!draft || draft.id !== id) return;
+  const changed = (key) => draft[key] !== draft.original?.[key];
+  const patch = {};
+  if (changed("start") || changed("end")) {
+    patch.start = draft.start.trim() || 0;
+    patch.end = draft.end.trim() || null;
+  }
+  if (changed("silenceTrim")) {
+    patch.silenceTrim = draft.silenceTrim === "on" ? true : draft.silenceTrim === "off" ? false : null;
+  }
+  ["fadeIn", "fadeOut", "volumeDb"].forEach((key) => {
+    if (changed(key)) patch[key] = draft[key].trim() || null;
+  });
+  if (!Object.keys(patch).length) {
+    state.trimEdit = null;
+    syncUI();
+    return;
+  }
+  saveTrim(id, patch);
+}
+
+async function handleSplitDiscs() {
+  if (!state.server.items.length) return;
+  const mode = dom.splitModeSelect?.value === "pack" ? "pack" : "order";
+  try {
+    const r = await sessionFetch("/api/split", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ mode }),
+    });
+    if (!r.ok) throw new Error(await r.text());
+    const body = await r.json();
+    if (body?.discCount > 1 && dom.splitModeSelect) {
+      dom.splitModeSelect.title = `Split into ${body.discCount} discs, ${SPLIT_MODE_LABELS[mode]}.`;
+    }
+  } catch (err) {
+    setPickedNoteError("Failed to split the playlist across discs.");
+  }
+  await refresh();
+}
+
 async function handleRemove(id) {
   if (!id) return;
   const items = Array.isArray(state.server.items) ? state.server.items : [];
@@ -1561,6 +3973,12 @@ async function handleRemove(id) {
         state.server.totalSeconds - Number(removed.duration || 0)
       );
     }
+    if (removed?.duration && typeof state.server.usedSeconds === "number") {
+      const gap = items.length ? state.server.pregapSeconds || 0 : CD_FIRST_PREGAP_SECONDS;
+      state.server.usedSeconds = items.length
+        ? Math.max(0, state.server.usedSeconds - discSeconds(removed.duration) - gap)
+        : 0;
+    }
     syncUI();
   }
 
@@ -1575,12 +3993,7 @@ async function handleRemove(id) {
       throw new Error(txt || `remove failed: ${res.status}`);
     }
     const body = await res.json();
-    if (body && typeof body.totalSeconds === "number") {
-      state.server.totalSeconds = body.totalSeconds;
-    }
-    if (body && typeof body.capSeconds === "number") {
-      state.server.capSeconds = body.capSeconds;
-    }
+    applyServerTimes(state.server, body);
     syncUI();
   } catch (err) {
     if (removed && idx !== -1) {
@@ -1592,7 +4005,9 @@ async function handleRemove(id) {
 
 function handleCancel(token) {
   if (!token) return;
+  const entry = state.optimisticAdds.find((o) => o.token === token);
   removeOptimisticEntry(token);
+  if (entry?.status === "error") return;
   sessionFetch("/api/cancel-add", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
@@ -1660,6 +4075,7 @@ function initReorderDrag() {
     if (!row) return;
     if (!row.dataset.itemId) return;
     if (event.target.closest("button, a, input, textarea, select")) return;
+    if (state.share?.mode === "view") return;
     const serverCount = Array.isArray(state.server.items) ? state.server.items.length : 0;
     if (serverCount <= 1) return;
 
@@ -1816,8 +4232,30 @@ initThemeToggle();
 dom.btnAdd.addEventListener("click", handleAddToCd);
 dom.btnMp3.addEventListener("click", () => oneOffDownload("mp3"));
 dom.btnWav.addEventListener("click", () => oneOffDownload("wav"));
-dom.downloadZipBtn.addEventListener("click", handleZipDownload);
+dom.downloadZipBtn.addEventListener("click", () => handleZipDownload());
+dom.downloadImageBtn.addEventListener("click", () => handleDiscImageDownload(1));
+dom.downloadMixBtn?.addEventListener("click", () => handleMixDownload(1));
+dom.downloadWavBtn?.addEventListener("click", () => handleZipDownload(null, { format: "wav" }));
+dom.splitDiscsBtn?.addEventListener("click", handleSplitDiscs);
 dom.clearBtn.addEventListener("click", handleClear);
+dom.findDuplicatesBtn?.addEventListener("click", handleFindDuplicates);
+dom.projectSelect?.addEventListener("change", () => switchProject(dom.projectSelect.value));
+dom.projectNew?.addEventListener("click", handleNewProject);
+dom.projectRename?.addEventListener("click", handleRenameProject);
+dom.projectDuplicate?.addEventListener("click", handleDuplicateProject);
+dom.projectDelete?.addEventListener("click", handleDeleteProject);
+dom.projectShare?.addEventListener("click", () => setSharePanelVisible(dom.sharePanel?.hidden));
+dom.shareCreate?.addEventListener("click", handleCreateShare);
+dom.shareClone?.addEventListener("click", handleCloneShare);
+dom.shareList?.addEventListener("click", (event) => {
+  const copy = event.target.closest("button[data-share-copy]");
+  if (copy) {
+    copyShareLink(copy);
+    return;
+  }
+  const revoke = event.target.closest("button[data-share-revoke]");
+  if (revoke) handleRevokeShare(revoke.dataset.shareRevoke);
+});
 
 if (dom.disclaimerLink) {
   dom.disclaimerLink.addEventListener("click", (event) => {
@@ -1842,6 +4280,69 @@ document.addEventListener("keydown", (event) => {
   if (event.key === "Escape" && dom.disclaimerOverlay && !dom.disclaimerOverlay.hidden) {
     setDisclaimerVisibility(false);
   }
+  if (event.key === "Escape" && dom.chapterOverlay && !dom.chapterOverlay.hidden) {
+    closeChapterPicker();
+  }
+  if (event.key === "Escape" && dom.playlistOverlay && !dom.playlistOverlay.hidden) {
+    closePlaylistPicker();
+  }
+  if (event.key === "Escape" && dom.tracklistOverlay && !dom.tracklistOverlay.hidden) {
+    closeTracklistReview();
+  }
+});
+
+dom.chapterSplit?.addEventListener("click", () => confirmChapterPicker(true));
+dom.chapterWhole?.addEventListener("click", () => confirmChapterPicker(false));
+dom.chapterCancel?.addEventListener("click", closeChapterPicker);
+dom.chapterList?.addEventListener("change", updateChapterSplitButton);
+dom.chapterOverlay?.addEventListener("click", (event) => {
+  if (event.target === dom.chapterOverlay) closeChapterPicker();
+});
+dom.searchForm?.addEventListener("submit", (event) => {
+  event.preventDefault();
+  handleSearch();
+});
+dom.searchResults?.addEventListener("click", (event) => {
+  const add = event.target.closest("button[data-search-add]");
+  if (add) addSearchResult(Number(add.dataset.searchAdd));
+});
+dom.uploadPick?.addEventListener("click", () => dom.uploadFiles?.click());
+dom.uploadFiles?.addEventListener("change", () => {
+  uploadAudioFiles(dom.uploadFiles.files);
+  dom.uploadFiles.value = "";
+});
+dom.panelTop?.addEventListener("dragover", (event) => {
+  if (!hasDraggedFiles(event)) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = "copy";
+  dom.panelTop.classList.add("isDropTarget");
+});
+dom.panelTop?.addEventListener("dragleave", (event) => {
+  if (!dom.panelTop.contains(event.relatedTarget)) dom.panelTop.classList.remove("isDropTarget");
+});
+dom.panelTop?.addEventListener("drop", (event) => {
+  if (!hasDraggedFiles(event)) return;
+  event.preventDefault();
+  dom.panelTop.classList.remove("isDropTarget");
+  uploadAudioFiles(event.dataTransfer.files);
+});
+dom.tracklistPick?.addEventListener("click", () => dom.tracklistFile?.click());
+dom.tracklistFile?.addEventListener("change", () => handleTracklistFile(dom.tracklistFile.files?.[0]));
+dom.tracklistAdd?.addEventListener("click", confirmTracklistReview);
+dom.tracklistCancel?.addEventListener("click", closeTracklistReview);
+dom.tracklistRows?.addEventListener("change", updateTracklistAddButton);
+dom.tracklistOverlay?.addEventListener("click", (event) => {
+  if (event.target === dom.tracklistOverlay) closeTracklistReview();
+});
+dom.bulkToggle?.addEventListener("click", () => setBulkPanelVisible(dom.bulkPanel?.hidden));
+dom.bulkUrls?.addEventListener("input", updateBulkNote);
+dom.bulkAdd?.addEventListener("click", handleBulkAdd);
+dom.playlistAdd?.addEventListener("click", confirmPlaylistPicker);
+dom.playlistSingle?.addEventListener("click", addSinglePlaylistVideo);
+dom.playlistCancel?.addEventListener("click", closePlaylistPicker);
+dom.playlistList?.addEventListener("change", updatePlaylistAddButton);
+dom.playlistOverlay?.addEventListener("click", (event) => {
+  if (event.target === dom.playlistOverlay) closePlaylistPicker();
 });
 
 dom.listBody.addEventListener("click", (event) => {
@@ -1853,16 +4354,123 @@ dom.listBody.addEventListener("click", (event) => {
   const cancel = event.target.closest("button[data-cancel]");
   if (cancel) {
     handleCancel(cancel.dataset.cancel);
+    return;
+  }
+  const anyway = event.target.closest("button[data-add-anyway]");
+  if (anyway) {
+    handleAddAnyway(anyway.dataset.addAnyway);
+    return;
+  }
+  const discZip = event.target.closest("button[data-disc-zip]");
+  if (discZip) {
+    handleZipDownload(Number(discZip.dataset.discZip));
+    return;
+  }
+  const discImage = event.target.closest("button[data-disc-image]");
+  if (discImage) {
+    handleDiscImageDownload(Number(discImage.dataset.discImage));
+    return;
+  }
+  const discMix = event.target.closest("button[data-disc-mix]");
+  if (discMix) {
+    handleMixDownload(Number(discMix.dataset.discMix));
+    return;
+  }
+  const discWav = event.target.closest("button[data-disc-wav]");
+  if (discWav) {
+    handleZipDownload(Number(discWav.dataset.discWav), { format: "wav" });
+    return;
+  }
+  const editMeta = event.target.closest("button[data-edit-meta]");
+  if (editMeta) {
+    openMetaEditor(editMeta.dataset.editMeta);
+    return;
+  }
+  const metaSave = event.target.closest("button[data-meta-save]");
+  if (metaSave) {
+    handleMetaSave(metaSave.dataset.metaSave);
+    return;
+  }
+  if (event.target.closest("button[data-meta-cancel]")) {
+    closeMetaEditor();
+    return;
+  }
+  const trim = event.target.closest("button[data-trim]");
+  if (trim) {
+    openTrimEditor(trim.dataset.trim);
+    return;
+  }
+  const trimSave = event.target.closest("button[data-trim-save]");
+  if (trimSave) {
+    handleTrimSave(trimSave.dataset.trimSave);
+    return;
+  }
+  const trimReset = event.target.closest("button[data-trim-reset]");
+  if (trimReset) {
+    saveTrim(trimReset.dataset.trimReset, { start: 0, end: null });
+    return;
+  }
+  if (event.target.closest("button[data-trim-close]")) {
+    state.trimEdit = null;
+    syncUI();
+  }
+});
+
+dom.listBody.addEventListener("input", (event) => {
+  const metaInput = event.target.closest("input[data-meta-field]");
+  if (metaInput && state.metaEdit) {
+    state.metaEdit[metaInput.dataset.metaField] = metaInput.value;
+    return;
+  }
+  const input = event.target.closest("input[data-trim-field]");
+  if (input && state.trimEdit) {
+    state.trimEdit[input.dataset.trimField] = input.value;
+  }
+});
+
+dom.listBody.addEventListener("keydown", (event) => {
+  const metaInput = event.target.closest("input[data-meta-field]");
+  if (metaInput && state.metaEdit) {
+    if (event.key === "Enter") handleMetaSave(state.metaEdit.id);
+    if (event.key === "Escape") closeMetaEditor();
+    return;
+  }
+  const input = event.target.closest("input[data-trim-field]");
+  if (input && event.key === "Enter" && state.trimEdit) {
+    handleTrimSave(state.trimEdit.id);
+  }
+});
+
+dom.listBody.addEventListener("change", (event) => {
+  const trimField = event.target.closest("select[data-trim-field]");
+  if (trimField && state.trimEdit) {
+    state.trimEdit[trimField.dataset.trimField] = trimField.value;
+    return;
+  }
+  const transition = event.target.closest("select[data-transition]");
+  if (transition) {
+    handleTransitionChange(transition.dataset.transition, transition.value);
+    return;
+  }
+  const select = event.target.closest("select[data-move-disc]");
+  if (select) {
+    handleMoveToDisc(select.dataset.moveDisc, Number(select.value));
   }
 });
 
 initReorderDrag();
+initAlbumFields();
 
 dom.url.addEventListener("input", debounce(onUrlChanged, 120));
 dom.url.addEventListener("paste", () => setTimeout(onUrlChanged, 0));
 dom.url.addEventListener("blur", onUrlChanged);
 
-refresh();
+renderShareBanner();
+(state.share ? Promise.resolve() : loadProjects()).then(() => {
+  refresh();
+  loadSettings();
+  connectEvents();
+});
 setPickedNoteIdle();
 setButtonsEnabled(false);
 updateActionButtons();
@@ -0,0 +1,65 @@
+// search.js — ranking for "Artist - Song" text searches
+// Pure functions, shared by /api/search and the tracklist import in server.js.
+
+export const SEARCH_RESULTS_DEFAULT = 5;
+export const SEARCH_RESULTS_MAX = 10;
+const SEARCH_QUERY_MAX = 200;
+// Uploads that are rarely the studio track people mean, unless they ask for them
+const SEARCH_DETOUR_WORDS = [
+  "live", "cover", "karaoke", "remix", "instrumental", "reaction", "nightcore",
+  "slowed", "sped", "8d", "tutorial", "lesson", "hour",
+];
+
+export function searchWords(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// A trailing clock ("Artist - Song 3:45") is the length the user expects.
+export function parseSearchQuery(raw) {
+  const text = String(raw || "").trim().slice(0, SEARCH_QUERY_MAX);
+  const clock = text.match(/\s+\(?(\d{1,2}:\d{2}(?::\d{2})?)\)?$/);
+  if (!clock) return { query: text, duration: null };
+  const duration = clock[1].split(":").reduce((total, part) => total * 60 + Number(part), 0);
+  return { query: text.slice(0, clock.index).trim(), duration };
+}
+
+// Higher is better: shared words with the query, official and Topic uploads,
+// and a length near the expected one. Live takes, covers and the like sink
+// unless the query asks for them.
+export function scoreSearchCandidate(candidate, queryWords, duration) {
+  const channel = String(candidate.channel || "");
+  const topic = /\s-\sTopic$/.test(channel);
+  const words = new Set(searchWords(`${candidate.title} ${channel.replace(/\s-\sTopic$/, "")}`));
+  const titleWords = new Set(searchWords(candidate.title));
+  const wanted = new Set(queryWords);
+
+  let score = queryWords.length
+    ? queryWords.filter((word) => words.has(word)).length / queryWords.length
+    : 0;
+  if (topic) score += 0.3;
+  if (/\bofficial\s+audio\b/i.test(candidate.title)) score += 0.25;
+  else if (/\bofficial\b/i.test(candidate.title)) score += 0.1;
+  for (const word of SEARCH_DETOUR_WORDS) {
+    if (titleWords.has(word) && !wanted.has(word)) score -= 0.3;
+  }
+  if (duration) {
+    score -= Math.min(1, Math.abs(candidate.duration - duration) / 60) * 0.5;
+  } else if (candidate.duration > 15 * 60) {
+    score -= 0.3;
+  }
+  return Math.round(score * 1000) / 1000;
+}
+
+export function rankSearchResults(entries, { query, duration }) {
+  const queryWords = searchWords(query);
+  return entries
+    .filter((entry) => entry.available)
+    .map((entry) => ({ ...entry, score: scoreSearchCandidate(entry, queryWords, duration) }))
+    // Stable on ties, so YouTube's own relevance order breaks them
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+}
@@ -2,6 +2,7 @@
 // Node 18+/20+/22, package.json has "type":"module"
 
 import express from "express";
+import Busboy from "busboy";
 import { spawn } from "child_process";
 import fs from "fs";
 import fsp from "fs/promises";
@@ -10,6 +11,14 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { nanoid } from "nanoid";
 import { createHash } from "crypto";
+import { pipeline } from "stream/promises";
+import {
+  SEARCH_RESULTS_DEFAULT,
+  SEARCH_RESULTS_MAX,
+  searchWords,
+  parseSearchQuery,
+  rankSearchResults,
+} from "./search.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
@@ -34,9 +43,23 @@ const computedAddParallelism = normalizedEnvAddParallelism
 
 const config = {
   port: Number(process.env.PORT) || 3000,
-  capSeconds: 80 * 60,
-  downloadDir: path.join(__dirname, "downloads"),
-  tmpDir: path.join(__dirname, "tmp"),
+  discProfile: process.env.DISC_PROFILE || "cd-80",
+  pregapSeconds: Number(process.env.CD_PREGAP_SECONDS || 2), // silence between tracks on disc
+  overflowPolicy: process.env.OVERFLOW_POLICY || "reject", // reject | flag | next-disc
+  loudnessMode: process.env.LOUDNESS_MODE || "off", // off | track | album
+  loudnessTarget: Number(process.env.LOUDNESS_TARGET || -16), // LUFS
+  loudnessTruePeak: Number(process.env.LOUDNESS_TRUE_PEAK || -1), // dBTP
+  silenceTrim: process.env.SILENCE_TRIM === "true", // trim leading/trailing silence on add
+  silenceThresholdDb: Number(process.env.SILENCE_THRESHOLD_DB || -50),
+  silenceMinSeconds: Number(process.env.SILENCE_MIN_SECONDS || 0.5),
+  titleNoise: process.env.TITLE_NOISE || null, // comma-separated; replaces the built-in list
+  playlistMaxEntries: Number(process.env.PLAYLIST_MAX_ENTRIES || 200), // per playlist import
+  uploadMaxBytes: Number(process.env.UPLOAD_MAX_MB || 200) * 1024 * 1024, // per uploaded file
+  transitionType: process.env.TRANSITION_TYPE || "cut", // cut | gapless | crossfade
+  crossfadeSeconds: Number(process.env.CROSSFADE_SECONDS || 4),
+  crossfadeCurve: process.env.CROSSFADE_CURVE || "qsin",
+  downloadDir: path.resolve(process.env.DOWNLOAD_DIR || path.join(__dirname, "downloads")),
+  tmpDir: path.resolve(process.env.TMP_DIR || path.join(__dirname, "tmp")), // sessions, tracks and saved state
   sessionIdleTtlMs: Number(process.env.SESSION_IDLE_TTL_MS) || 1000 * 60 * 60 * 6, // 6 hours
   downloadTokenTtlMs: Number(process.env.DOWNLOAD_TOKEN_TTL_MS) || 1000 * 60 * 30, // 30 minutes
   cookieSecure: process.env.COOKIE_SECURE === "true",
@@ -227,17 +250,31 @@ async function createSessionContext(sessionId) {
   const ctx = {
     id: sessionId,
     key,
-    playlist: new PlaylistStore(config.capSeconds),
+    projects: new Map(), // projectId -> { id, name, createdAt, playlist, pendingAdds }
+    activeProjectId: null,
+    settings: {
+      overflowPolicy: normalizeOverflowPolicy(config.overflowPolicy),
+      silence: defaultSilenceSettings(),
+      titleNoise: defaultTitleNoise(),
+    },
     addQueue: new ParallelWorkQueue(config.addParallelism, {
       name: `add-workers:${sessionId.slice(0, 8)}`,
     }),
+    loudnessQueue: new ParallelWorkQueue(1, {
+      name: `loudness:${sessionId.slice(0, 8)}`,
+    }),
+    loudnessJobs: new Map(), // itemId -> { source, promise }
     trackDir,
     scratchDir,
     downloadsDir,
     downloadTokens: new Set(),
-    pendingAdds: new Map(),
+    eventClients: new Set(), // open /api/events streams: { res, projectId, shareToken }
+    playlistImports: new Map(), // importId -> { url, title, entries, expiresAt }; tracklists too
+    tracklistJobs: new Map(), // jobId -> tracklist resolution, see startTracklistJob
+    keepSavedState: false, // rehydrate found none of the saved tracks; never write over them
     lastAccess: Date.now(),
   };
+  ctx.activeProjectId = createProject(ctx).id;
 
   console.log("[session] context created", {
     sessionId,
@@ -249,7 +286,225 @@ async function createSessionContext(sessionId) {
   return ctx;
 }
 
+const OVERFLOW_POLICIES = ["reject", "flag", "next-disc"];
+
+function normalizeOverflowPolicy(value, fallback = "reject") {
+  const str = String(value || "").trim().toLowerCase();
+  return OVERFLOW_POLICIES.includes(str) ? str : fallback;
+}
+
+function describeSettings(ctx) {
+  return {
+    profile: ctx.playlist.profileId,
+    profiles: Object.values(DISC_PROFILES),
+    loudness: { ...ctx.playlist.loudness },
+    loudnessModes: LOUDNESS_MODES,
+    pregapSeconds: ctx.playlist.pregapSeconds,
+    overflowPolicy: ctx.settings.overflowPolicy,
+    overflowPolicies: OVERFLOW_POLICIES,
+    silence: { ...ctx.settings.silence },
+    titleNoise: ctx.settings.titleNoise.slice(),
+    transition: { ...ctx.playlist.transition },
+    transitionTypes: TRANSITION_TYPES,
+    crossfadeCurves: Object.keys(CROSSFADE_CURVES),
+  };
+}
+
+// ---------- Projects ----------
+// A session holds several named CDs. Each project has its own playlist (disc
+// profile, album details, pregap, loudness, transitions) and its own in-flight
+// adds; overflow policy, silence trimming and title noise stay per session.
+const DEFAULT_PROJECT_NAME = "My CD";
+const PROJECT_NAME_MAX = 60;
+const PROJECTS_PER_SESSION = 20;
+
+function sanitizeProjectName(value, fallback = DEFAULT_PROJECT_NAME) {
+  const name = String(value ?? "").replace(/\s+/g, " ").trim().slice(0, PROJECT_NAME_MAX);
+  return name || fallback;
+}
+
+function createProject(ctx, { id, name, createdAt, playlist } = {}) {
+  const project = {
+    id: id || nanoid(10),
+    name: sanitizeProjectName(name),
+    createdAt: createdAt || Date.now(),
+    playlist: playlist || new PlaylistStore({ profile: config.discProfile }),
+    pendingAdds: new Map(),
+    shares: new Map(), // token -> { token, mode, createdAt }
+    playlistEvent: { timer: null, reasons: new Set() }, // coalesces "playlist" pushes
+  };
+  ctx.projects.set(project.id, project);
+  return project;
+}
+
+function describeProject(ctx, project) {
+  const playlist = project.playlist;
+  return {
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt,
+    active: project.id === ctx.activeProjectId,
+    profile: playlist.profileId,
+    albumTitle: playlist.album.title || "",
+    trackCount: playlist.items.length,
+    discCount: playlist.discCount,
+    totalSeconds: playlist.totalSeconds,
+  };
+}
+
+// Every item in every project. Two projects can point at the same download
+// (the same video added to both), so file cleanup checks all of them.
+function sessionItems(ctx) {
+  return Array.from(ctx.projects.values()).flatMap((project) => project.playlist.items);
+}
+
+function listProjects(ctx) {
+  return {
+    activeId: ctx.activeProjectId,
+    projects: Array.from(ctx.projects.values(), (project) => describeProject(ctx, project)),
+  };
+}
+
+// A copy of `playlist` whose items have fresh ids and their own files in the
+// session's track folder. Chapters that shared a download still share its copy.
+async function clonePlaylist(ctx, playlist) {
+  const copies = new Map(); // source path -> promise of the copy's path
+  const copyFile = (source) => {
+    if (!source) return null;
+    if (!copies.has(source)) {
+      const ext = path.extname(source);
+      const target = path.join(ctx.trackDir, `${path.basename(source, ext)}-${nanoid(6)}${ext}`);
+      copies.set(source, fsp.link(source, target).catch(() => fsp.copyFile(source, target)).then(() => target));
+    }
+    return copies.get(source);
+  };
+
+  const snapshot = structuredClone(playlist.snapshot());
+  try {
+    snapshot.items = await Promise.all(
+      snapshot.items.map(async (item) => {
+        const [filepath, originalPath] = await Promise.all([copyFile(item.filepath), copyFile(item.originalPath)]);
+        const loudness = item.loudness ? { ...item.loudness, source: filepath } : null;
+        return { ...item, id: nanoid(8), filepath, originalPath, loudness };
+      })
+    );
+  } catch (err) {
+    const made = await Promise.allSettled(copies.values());
+    await Promise.allSettled(made.filter((r) => r.status === "fulfilled").map((r) => safeUnlink(r.value)));
+    throw err;
+  }
+  return new PlaylistStore({ profile: playlist.profileId }).restore(snapshot);
+}
+
+// The session as seen by one project: `playlist` and `pendingAdds` are the
+// project's, everything else reads through to the session. Add jobs keep the
+// view they were queued with, so they land in their project even if the user
+// switches while they run.
+function projectContext(ctx, project) {
+  return Object.create(ctx, {
+    session: { value: ctx },
+    project: { value: project },
+    playlist: { value: project.playlist },
+    pendingAdds: { value: project.pendingAdds },
+    lastAccess: {
+      get: () => ctx.lastAccess,
+      set: (value) => {
+        ctx.lastAccess = value;
+      },
+    },
+  });
+}
+
+// A request may name its project with ?project=, a `project` body field or the
+// X-CD-Project header; otherwise it works on the session's active project.
+function requestedProjectId(req) {
+  const raw = req.query?.project ?? req.body?.project ?? req.headers?.["x-cd-project"];
+  const id = Array.isArray(raw) ? raw[0] : raw;
+  return typeof id === "string" && id.trim() ? id.trim() : null;
+}
+
+function projectMiddleware(req, res, next) {
+  const projectId = requestedProjectId(req);
+  // A share link already fixes the project
+  if (!projectId || req.share) return next();
+  const ctx = sessionContexts.get(req.sessionId);
+  if (!ctx?.projects.has(projectId)) {
+    return res.status(404).json({ error: "Project not found", code: "project-missing" });
+  }
+  req.projectId = projectId;
+  next();
+}
+
+// ---------- Share links ----------
+// A share token grants one project to whoever holds the link, without handing
+// over the owner's session. "view" links can only read the list (and clone it);
+// "edit" links work on the project like its owner but can't manage projects or
+// links. Requests carry the token as ?share= or the X-CD-Share header.
+const SHARE_MODES = ["view", "edit"];
+const SHARES_PER_PROJECT = 10;
+const SHARE_VIEW_ROUTES = [
+  ["GET", "/list"],
+  ["GET", "/settings"],
+  ["GET", "/events"],
+  ["POST", "/share/clone"],
+];
+const SHARE_OWNER_ONLY = /^\/(?:projects|shares)(?:\/|$)/;
+// Settings that reach across all of the owner's projects
+const SESSION_SETTING_FIELDS = ["overflowPolicy", "silence", "titleNoise"];
+
+const shareTokenIndex = new Map(); // token -> { sessionId, projectId, mode }
+
+function registerShare(ctx, project, share) {
+  project.shares.set(share.token, share);
+  shareTokenIndex.set(share.token, { token: share.token, sessionId: ctx.id, projectId: project.id, mode: share.mode });
+}
+
+function dropProjectShares(project) {
+  for (const token of project.shares.keys()) shareTokenIndex.delete(token);
+  project.shares.clear();
+}
+
+function describeShares(project) {
+  return Array.from(project.shares.values(), ({ token, mode, createdAt }) => ({ token, mode, createdAt }));
+}
+
+function shareMiddleware(req, res, next) {
+  const raw = req.query?.share ?? req.headers?.["x-cd-share"];
+  const token = Array.isArray(raw) ? raw[0] : raw;
+  if (!token) return next();
+  const share = shareTokenIndex.get(String(token));
+  if (!share) {
+    return res.status(404).json({ error: "This share link is no longer valid", code: "share-invalid" });
+  }
+  const allowed =
+    share.mode === "edit"
+      ? !SHARE_OWNER_ONLY.test(req.path)
+      : SHARE_VIEW_ROUTES.some(([method, route]) => method === req.method && route === req.path);
+  if (!allowed) {
+    const error = share.mode === "edit" ? "Share links can't manage projects or links" : "This link is view-only";
+    return res.status(403).json({ error, code: "share-forbidden" });
+  }
+  req.share = share;
+  next();
+}
+
+// The owner's project for a share link; the recipient's own session is untouched.
+function sharedProjectContext(share) {
+  const ctx = sessionContexts.get(share.sessionId);
+  const project = ctx?.projects.get(share.projectId);
+  if (!project) throw new Error("Shared project is gone");
+  ctx.lastAccess = Date.now();
+  return Object.defineProperty(projectContext(ctx, project), "share", { value: share });
+}
+
 async function getSessionContext(req) {
+  if (req.share) return sharedProjectContext(req.share);
+  const ctx = await getSessionRoot(req);
+  const project = ctx.projects.get(req.projectId) || ctx.projects.get(ctx.activeProjectId);
+  return projectContext(ctx, project);
+}
+
+async function getSessionRoot(req) {
   const sid = req.sessionId;
   if (!sid) throw new Error("Session ID missing");
   const existing = sessionContexts.get(sid);
@@ -282,14 +537,23 @@ async function destroySessionContext(sessionId) {
 
   console.log("[session] destroying context", { sessionId, key: ctx.key });
 
+  ctx.destroyed = true;
+  clearTimeout(ctx.saveTimer);
+  for (const project of ctx.projects.values()) dropProjectShares(project);
+  for (const client of ctx.eventClients) client.res.end();
+  ctx.eventClients.clear();
+
   for (const token of ctx.downloadTokens) {
     dropDownloadToken(token, downloadTokenIndex.get(token));
   }
   ctx.downloadTokens.clear();
-  ctx.pendingAdds?.clear?.();
+  ctx.playlistImports?.clear?.();
 
-  const cleared = ctx.playlist.clear();
-  await Promise.allSettled(cleared.map((item) => safeUnlink(item?.filepath)));
+  for (const project of ctx.projects.values()) {
+    project.pendingAdds.clear();
+    const cleared = project.playlist.clear();
+    await Promise.allSettled(cleared.map((item) => unlinkItemFiles(item)));
+  }
 
   const dirs = [ctx.trackDir, ctx.scratchDir, ctx.downloadsDir, path.join(config.tmpDir, `session-${ctx.key}`)];
   await Promise.allSettled(dirs.map(async (dir) => {
@@ -330,6 +594,318 @@ setInterval(() => {
   });
 }, Math.min(SESSION_COOKIE_MAX_AGE, 1000 * 60 * 10)).unref?.();
 
+// ---------- Live events ----------
+// Each open page holds a Server-Sent Events stream (GET /api/events) for one
+// project. Pushes: "job" for add progress, "tracklist" for tracklist lookups,
+// "playlist" with the whole list after any change, "projects" when the
+// session's projects change, and "revoked" when a share link stops working.
+// Clients resync with a full reload on reconnect.
+const EVENT_RETRY_MS = 3000;
+const EVENT_KEEPALIVE_MS = 25_000;
+const EVENT_PLAYLIST_DELAY_MS = 150;
+
+function sendEvent(res, type, data) {
+  try {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  } catch {
+    // the close handler drops the client
+  }
+}
+
+// To every stream on the view's project. Session-wide events go to all of the
+// session's own streams instead; share recipients never see other projects.
+function publishEvent(view, type, data, { sessionWide = false } = {}) {
+  const session = view?.session || view;
+  if (!session?.eventClients?.size) return;
+  const projectId = view.project?.id ?? null;
+  for (const client of session.eventClients) {
+    if (sessionWide ? client.shareToken : client.projectId !== projectId) continue;
+    sendEvent(client.res, type, { project: projectId, ...data });
+  }
+}
+
+// The list after a change. Bursts (a chapter split, loudness results arriving)
+// go out as one event carrying every reason.
+function publishPlaylist(view, reason) {
+  const project = view?.project;
+  if (!project || !view.session.eventClients.size) return;
+  const pending = project.playlistEvent;
+  pending.reasons.add(reason);
+  if (pending.timer) return;
+  pending.timer = setTimeout(() => {
+    pending.timer = null;
+    const reasons = Array.from(pending.reasons);
+    pending.reasons.clear();
+    publishEvent(view, "playlist", { reasons, playlist: project.playlist.toJSON() });
+  }, EVENT_PLAYLIST_DELAY_MS);
+  pending.timer.unref?.();
+}
+
+function publishProjects(session) {
+  publishEvent(session, "projects", listProjects(session), { sessionWide: true });
+}
+
+// End share-link streams, for one token or for every link to a project.
+function closeShareStreams(session, { token = null, projectId = null } = {}) {
+  for (const client of session.eventClients) {
+    if (!client.shareToken) continue;
+    if (token ? client.shareToken !== token : client.projectId !== projectId) continue;
+    sendEvent(client.res, "revoked", { project: client.projectId });
+    client.res.end();
+    session.eventClients.delete(client);
+  }
+}
+
+// ---------- Session persistence ----------
+// Each session keeps its settings and projects in tmp/session-<key>/state.json
+// next to its tracks, so a restart picks up where everyone left off. Download
+// tokens, add progress and in-flight adds stay in memory and are lost.
+const SESSION_STATE_FILE = "state.json";
+const SESSION_STATE_VERSION = 2; // 1 held a single playlist instead of projects
+const SESSION_SAVE_DELAY_MS = 1000;
+
+function sessionStatePath(ctx) {
+  return path.join(config.tmpDir, `session-${ctx.key}`, SESSION_STATE_FILE);
+}
+
+// Track paths are saved relative to the session's tracks folder so a restart
+// from another app directory (a new release folder, a fresh checkout) still
+// finds them. Older state files hold absolute paths; those keep their name.
+function storedTrackPath(ctx, filePath) {
+  return filePath ? path.relative(ctx.trackDir, filePath) : filePath;
+}
+
+function resolveTrackPath(ctx, stored) {
+  if (!stored || typeof stored !== "string") return null;
+  return path.join(ctx.trackDir, path.isAbsolute(stored) ? path.basename(stored) : stored);
+}
+
+function storedPlaylist(ctx, playlist) {
+  const snapshot = playlist.snapshot();
+  snapshot.items = snapshot.items.map((item) => ({
+    ...item,
+    filepath: storedTrackPath(ctx, item.filepath),
+    originalPath: storedTrackPath(ctx, item.originalPath),
+  }));
+  return snapshot;
+}
+
+function resolvedPlaylist(ctx, saved) {
+  if (!Array.isArray(saved?.items)) return saved;
+  return {
+    ...saved,
+    items: saved.items.map((item) =>
+      item && typeof item === "object"
+        ? { ...item, filepath: resolveTrackPath(ctx, item.filepath), originalPath: resolveTrackPath(ctx, item.originalPath) }
+        : item
+    ),
+  };
+}
+
+// Write to a temp file and rename it over the old one so a crash mid-write
+// never leaves a truncated state file behind.
+async function saveSessionState(ctx) {
+  if (ctx.destroyed || ctx.keepSavedState) return;
+  const target = sessionStatePath(ctx);
+  const temp = `${target}.${nanoid(6)}.tmp`;
+  const state = {
+    version: SESSION_STATE_VERSION,
+    id: ctx.id,
+    lastAccess: ctx.lastAccess,
+    settings: ctx.settings,
+    activeProjectId: ctx.activeProjectId,
+    projects: Array.from(ctx.projects.values(), (project) => ({
+      id: project.id,
+      name: project.name,
+      createdAt: project.createdAt,
+      shares: describeShares(project),
+      playlist: storedPlaylist(ctx, project.playlist),
+    })),
+  };
+  try {
+    await fsp.writeFile(temp, JSON.stringify(state), "utf8");
+    await fsp.rename(temp, target);
+  } catch (err) {
+    await safeUnlink(temp);
+    if (!ctx.destroyed) {
+      console.warn("[session] failed to save state", { sessionId: ctx.id, error: err?.message || err });
+    }
+  }
+}
+
+// Coalesce bursts of edits into one write; saves for a session never overlap.
+// Accepts a project view too.
+function scheduleSessionSave(view) {
+  const ctx = view?.session || view;
+  if (!ctx || ctx.destroyed || ctx.keepSavedState) return;
+  clearTimeout(ctx.saveTimer);
+  ctx.saveTimer = setTimeout(() => {
+    ctx.saveTimer = null;
+    ctx.saving = (ctx.saving || Promise.resolve()).then(() => saveSessionState(ctx));
+  }, SESSION_SAVE_DELAY_MS);
+  ctx.saveTimer.unref?.();
+}
+
+async function flushSessionSaves() {
+  await Promise.allSettled(
+    Array.from(sessionContexts.values(), async (ctx) => {
+      if (!ctx.saveTimer) return ctx.saving;
+      clearTimeout(ctx.saveTimer);
+      ctx.saveTimer = null;
+      await ctx.saving;
+      return saveSessionState(ctx);
+    })
+  );
+}
+
+async function readSessionState(root) {
+  try {
+    const state = JSON.parse(await fsp.readFile(path.join(root, SESSION_STATE_FILE), "utf8"));
+    if (!sanitizeSessionId(state?.id)) return null;
+    if (state.version === 1) {
+      return { ...state, projects: [{ name: DEFAULT_PROJECT_NAME, playlist: state.playlist }] };
+    }
+    return state.version === SESSION_STATE_VERSION && Array.isArray(state.projects) ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+async function fileExists(p) {
+  try {
+    return (await fsp.stat(p)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+async function emptyDir(dir) {
+  const names = await fsp.readdir(dir).catch(() => []);
+  await Promise.allSettled(names.map((name) => fsp.rm(path.join(dir, name), { recursive: true, force: true })));
+  return names.length;
+}
+
+// Drop items whose files are gone. Returns the dropped items.
+async function reconcilePlaylist(playlist) {
+  const items = playlist.items;
+  const present = await Promise.all(
+    items.map(async (item) => {
+      const paths = [item.filepath, item.originalPath].filter(Boolean);
+      if (!paths.length) return false;
+      const found = await Promise.all(paths.map(fileExists));
+      return found.every(Boolean);
+    })
+  );
+  const dropped = items.filter((_, idx) => !present[idx]);
+  if (dropped.length) {
+    playlist.items = items.filter((_, idx) => present[idx]);
+    playlist.compactDiscs();
+  }
+  return dropped;
+}
+
+// Rebuild one session from its state file. Items whose files are gone are
+// dropped, and any file in the tracks folder no item points at is removed.
+async function rehydrateSession(state) {
+  const ctx = await createSessionContext(state.id);
+  ctx.lastAccess = Number(state.lastAccess) || Date.now();
+
+  const saved = state.settings || {};
+  ctx.settings.overflowPolicy = normalizeOverflowPolicy(saved.overflowPolicy, ctx.settings.overflowPolicy);
+  const silence = normalizeSilenceSettings(saved.silence, ctx.settings.silence);
+  if (silence.ok) ctx.settings.silence = silence.settings;
+  ctx.settings.titleNoise = normalizeTitleNoise(saved.titleNoise) || ctx.settings.titleNoise;
+
+  ctx.projects.clear();
+  for (const saved of state.projects.slice(0, PROJECTS_PER_SESSION)) {
+    const playlist = new PlaylistStore({ profile: config.discProfile }).restore(resolvedPlaylist(ctx, saved?.playlist));
+    const id = typeof saved?.id === "string" && saved.id ? saved.id : undefined;
+    const project = createProject(ctx, { id, name: saved?.name, createdAt: Number(saved?.createdAt) || undefined, playlist });
+    for (const share of Array.isArray(saved?.shares) ? saved.shares : []) {
+      if (typeof share?.token !== "string" || !SHARE_MODES.includes(share.mode)) continue;
+      registerShare(ctx, project, { token: share.token, mode: share.mode, createdAt: share.createdAt });
+    }
+  }
+  if (!ctx.projects.size) createProject(ctx);
+  ctx.activeProjectId = ctx.projects.has(state.activeProjectId)
+    ? state.activeProjectId
+    : ctx.projects.keys().next().value;
+
+  const projects = Array.from(ctx.projects.values());
+  const dropped = (await Promise.all(projects.map((project) => reconcilePlaylist(project.playlist)))).flat();
+  const items = projects.flatMap((project) => project.playlist.items);
+  // Losing every track at once means the files are somewhere we didn't look,
+  // not that they're gone: leave the folder and the state file alone.
+  const lostAll = dropped.length > 0 && items.length === 0;
+
+  const referenced = new Set(items.flatMap((item) => [item.filepath, item.originalPath]));
+  const names = await fsp.readdir(ctx.trackDir).catch(() => []);
+  const orphans = lostAll
+    ? []
+    : names.map((name) => path.join(ctx.trackDir, name)).filter((p) => !referenced.has(p));
+  await Promise.allSettled(orphans.map((p) => fsp.rm(p, { recursive: true, force: true })));
+  await emptyDir(ctx.scratchDir);
+  await emptyDir(ctx.downloadsDir);
+
+  // The emptied playlists stay usable for this run, but saving them would
+  // overwrite the only record of the missing tracks.
+  ctx.keepSavedState = lostAll;
+  sessionContexts.set(ctx.id, ctx);
+  for (const item of items) ensureItemLoudness(ctx, item);
+  if (lostAll) {
+    console.warn("[session] no saved track files found, skipping cleanup and saves", {
+      sessionId: ctx.id,
+      trackDir: ctx.trackDir,
+      missingItems: dropped.length,
+    });
+  } else if (dropped.length || orphans.length || state.version !== SESSION_STATE_VERSION) {
+    scheduleSessionSave(ctx);
+  }
+
+  console.log("[session] rehydrated", {
+    sessionId: ctx.id,
+    projects: projects.length,
+    items: items.length,
+    droppedItems: dropped.map((item) => item.id),
+    orphanFiles: orphans.length,
+  });
+}
+
+// Startup: restore every session that has a state file and has not idled out;
+// folders without one (or past their ttl) are leftovers and get removed.
+async function rehydrateSessions() {
+  const now = Date.now();
+  const names = await fsp.readdir(config.tmpDir).catch(() => []);
+  let restored = 0;
+  for (const name of names.filter((n) => n.startsWith("session-"))) {
+    const root = path.join(config.tmpDir, name);
+    const state = await readSessionState(root);
+    const fresh = state && Number(state.lastAccess) + SESSION_COOKIE_MAX_AGE > now;
+    if (fresh && `session-${sessionFsKey(state.id)}` === name) {
+      try {
+        await rehydrateSession(state);
+        restored += 1;
+        continue;
+      } catch (err) {
+        console.warn("[session] failed to rehydrate", { dir: name, error: err?.message || err });
+      }
+    }
+    console.log("[session] removing leftover session files", { dir: name, reason: state ? "expired" : "no state" });
+    await fsp.rm(root, { recursive: true, force: true }).catch(() => {});
+    await fsp.rm(path.join(config.downloadDir, name), { recursive: true, force: true }).catch(() => {});
+  }
+  // Finished exports are only reachable through download tokens, which do not
+  // survive a restart.
+  const live = new Set(Array.from(sessionContexts.values(), (ctx) => `session-${ctx.key}`));
+  const exportDirs = await fsp.readdir(config.downloadDir).catch(() => []);
+  await Promise.allSettled(
+    exportDirs
+      .filter((name) => name.startsWith("session-") && !live.has(name))
+      .map((name) => fsp.rm(path.join(config.downloadDir, name), { recursive: true, force: true }))
+  );
+  if (restored) console.log("[session] restored sessions from disk", { count: restored });
+}
+
 function sessionCookieMiddleware(req, res, next) {
   const cookies = parseCookies(req.headers?.cookie);
   const cookieSid = sanitizeSessionId(cookies[SESSION_COOKIE_NAME]);
@@ -434,7 +1010,20 @@ if (COOKIES_INFO.path) {
 const app = express();
 
 app.use(sessionCookieMiddleware);
+// Anything but a read may have changed the session (or, through a share link,
+// the owner's); save it once the reply is out.
+app.use((req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.on("finish", () => {
+      scheduleSessionSave(sessionContexts.get(req.sessionId));
+      if (req.share) scheduleSessionSave(sessionContexts.get(req.share.sessionId));
+    });
+  }
+  next();
+});
 app.use(express.json());
+app.use("/api", shareMiddleware);
+app.use("/api", projectMiddleware);
 app.use(express.static(path.join(__dirname, "public")));
 
 async function serveDownload(req, res, { head = false } = {}) {
@@ -456,7 +1045,14 @@ async function serveDownload(req, res, { head = false } = {}) {
     filename: entry.filename,
   });
 
-  if (!req.sessionId || req.sessionId !== entry.sessionId) {
+  // Exports made through a share link stay with the link: the recipient never
+  // gets the owner's session, and revoking the link voids its downloads.
+  if (entry.shareToken && !shareTokenIndex.has(entry.shareToken)) {
+    dropDownloadToken(token, entry);
+    return res.status(404).json({ error: "Download expired" });
+  }
+
+  if (!entry.shareToken && (!req.sessionId || req.sessionId !== entry.sessionId)) {
     req.sessionId = entry.sessionId;
     try {
       setCookie(res, buildSessionCookie(entry.sessionId));
@@ -466,7 +1062,7 @@ async function serveDownload(req, res, { head = false } = {}) {
   }
 
   try {
-    res.setHeader("X-CD-Session", entry.sessionId);
+    res.setHeader("X-CD-Session", req.sessionId);
   } catch (err) {
     console.warn("[downloads] failed to set session header:", err?.message || err);
   }
@@ -526,6 +1122,7 @@ function registerDownloadToken(ctx, filePath, filename) {
   const token = nanoid(21);
   downloadTokenIndex.set(token, {
     sessionId: ctx.id,
+    shareToken: ctx.share?.token || null,
     path: filePath,
     filename,
     expiresAt: Date.now() + DOWNLOAD_TOKEN_TTL,
@@ -544,784 +1141,3293 @@ function dropDownloadToken(token, entry) {
   console.log("[downloads] token dropped", { token, sessionId: entry?.sessionId, filename: entry?.filename });
 }
 
-class PlaylistStore {
-  constructor(capSeconds) {
-    this.capSeconds = capSeconds;
-    this.items = [];
-    this.nextSeq = 1;
-  }
+// Red Book geometry. A CD frame (sector) is 1/75 s; the first track always
+// sits behind a mandatory 2 s pregap, later gaps are up to the playlist.
+const CD_SAMPLE_RATE = 44100;
+const CD_FRAMES_PER_SECOND = 75;
+const CD_SECTOR_BYTES = 2352; // one CD frame: 588 stereo 16-bit samples
+const PCM_BYTES_PER_SAMPLE = 4; // 16-bit stereo
+const PCM_BYTES_PER_SECOND = CD_SAMPLE_RATE * PCM_BYTES_PER_SAMPLE;
+const CD_MAX_TRACKS = 99;
+const CD_FIRST_PREGAP_FRAMES = 2 * CD_FRAMES_PER_SECOND;
+// Lead-out length written after the last track. A blank's rated capacity is the
+// latest point the lead-out may *start*, so it is reported but not counted.
+const CD_LEAD_OUT_FRAMES = 90 * CD_FRAMES_PER_SECOND;
+const CD_PREGAP_MAX_SECONDS = 10;
+
+function secondsToFrames(seconds) {
+  const num = Number(seconds);
+  if (!Number.isFinite(num) || num <= 0) return 0;
+  // Tracks are padded to a whole sector, so partial frames round up
+  return Math.ceil(num * CD_FRAMES_PER_SECOND - 1e-6);
+}
 
-  get totalSeconds() {
-    return this.items.reduce((acc, t) => acc + (t.duration || 0), 0);
-  }
+function framesToSeconds(frames) {
+  return Math.max(0, Number(frames) || 0) / CD_FRAMES_PER_SECOND;
+}
 
-  issueSeq() {
-    const seq = this.nextSeq;
-    this.nextSeq += 1;
-    return seq;
-  }
+function normalizePregapSeconds(value, fallback = 2) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  const clamped = Math.max(0, Math.min(CD_PREGAP_MAX_SECONDS, num));
+  // Keep gaps on whole frames
+  return Math.round(clamped * CD_FRAMES_PER_SECOND) / CD_FRAMES_PER_SECOND;
+}
 
-  add(item, seq) {
-    const orderSeq = Number.isFinite(seq) ? seq : this.issueSeq();
-    const entry = { ...item, orderSeq };
-    const insertIdx = this.items.findIndex((t) => Number(t?.orderSeq ?? Infinity) > orderSeq);
-    if (insertIdx === -1) {
-      this.items.push(entry);
-    } else {
-      this.items.splice(insertIdx, 0, entry);
-    }
-    this.nextSeq = Math.max(this.nextSeq, orderSeq + 1);
-    return entry;
-  }
+// Blank media the playlist can target. Audio profiles are measured in CD frames,
+// the data profile in bytes of MP3 files (700 MiB leaves room for the ISO 9660
+// filesystem on a 737 MB blank).
+const DISC_PROFILES = {
+  "cd-74": { id: "cd-74", label: "74-minute audio CD", kind: "time", capSeconds: 74 * 60 },
+  "cd-80": { id: "cd-80", label: "80-minute audio CD", kind: "time", capSeconds: 80 * 60 },
+  "cd-90": { id: "cd-90", label: "90-minute audio CD", kind: "time", capSeconds: 90 * 60 },
+  "mp3-700": { id: "mp3-700", label: "MP3 data CD (700 MB)", kind: "bytes", capBytes: 700 * 1024 * 1024 },
+};
+const DEFAULT_DISC_PROFILE = "cd-80";
+const MP3_V0_ESTIMATE_KBPS = 245;
 
-  remove(id) {
-    const idx = this.items.findIndex((t) => t.id === id);
-    if (idx === -1) return null;
-    const [removed] = this.items.splice(idx, 1);
-    return removed;
-  }
+function resolveDiscProfile(id) {
+  return DISC_PROFILES[String(id || "").trim().toLowerCase()] || null;
+}
 
-  clear() {
-    const cleared = this.items.slice();
-    this.items.length = 0;
-    this.nextSeq = 1;
-    return cleared;
-  }
+// Rough size of a track before it has been downloaded, for byte-based discs.
+function estimateMp3Bytes(durationSeconds, quality) {
+  const q = String(quality || "").toLowerCase();
+  const kbps = q === "320" || q === "320k" ? 320 : MP3_V0_ESTIMATE_KBPS;
+  return Math.ceil((Math.max(0, Number(durationSeconds) || 0) * kbps * 1000) / 8);
+}
 
-  find(id) {
-    return this.items.find((t) => t.id === id) || null;
-  }
+function itemByteCost(item) {
+  const size = Number(item?.sizeBytes);
+  return Number.isFinite(size) && size > 0 ? size : estimateMp3Bytes(item?.duration, item?.quality);
+}
 
-  reorder(orderIds) {
-    if (!Array.isArray(orderIds)) return false;
-    if (orderIds.length !== this.items.length) return false;
+function formatMegabytes(bytes) {
+  return `${(Math.max(0, Number(bytes) || 0) / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-    const uniq = new Set(orderIds);
-    if (uniq.size !== orderIds.length) return false;
+const ALBUM_FIELDS = ["title", "performer", "songwriter", "genre", "year"];
+const ALBUM_TEXT_MAX = 80; // CD-TEXT packs are small; keep fields burner-friendly
 
-    const map = new Map(this.items.map((item) => [item.id, item]));
-    if (orderIds.some((id) => !map.has(id))) return false;
+function emptyAlbum() {
+  return { title: "", performer: "", songwriter: "", genre: "", year: "" };
+}
 
-    const baseSeq = this.nextSeq;
-    const next = orderIds.map((id, idx) => {
-      const entry = map.get(id);
-      entry.orderSeq = baseSeq + idx;
-      return entry;
-    });
-    this.nextSeq = baseSeq + next.length;
-    this.items.splice(0, this.items.length, ...next);
-    return true;
+function sanitizeAlbumField(key, value) {
+  if (value === null || value === undefined) return "";
+  const str = String(value)
+    .replace(/[\u0000-\u001f]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (key === "year") {
+    const m = str.match(/^\d{4}$/);
+    return m ? m[0] : "";
   }
+  return str.slice(0, ALBUM_TEXT_MAX);
+}
 
-  toJSON() {
-    return {
-      capSeconds: this.capSeconds,
-      totalSeconds: this.totalSeconds,
-      items: this.items.map(({ id, title, duration, sizeBytes, videoId, thumbnail, orderSeq }) => ({
-        id,
-        title,
-        duration,
-        sizeBytes,
-        videoId: videoId || null,
-        thumbnail: thumbnail || null,
-        order: orderSeq,
-      })),
-    };
+const ITEM_META_FIELDS = ["title", "artist", "album", "comment"];
+const ITEM_TEXT_MAX = 200;
+
+// Validate a partial { title, artist, album, comment } edit. Empty strings (or
+// null) clear the optional fields; the title can't be blank.
+// Returns { ok, meta } or { ok: false, error }.
+function normalizeItemMeta(patch) {
+  const meta = {};
+  for (const key of ITEM_META_FIELDS) {
+    if (patch[key] === undefined) continue;
+    const value = String(patch[key] ?? "")
+      .replace(/[\u0000-\u001f]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, ITEM_TEXT_MAX);
+    if (key === "title" && !value) return { ok: false, error: "title can't be empty" };
+    meta[key] = value;
   }
+  return { ok: true, meta };
 }
 
-const canceledAddTokens = new Map();
-const CANCELED_TOKEN_TTL = 1000 * 60 * 15; // 15 minutes
+// Bits of upload titles that aren't part of the song name, matched as whole
+// words inside brackets or after a trailing separator. Years and "version"
+// next to them go too, so "(Remastered 2011)" and "[2009 Remaster]" match.
+const DEFAULT_TITLE_NOISE = [
+  "official music video",
+  "official video",
+  "official audio",
+  "official lyric video",
+  "official visualizer",
+  "music video",
+  "lyric video",
+  "with lyrics",
+  "lyrics",
+  "visualizer",
+  "official",
+  "audio",
+  "video",
+  "remastered",
+  "remaster",
+  "hd",
+  "hq",
+  "4k",
+  "1080p",
+  "mv",
+];
+const TITLE_NOISE_MAX = 50;
+
+function defaultTitleNoise() {
+  return normalizeTitleNoise(config.titleNoise) || DEFAULT_TITLE_NOISE.slice();
+}
 
-const addProgressMap = new Map();
-const ADD_PROGRESS_ACTIVE_TTL = 1000 * 60 * 5; // 5 minutes for active downloads
-const ADD_PROGRESS_DONE_TTL = 1000 * 10; // allow brief polling after completion
+// Accepts an array or a comma-separated string. Returns the cleaned list, or
+// null when nothing usable was given.
+function normalizeTitleNoise(value) {
+  if (value === null || value === undefined) return null;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const phrases = list
+    .map((entry) => String(entry ?? "").replace(/\s+/g, " ").trim().toLowerCase().slice(0, 60))
+    .filter(Boolean);
+  return phrases.length ? [...new Set(phrases)].slice(0, TITLE_NOISE_MAX) : null;
+}
 
-function purgeCanceledTokens() {
-  const now = Date.now();
-  for (const [token, expiry] of canceledAddTokens) {
-    if (expiry <= now) canceledAddTokens.delete(token);
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isTitleNoise(text, noise) {
+  // A bare year is a title ("1999"), not a tag; only strip it next to noise words
+  if (/^\s*(?:19|20)\d{2}\s*$/.test(text)) return false;
+  let rest = ` ${text} `;
+  for (const phrase of noise) {
+    const words = phrase.split(" ").map(escapeRegExp).join("\\s+");
+    rest = rest.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${words}(?=$|[^\\p{L}\\p{N}])`, "giu"), "$1");
   }
+  rest = rest.replace(/\b(?:19|20)\d{2}\b/g, "").replace(/\bversion\b/gi, "");
+  return !/[\p{L}\p{N}]/u.test(rest);
 }
 
-function markAddCanceled(token) {
-  if (!token) return;
-  purgeCanceledTokens();
-  canceledAddTokens.set(token, Date.now() + CANCELED_TOKEN_TTL);
+function tidyTitle(text) {
+  return text.replace(/\s+/g, " ").replace(/^[\s|\-–—:]+|[\s|\-–—:]+$/g, "");
 }
 
-function isAddCanceled(token) {
-  if (!token) return false;
-  purgeCanceledTokens();
-  return canceledAddTokens.has(token);
+// Drop noise groups like "(Official Video)" or "[HD]" anywhere in the title.
+function stripNoiseGroups(title, noise) {
+  return String(title || "").replace(/\s*[(\[【]([^)\]】]*)[)\]】]/g, (group, inner) =>
+    isTitleNoise(inner, noise) ? "" : group
+  );
 }
 
-function clearCanceledToken(token) {
-  if (!token) return;
-  canceledAddTokens.delete(token);
+// Drop noise tails like "- Official Audio" or "| 4K", but never the last
+// words standing: "Video" on its own is the song, not a tag.
+function stripNoiseTails(title, noise) {
+  let out = title;
+  let tail;
+  while ((tail = out.match(/^(.*\S)\s*[|\-–—:]\s*([^|\-–—:]+)$/)) && isTitleNoise(tail[2], noise)) {
+    if (!/[\p{L}\p{N}]/u.test(tail[1])) break;
+    out = tail[1];
+  }
+  return tidyTitle(out);
 }
 
-function purgeAddProgress() {
-  const now = Date.now();
-  for (const [token, entry] of addProgressMap) {
-    if (!entry || typeof entry.expiresAt !== "number") {
-      addProgressMap.delete(token);
-      continue;
+function cleanTitle(title, noise = DEFAULT_TITLE_NOISE) {
+  return stripNoiseTails(stripNoiseGroups(title, noise), noise);
+}
+
+function stripQuotes(str) {
+  const m = str.match(/^["“'‘](.+)["”'’]$/);
+  return m ? m[1].trim() : str;
+}
+
+// Split an upload into { artist, title }. Structured yt-dlp fields (filled in
+// for auto-generated "Topic" uploads and some music videos) win; otherwise the
+// "Artist - Title" convention is parsed from the cleaned title.
+function parseTrackTitle(rawTitle, meta = null, noise = DEFAULT_TITLE_NOISE) {
+  const raw = String(rawTitle || "").trim();
+  if (meta?.track && meta?.artist) {
+    return { artist: String(meta.artist).trim(), title: cleanTitle(meta.track, noise) || String(meta.track).trim() };
+  }
+  // Split before stripping tails so "Prince - 1999" keeps its title
+  const grouped = tidyTitle(stripNoiseGroups(raw, noise)) || raw;
+  const split = grouped.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  if (split) {
+    const title = stripNoiseTails(split[2], noise) || tidyTitle(split[2]);
+    return { artist: split[1].trim(), title: stripQuotes(title) };
+  }
+  const cleaned = stripNoiseTails(grouped, noise) || grouped;
+  const topic = String(meta?.channel || meta?.uploader || "").match(/^(.+?) - Topic$/);
+  return { artist: String(meta?.artist || topic?.[1] || "").trim(), title: stripQuotes(cleaned) };
+}
+
+function discNumberOf(item) {
+  const num = Number(item?.disc);
+  return Number.isFinite(num) && num >= 1 ? Math.floor(num) : 1;
+}
+
+function parseDiscParam(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 1 ? Math.floor(num) : null;
+}
+
+// Accepts YouTube-style offsets ("95", "95s", "1m35s", "1h2m3s") and clock
+// notation ("1:35", "1:02:03"). Returns seconds, or null when unparseable.
+function parseTimestamp(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+  const str = String(value ?? "").trim().toLowerCase();
+  if (!str) return null;
+  if (/^\d+(\.\d+)?s?$/.test(str)) return parseFloat(str);
+  const units = str.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (units && (units[1] || units[2] || units[3])) {
+    return Number(units[1] || 0) * 3600 + Number(units[2] || 0) * 60 + Number(units[3] || 0);
+  }
+  const clock = str.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (clock) {
+    return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  }
+  return null;
+}
+
+// Trim points carried in a watch URL: `t=`/`start=` and `end=`, in the query
+// string or the fragment (`#t=1m30s`).
+function trimFromUrl(u) {
+  const trim = { start: null, end: null };
+  try {
+    const url = new URL(u);
+    const hash = new URLSearchParams(url.hash.replace(/^#/, ""));
+    const pick = (key) => url.searchParams.get(key) ?? hash.get(key);
+    trim.start = parseTimestamp(pick("t") ?? pick("start"));
+    trim.end = parseTimestamp(pick("end"));
+  } catch {}
+  return trim;
+}
+
+// Validate trim points against the untrimmed length. `end` of null means "to
+// the end of the source". Returns { ok, start, end, duration } or { ok: false, error }.
+function normalizeTrim({ start, end } = {}, sourceDuration) {
+  const total = Number(sourceDuration) || 0;
+  const from = start === null || start === undefined || start === "" ? 0 : parseTimestamp(start);
+  let to = end === null || end === undefined || end === "" ? null : parseTimestamp(end);
+  if (from === null) return { ok: false, error: "Invalid start time" };
+  if (to === null && end !== null && end !== undefined && end !== "") {
+    return { ok: false, error: "Invalid end time" };
+  }
+  if (total && to !== null && to >= total) to = null;
+  if (total && from >= total) return { ok: false, error: "Start is past the end of the track" };
+  if (to !== null && to <= from) return { ok: false, error: "End must be after start" };
+  const stop = to === null ? total : to;
+  return { ok: true, start: from, end: to, duration: Math.max(0, stop - from) };
+}
+
+function isTrimmed(trim) {
+  return Boolean(trim) && (trim.start > 0 || trim.end !== null);
+}
+
+const SILENCE_THRESHOLD_RANGE = [-90, -20];
+const SILENCE_MIN_SECONDS_RANGE = [0.1, 10];
+// Never let silence trimming leave less than this much of a track
+const SILENCE_KEEP_MIN_SECONDS = 1;
+
+function defaultSilenceSettings() {
+  return normalizeSilenceSettings(
+    { enabled: config.silenceTrim, thresholdDb: config.silenceThresholdDb, minSeconds: config.silenceMinSeconds },
+    { enabled: false, thresholdDb: -50, minSeconds: 0.5 }
+  ).settings;
+}
+
+// Merge a partial { enabled, thresholdDb, minSeconds } over `current`.
+// Returns { ok, settings } or { ok: false, error }.
+function normalizeSilenceSettings(patch, current) {
+  const next = { ...current };
+  if (!patch || typeof patch !== "object") return { ok: true, settings: next };
+  if (patch.enabled !== undefined) next.enabled = Boolean(patch.enabled);
+  if (patch.thresholdDb !== undefined) {
+    const value = Number(patch.thresholdDb);
+    const [min, max] = SILENCE_THRESHOLD_RANGE;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { ok: false, error: `silence.thresholdDb must be between ${min} and ${max}` };
     }
-    if (entry.expiresAt <= now) {
-      addProgressMap.delete(token);
+    next.thresholdDb = value;
+  }
+  if (patch.minSeconds !== undefined) {
+    const value = Number(patch.minSeconds);
+    const [min, max] = SILENCE_MIN_SECONDS_RANGE;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { ok: false, error: `silence.minSeconds must be between ${min} and ${max}` };
     }
+    next.minSeconds = value;
   }
+  return { ok: true, settings: next };
 }
 
-function setAddProgress(token, value, { done = false, status, message } = {}) {
-  if (!token) return;
-  purgeAddProgress();
-  const raw = Number(value);
-  const clamped = Number.isFinite(raw) ? Math.max(0, Math.min(100, raw)) : 0;
-  const prev = addProgressMap.get(token);
-  const nextValue = !done && prev && typeof prev.value === "number"
-    ? Math.max(prev.value, clamped)
-    : clamped;
-  const prevLogged = prev?.loggedValue ?? prev?.value ?? null;
-  if (prevLogged === null || done !== prev?.done || Math.abs(nextValue - prevLogged) >= 5) {
-    console.log("[add] progress", { token, value: nextValue, done });
+// Per-item override: true/false forces silence trimming on/off, null follows the session.
+function parseSilenceOverride(value) {
+  if (value === null || value === "default") return { ok: true, value: null };
+  if (value === true || value === "true" || value === "on") return { ok: true, value: true };
+  if (value === false || value === "false" || value === "off") return { ok: true, value: false };
+  return { ok: false };
+}
+
+// Where an item actually plays from: the user's trim window narrowed by any
+// detected silence ({ lead, trail } seconds).
+function effectiveCut(trim, silence, sourceDuration) {
+  const total = Number(sourceDuration) || 0;
+  const windowEnd = trim.end ?? total;
+  const start = (trim.start || 0) + (silence?.lead || 0);
+  const stop = windowEnd - (silence?.trail || 0);
+  const duration = Math.round(Math.max(0, stop - start) * 1000) / 1000;
+  return { start, end: stop >= total ? null : stop, duration };
+}
+
+// Per-item fades and volume, applied at export on top of any loudness gain.
+const FADE_MAX_SECONDS = 30;
+const VOLUME_DB_RANGE = [-30, 12];
+
+// Merge { fadeIn, fadeOut, volumeDb } from `patch` over the item's own values;
+// null resets a field. Returns { ok, shaping } or { ok: false, error }.
+function normalizeItemShaping(patch, item) {
+  const next = { fadeIn: item.fadeIn || 0, fadeOut: item.fadeOut || 0, volumeDb: item.volumeDb || 0 };
+  for (const key of ["fadeIn", "fadeOut"]) {
+    if (patch[key] === undefined) continue;
+    const value = patch[key] === null ? 0 : Number(patch[key]);
+    if (!Number.isFinite(value) || value < 0 || value > FADE_MAX_SECONDS) {
+      return { ok: false, error: `${key} must be between 0 and ${FADE_MAX_SECONDS} seconds` };
+    }
+    next[key] = Math.round(value * 10) / 10;
   }
-  let nextStatus = prev?.status ?? null;
-  if (status !== undefined) {
-    nextStatus = status === null ? null : String(status);
-    if (nextStatus !== prev?.status) {
-      console.log("[add] progress status", { token, status: nextStatus });
+  if (patch.volumeDb !== undefined) {
+    const value = patch.volumeDb === null ? 0 : Number(patch.volumeDb);
+    const [min, max] = VOLUME_DB_RANGE;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { ok: false, error: `volumeDb must be between ${min} and ${max} dB` };
     }
+    next.volumeDb = roundDb(value);
   }
-  let nextMessage = prev?.message ?? null;
-  if (message !== undefined) {
-    const str = message === null || message === undefined ? null : String(message).trim();
-    nextMessage = str || null;
+  if (next.fadeIn + next.fadeOut > (Number(item.duration) || 0)) {
+    return { ok: false, error: "Fades are longer than the track" };
   }
-  addProgressMap.set(token, {
-    value: nextValue,
-    done: Boolean(done),
-    status: nextStatus,
-    message: nextMessage,
-    expiresAt: Date.now() + (done ? ADD_PROGRESS_DONE_TTL : ADD_PROGRESS_ACTIVE_TTL),
-    loggedValue: nextValue,
-  });
+  return { ok: true, shaping: next };
 }
 
-function markAddProgressDone(token, value = 100, status = "success", message = null) {
-  if (!token) return;
-  setAddProgress(token, value, { done: true, status, message });
+// Shrink fades in proportion so they fit a track that got shorter.
+function fitFades(shaping, duration) {
+  const total = shaping.fadeIn + shaping.fadeOut;
+  const length = Math.max(0, Number(duration) || 0);
+  if (total <= length) return shaping;
+  const scale = length / total;
+  const shrink = (value) => Math.floor(value * scale * 10) / 10;
+  return { ...shaping, fadeIn: shrink(shaping.fadeIn), fadeOut: shrink(shaping.fadeOut) };
 }
 
-function readAddProgress(token) {
-  if (!token) return null;
-  purgeAddProgress();
-  const entry = addProgressMap.get(token);
-  if (!entry) return null;
-  return {
-    value: entry.value,
-    done: entry.done,
-    status: entry.status ?? null,
-    message: entry.message ?? null,
-  };
+// How one track hands over to the next: "cut" leaves the playlist's pregap of
+// silence, "gapless" butts them together, "crossfade" overlaps them.
+const TRANSITION_TYPES = ["cut", "gapless", "crossfade"];
+const CROSSFADE_SECONDS_RANGE = [0.5, 12];
+// Fade-in gain at t in [0, 1]; the outgoing track gets curve(1 - t).
+// Names follow ffmpeg's acrossfade curves.
+const CROSSFADE_CURVES = {
+  tri: (t) => t,
+  qsin: (t) => Math.sin((t * Math.PI) / 2),
+  hsin: (t) => (1 - Math.cos(t * Math.PI)) / 2,
+  esin: (t) => 1 - Math.sqrt(1 - t * t),
+  log: (t) => Math.log10(1 + 9 * t),
+  exp: (t) => (10 ** t - 1) / 9,
+};
+
+function defaultTransition() {
+  return normalizeTransition(
+    { type: config.transitionType, seconds: config.crossfadeSeconds, curve: config.crossfadeCurve },
+    { type: "cut", seconds: 4, curve: "qsin" }
+  ).transition;
 }
 
-function scheduleAddJob(ctx, job) {
-  if (!ctx || !job) return;
-  const token = job.clientToken || null;
-  const key = token || `seq:${job.requestSeq ?? nanoid(6)}`;
-  ctx.lastAccess = Date.now();
-  if (token) {
-    clearCanceledToken(token);
-    setAddProgress(token, 0, { status: "queued" });
+// Merge a partial { type, seconds, curve } over `current`.
+// Returns { ok, transition } or { ok: false, error }.
+function normalizeTransition(patch, current) {
+  const next = { ...current };
+  if (!patch || typeof patch !== "object") return { ok: true, transition: next };
+  if (patch.type !== undefined) {
+    const type = String(patch.type || "").trim().toLowerCase();
+    if (!TRANSITION_TYPES.includes(type)) {
+      return { ok: false, error: `transition.type must be one of ${TRANSITION_TYPES.join(", ")}` };
+    }
+    next.type = type;
   }
-  const pendingInfo = {
-    orderSeq: job.requestSeq ?? null,
-    url: job.url || null,
-    startedAt: Date.now(),
-    token: token || null,
-    canceled: false,
-    abort: null,
-  };
-  ctx.pendingAdds?.set?.(key, pendingInfo);
+  if (patch.seconds !== undefined) {
+    const seconds = Number(patch.seconds);
+    const [min, max] = CROSSFADE_SECONDS_RANGE;
+    if (!Number.isFinite(seconds) || seconds < min || seconds > max) {
+      return { ok: false, error: `transition.seconds must be between ${min} and ${max}` };
+    }
+    next.seconds = Math.round(seconds * 10) / 10;
+  }
+  if (patch.curve !== undefined) {
+    const curve = String(patch.curve || "").trim().toLowerCase();
+    if (!Object.hasOwn(CROSSFADE_CURVES, curve)) {
+      return { ok: false, error: `transition.curve must be one of ${Object.keys(CROSSFADE_CURVES).join(", ")}` };
+    }
+    next.curve = curve;
+  }
+  return { ok: true, transition: next };
+}
 
-  job.queueKey = key;
+const LOUDNESS_MODES = ["off", "track", "album"];
+const LOUDNESS_TARGET_RANGE = [-30, -5];
+const LOUDNESS_TRUE_PEAK_RANGE = [-9, 0];
 
-  ctx.addQueue
-    .run(() => runAddJob(ctx, job), {
-      sessionId: ctx.id,
-      token: token || null,
-      orderSeq: job.requestSeq ?? null,
-    })
-    .then((outcome) => {
-      if (!outcome) return;
-      if (outcome.status === "error" && outcome.error) {
-        console.error("[add] job error:", outcome.error?.message || outcome.error);
-      }
-      if (outcome.status === "canceled") {
-        console.log("[add] job canceled", {
-          sessionId: ctx.id,
-          token: token || null,
-          orderSeq: job.requestSeq ?? null,
-        });
-      }
-    })
-    .catch((err) => {
-      console.error("[add] worker crashed:", err?.message || err);
-      if (token) {
-        markAddProgressDone(token, 0, "error", err?.message || "Worker crashed");
-      }
-    })
-    .finally(() => {
-      ctx.pendingAdds?.delete?.(key);
-    });
+function defaultLoudnessSettings() {
+  return normalizeLoudnessSettings(
+    { mode: config.loudnessMode, target: config.loudnessTarget, truePeak: config.loudnessTruePeak },
+    { mode: "off", target: -16, truePeak: -1 }
+  ).settings;
 }
 
-async function runAddJob(ctx, job) {
-  const {
-    url,
-    quality,
-    formatId,
-    clientToken,
-    usedClient,
-    requestSeq,
-    meta,
-    queueKey,
-  } = job;
+// Merge a partial { mode, target, truePeak } over `current`.
+// Returns { ok, settings } or { ok: false, error }.
+function normalizeLoudnessSettings(patch, current) {
+  const next = { ...current };
+  if (!patch || typeof patch !== "object") return { ok: true, settings: next };
+  if (patch.mode !== undefined) {
+    const mode = String(patch.mode || "").trim().toLowerCase();
+    if (!LOUDNESS_MODES.includes(mode)) {
+      return { ok: false, error: `loudness.mode must be one of ${LOUDNESS_MODES.join(", ")}` };
+    }
+    next.mode = mode;
+  }
+  if (patch.target !== undefined) {
+    const target = Number(patch.target);
+    const [min, max] = LOUDNESS_TARGET_RANGE;
+    if (!Number.isFinite(target) || target < min || target > max) {
+      return { ok: false, error: `loudness.target must be between ${min} and ${max} LUFS` };
+    }
+    next.target = target;
+  }
+  if (patch.truePeak !== undefined) {
+    const truePeak = Number(patch.truePeak);
+    const [min, max] = LOUDNESS_TRUE_PEAK_RANGE;
+    if (!Number.isFinite(truePeak) || truePeak < min || truePeak > max) {
+      return { ok: false, error: `loudness.truePeak must be between ${min} and ${max} dBTP` };
+    }
+    next.truePeak = truePeak;
+  }
+  return { ok: true, settings: next };
+}
 
-  const playlistStore = ctx.playlist;
+function roundDb(value) {
+  return Math.round(value * 10) / 10;
+}
 
-  const pendingInfo = queueKey ? ctx.pendingAdds?.get?.(queueKey) : null;
-  if (pendingInfo) {
-    pendingInfo.token = clientToken || pendingInfo.token || null;
-    pendingInfo.lastUpdated = Date.now();
+// Gain in dB per item for `settings`. Track mode brings each item to the target;
+// album mode applies one gain to all of `items`, computed from their combined
+// (duration-weighted energy) loudness, so relative levels survive. Either way
+// the gain is capped so no true peak exceeds the ceiling. Items that are not
+// measured yet, or are silent, get no entry.
+function loudnessGains(items, settings) {
+  const gains = new Map();
+  if (!settings || settings.mode === "off") return gains;
+  const measured = items.filter((item) => Number.isFinite(item?.loudness?.integrated));
+
+  if (settings.mode === "track") {
+    for (const item of measured) {
+      const { integrated, truePeak } = item.loudness;
+      let gain = settings.target - integrated;
+      if (Number.isFinite(truePeak)) gain = Math.min(gain, settings.truePeak - truePeak);
+      gains.set(item, roundDb(gain));
+    }
+    return gains;
   }
 
-  const isCanceled = () => {
-    if (pendingInfo?.canceled) return true;
-    if (clientToken && isAddCanceled(clientToken)) return true;
-    return false;
-  };
+  const weight = (item) => Math.max(1, Number(item.duration) || 0);
+  const totalWeight = measured.reduce((acc, item) => acc + weight(item), 0);
+  if (!totalWeight) return gains;
+  const energy = measured.reduce((acc, item) => acc + weight(item) * 10 ** (item.loudness.integrated / 10), 0);
+  const albumLoudness = 10 * Math.log10(energy / totalWeight);
+  const peaks = measured.map((item) => item.loudness.truePeak).filter(Number.isFinite);
+  let gain = settings.target - albumLoudness;
+  if (peaks.length) gain = Math.min(gain, settings.truePeak - Math.max(...peaks));
+  for (const item of measured) gains.set(item, roundDb(gain));
+  return gains;
+}
 
-  if (isCanceled()) {
-    if (clientToken) {
-      clearCanceledToken(clientToken);
-      markAddProgressDone(clientToken, 0, "canceled", "Canceled");
-    }
-    if (pendingInfo) pendingInfo.canceled = true;
-    return { status: "canceled" };
+const CHAPTER_TITLE_MAX = 200;
+const DESCRIPTION_TIMESTAMP_RE = /(?:^|[\s\[(])((?:\d{1,2}:)?\d{1,2}:\d{2})(?=$|[\s\])])/;
+
+// Chapter list in description form: one "0:00 Intro" style line per chapter,
+// timestamp at either end of the line. YouTube only treats these as chapters
+// when the first starts at 0:00 and they ascend, so require the same.
+function chaptersFromDescription(description) {
+  const found = [];
+  for (const rawLine of String(description || "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const m = line.match(DESCRIPTION_TIMESTAMP_RE);
+    if (!m) continue;
+    const start = parseTimestamp(m[1]);
+    if (start === null) continue;
+    const title = `${line.slice(0, m.index)} ${line.slice(m.index + m[0].length)}`
+      .replace(/^\s*\d{1,3}[.)]\s+/, "")
+      .replace(/^[\s\-–—:|)\]]+|[\s\-–—:|(\[]+$/g, "")
+      .trim();
+    found.push({ start, title });
   }
+  if (found.length < 2 || found[0].start !== 0) return [];
+  for (let i = 1; i < found.length; i++) {
+    if (found[i].start <= found[i - 1].start) return [];
+  }
+  return found;
+}
 
-  if (clientToken) {
-    setAddProgress(clientToken, 0, { status: "running" });
+// Chapters for a video, from yt-dlp's `chapters` or the description. Each has
+// { index, title, start, end, duration } with `end` filled from the next start.
+function extractChapters(meta) {
+  const total = Number(meta?.duration) || 0;
+  let raw = Array.isArray(meta?.chapters)
+    ? meta.chapters.map((c) => ({
+        start: Number(c?.start_time),
+        end: Number(c?.end_time),
+        title: c?.title,
+      }))
+    : [];
+  if (raw.length < 2) raw = chaptersFromDescription(meta?.description);
+
+  const chapters = [];
+  raw.forEach((c, idx) => {
+    const start = Number.isFinite(c.start) ? Math.max(0, c.start) : null;
+    if (start === null || (total && start >= total)) return;
+    const next = raw[idx + 1];
+    let end = Number.isFinite(c.end) && c.end > start ? c.end : next ? Number(next.start) : total;
+    if (total) end = Math.min(end, total);
+    if (!(end > start)) return;
+    chapters.push({
+      index: chapters.length,
+      title: String(c.title || "").trim().slice(0, CHAPTER_TITLE_MAX) || `Chapter ${chapters.length + 1}`,
+      start,
+      end,
+      duration: end - start,
+    });
+  });
+  return chapters.length >= 2 ? chapters : [];
+}
+
+class PlaylistStore {
+  constructor({
+    profile = DEFAULT_DISC_PROFILE,
+    pregapSeconds = config.pregapSeconds,
+    loudness = defaultLoudnessSettings(),
+    transition = defaultTransition(),
+  } = {}) {
+    this.profileId = (resolveDiscProfile(profile) || DISC_PROFILES[DEFAULT_DISC_PROFILE]).id;
+    this.items = [];
+    this.nextSeq = 1;
+    this.album = emptyAlbum();
+    this.pregapSeconds = normalizePregapSeconds(pregapSeconds);
+    this.loudness = { ...loudness };
+    this.transition = { ...transition };
   }
 
-  ctx.lastAccess = Date.now();
+  get profile() {
+    return DISC_PROFILES[this.profileId];
+  }
 
-  const q = (quality || "").toLowerCase();
-  const audioQuality = (q === "320" || q === "320k") ? "320K" : "0"; // default V0
-  const args = [];
-  const keepAliveEvery = Math.max(30_000, Math.min(Math.floor(SESSION_COOKIE_MAX_AGE / 2), 120_000));
-  const keepAliveTimer = setInterval(() => {
-    ctx.lastAccess = Date.now();
-  }, keepAliveEvery);
-  keepAliveTimer.unref?.();
+  get capSeconds() {
+    return this.profile.kind === "time" ? this.profile.capSeconds : null;
+  }
 
-  const extractorArg = job.extractorArgs || usedClient || "";
-  if (extractorArg && extractorArg.trim()) args.push("--extractor-args", extractorArg);
-  if (COOKIES_PATH) args.push("--cookies", COOKIES_PATH);
-  if (YTDLP_EXTRA) args.push(...splitArgs(YTDLP_EXTRA));
+  setProfile(id) {
+    const profile = resolveDiscProfile(id);
+    if (!profile) return null;
+    this.profileId = profile.id;
+    return profile;
+  }
 
-  const looksLikePath =
-    FF.bin && (FF.bin.startsWith("/") || FF.bin.includes("\\") || /^[A-Za-z]:\\/.test(FF.bin));
-  if (looksLikePath) args.push("--ffmpeg-location", FF.bin);
+  // What a disc's capacity is measured in under the active profile: CD frames
+  // (with pregaps) for audio discs, bytes of files for data discs.
+  capacityModel() {
+    const profile = this.profile;
+    if (profile.kind === "bytes") {
+      return { kind: "bytes", capUnits: profile.capBytes, firstGap: 0, joinCost: () => 0, costOf: itemByteCost };
+    }
+    return {
+      kind: "time",
+      capUnits: Math.floor(profile.capSeconds * CD_FRAMES_PER_SECOND),
+      firstGap: CD_FIRST_PREGAP_FRAMES,
+      joinCost: (prev, next) => {
+        const join = this.joinBetween(prev, next);
+        return join.pregapFrames - join.overlapFrames;
+      },
+      costOf: (item) => secondsToFrames(item?.duration),
+    };
+  }
 
-  if (formatId) args.push("-f", String(formatId));
+  // `resized` stands in for the item with the same id, to try out a new length.
+  discUsage(disc = 1, { resized = null } = {}) {
+    const model = this.capacityModel();
+    const items = this.discItems(disc).map((item) => (resized && item.id === resized.id ? resized : item));
+    const usedUnits = items.reduce(
+      (acc, item, idx) => acc + model.costOf(item) + (idx === 0 ? model.firstGap : model.joinCost(items[idx - 1], item)),
+      0
+    );
+    return { disc, model, count: items.length, usedUnits, capUnits: model.capUnits, last: items.at(-1) || null };
+  }
 
-  args.push(
-    "-x",
-    "--audio-format",
-    "mp3",
-    "--audio-quality",
-    audioQuality,
-    "--no-playlist",
-    "--restrict-filenames",
-    "-o",
-    path.join(ctx.trackDir, "%(title)s-%(id)s.%(ext)s"),
-    "--print",
-    "after_move:filepath",
-    "--newline",
-    url
-  );
+  setTransition(patch) {
+    const result = normalizeTransition(patch, this.transition);
+    if (result.ok) this.transition = result.transition;
+    return result;
+  }
 
-  let filePath = null;
-  let cancelWatcher = null;
-  try {
-    const proc = runYtDlp(args, { stdio: ["ignore", "pipe", "pipe"] });
-    let stdout = "";
-    let stderr = "";
+  // An item's own outgoing transition, or the playlist default.
+  transitionAfter(item) {
+    return item?.transition || this.transition;
+  }
 
-    if (pendingInfo) {
-      pendingInfo.abort = () => {
-        try {
-          proc.kill("SIGTERM");
-        } catch {}
-      };
-      pendingInfo.running = true;
+  // How `prev` hands over to `next`: frames of silence inserted before `next`
+  // and frames the two overlap. A crossfade never takes more than half of
+  // either track.
+  joinBetween(prev, next) {
+    const transition = this.transitionAfter(prev);
+    const join = { type: transition.type, curve: transition.curve, pregapFrames: 0, overlapFrames: 0 };
+    if (transition.type === "cut") {
+      join.pregapFrames = Math.round(this.pregapSeconds * CD_FRAMES_PER_SECOND);
+    } else if (transition.type === "crossfade") {
+      const shorter = Math.min(Number(prev?.duration) || 0, Number(next?.duration) || 0);
+      join.overlapFrames = Math.floor(Math.min(transition.seconds, shorter / 2) * CD_FRAMES_PER_SECOND);
     }
+    return join;
+  }
 
-    proc.stdout?.on("data", (chunk) => {
-      const text = chunk.toString();
-      stdout += text;
-      if (clientToken) updateProgressFromYtDlp(clientToken, text, ctx);
-    });
+  // Joins between consecutive tracks of one disc; joins[i] follows track i.
+  discJoins(disc = 1) {
+    const items = this.discItems(disc);
+    return items.slice(1).map((item, idx) => this.joinBetween(items[idx], item));
+  }
 
-    proc.stderr?.on("data", (chunk) => {
-      const text = chunk.toString();
-      stderr += text;
-      if (clientToken) updateProgressFromYtDlp(clientToken, text, ctx);
-    });
+  setPregapSeconds(value) {
+    this.pregapSeconds = normalizePregapSeconds(value, this.pregapSeconds);
+    return this.pregapSeconds;
+  }
 
-    if (clientToken) {
-      cancelWatcher = setInterval(() => {
-        if (isCanceled()) {
-          console.log("[add] terminating yt-dlp for canceled token", clientToken);
-          try {
-            proc.kill("SIGTERM");
-          } catch {}
-        }
-      }, 5_000);
-      cancelWatcher.unref?.();
-    }
+  discItems(disc = 1) {
+    return this.items.filter((item) => discNumberOf(item) === disc);
+  }
 
-    const code = await new Promise((resolve) => {
-      proc.on("error", (err) => {
-        stderr += `\n${err?.message || err}`;
-        resolve(-1);
-      });
-      proc.on("close", (exitCode) => {
-        resolve(exitCode);
-      });
+  // Highest disc number in use; new tracks land on this disc.
+  get discCount() {
+    return this.items.reduce((max, item) => Math.max(max, discNumberOf(item)), 1);
+  }
+
+  // Frame-accurate placement of every track on one disc, in playlist order.
+  discLayout(disc = 1) {
+    const items = this.discItems(disc);
+    const gapFrames = Math.round(this.pregapSeconds * CD_FRAMES_PER_SECOND);
+    let cursor = CD_FIRST_PREGAP_FRAMES;
+    let overlapFrames = 0;
+    const tracks = items.map((item, idx) => {
+      const join = idx === 0 ? null : this.joinBetween(items[idx - 1], item);
+      const pregapFrames = join ? join.pregapFrames : CD_FIRST_PREGAP_FRAMES;
+      if (join) {
+        cursor += join.pregapFrames - join.overlapFrames;
+        overlapFrames += join.overlapFrames;
+      }
+      const startFrame = cursor;
+      const frames = secondsToFrames(item.duration);
+      cursor += frames;
+      return { id: item.id, transition: join?.type || null, pregapFrames, overlapFrames: join?.overlapFrames || 0, startFrame, frames };
     });
+    const capFrames = this.capSeconds === null ? null : Math.floor(this.capSeconds * CD_FRAMES_PER_SECOND);
+    return {
+      disc,
+      tracks,
+      pregapFrames: gapFrames,
+      overlapFrames,
+      usedFrames: items.length ? cursor : 0,
+      capFrames,
+      remainingFrames: capFrames === null ? null : capFrames - (items.length ? cursor : 0),
+      leadOutFrame: items.length ? cursor : null,
+      leadOutFrames: CD_LEAD_OUT_FRAMES,
+    };
+  }
 
-    if (isCanceled()) {
-      clearCanceledToken(clientToken);
-      markAddProgressDone(clientToken, 0, "canceled", "Canceled");
-      if (pendingInfo) pendingInfo.canceled = true;
-      return { status: "canceled" };
+  discSummary(disc = this.discCount) {
+    const layout = this.discLayout(disc);
+    const usage = this.discUsage(disc);
+    const items = this.discItems(disc);
+    const timeBased = usage.model.kind === "time";
+    const usedBytes = items.reduce((acc, item) => acc + itemByteCost(item), 0);
+    return {
+      disc,
+      discCount: this.discCount,
+      profile: this.profileId,
+      capacityMode: usage.model.kind,
+      capSeconds: this.capSeconds,
+      totalSeconds: items.reduce((acc, t) => acc + (t.duration || 0), 0),
+      pregapSeconds: this.pregapSeconds,
+      overlapSeconds: timeBased ? framesToSeconds(layout.overlapFrames) : 0,
+      usedFrames: layout.usedFrames,
+      capFrames: layout.capFrames,
+      remainingFrames: layout.remainingFrames,
+      usedSeconds: framesToSeconds(layout.usedFrames),
+      remainingSeconds: timeBased ? layout.remainingFrames / CD_FRAMES_PER_SECOND : null,
+      leadOutFrames: layout.leadOutFrames,
+      usedBytes,
+      capBytes: timeBased ? null : usage.capUnits,
+      remainingBytes: timeBased ? null : usage.capUnits - usedBytes,
+      fits: usage.usedUnits <= usage.capUnits,
+    };
+  }
+
+  // Renumber discs so they run 1..n without holes after moves and removals.
+  compactDiscs() {
+    const used = Array.from(new Set(this.items.map(discNumberOf))).sort((a, b) => a - b);
+    const remap = new Map(used.map((disc, idx) => [disc, idx + 1]));
+    for (const item of this.items) {
+      item.disc = remap.get(discNumberOf(item)) || 1;
     }
+  }
 
-    if (code !== 0) {
-      if (clientToken) {
-        markAddProgressDone(clientToken, 0, "error", `yt-dlp exit ${code}`);
+  // Keep each disc's tracks together in the list while preserving their
+  // relative order.
+  groupByDisc() {
+    const sorted = this.items
+      .map((item, idx) => ({ item, idx }))
+      .sort((a, b) => discNumberOf(a.item) - discNumberOf(b.item) || a.idx - b.idx)
+      .map(({ item }) => item);
+    const baseSeq = this.nextSeq;
+    sorted.forEach((item, idx) => {
+      item.orderSeq = baseSeq + idx;
+    });
+    this.nextSeq = baseSeq + sorted.length;
+    this.items.splice(0, this.items.length, ...sorted);
+  }
+
+  moveToDisc(id, disc) {
+    const item = this.find(id);
+    if (!item) return null;
+    const target = Math.floor(Number(disc));
+    if (!Number.isFinite(target) || target < 1 || target > this.discCount + 1) return false;
+    item.disc = target;
+    item.overflow = false;
+    this.compactDiscs();
+    this.groupByDisc();
+    return item;
+  }
+
+  // Spread the playlist over as many discs as needed. "order" fills discs in
+  // playlist order; "pack" runs first-fit decreasing to minimise disc count.
+  splitAcrossDiscs(mode = "order") {
+    const model = this.capacityModel();
+    const capUnits = model.capUnits;
+    const costOn = (bin, item) => model.costOf(item) + (bin.count === 0 ? model.firstGap : model.joinCost(bin.last, item));
+    const bins = [];
+    const place = (item, bin) => {
+      bin.units += costOn(bin, item);
+      bin.count += 1;
+      bin.last = item;
+      item.disc = bin.disc;
+      item.overflow = bin.units > capUnits;
+    };
+    const openBin = () => {
+      const bin = { disc: bins.length + 1, units: 0, count: 0, last: null };
+      bins.push(bin);
+      return bin;
+    };
+
+    if (mode === "pack") {
+      const bySize = this.items
+        .map((item, idx) => ({ item, idx }))
+        .sort((a, b) => model.costOf(b.item) - model.costOf(a.item) || a.idx - b.idx);
+      for (const { item } of bySize) {
+        const bin = bins.find((candidate) => candidate.units + costOn(candidate, item) <= capUnits) || openBin();
+        place(item, bin);
+      }
+    } else {
+      let bin = null;
+      for (const item of this.items) {
+        if (!bin || (bin.count > 0 && bin.units + costOn(bin, item) > capUnits)) {
+          bin = openBin();
+        }
+        place(item, bin);
       }
-      throw new Error(`yt-dlp exit ${code}: ${stderr}`);
     }
 
-    filePath = stdout.trim().split(/\r?\n/).filter(Boolean).pop();
-    if (!filePath) {
-      if (clientToken) {
-        markAddProgressDone(clientToken, 0, "error", "No output file");
+    this.groupByDisc();
+    return bins.length;
+  }
+
+  setLoudness(patch) {
+    const result = normalizeLoudnessSettings(patch, this.loudness);
+    if (result.ok) this.loudness = result.settings;
+    return result;
+  }
+
+  // Export gains for every item, with album mode treating each disc as an album.
+  exportGains(settings = this.loudness) {
+    const gains = new Map();
+    for (let disc = 1; disc <= this.discCount; disc++) {
+      for (const [item, gain] of loudnessGains(this.discItems(disc), settings)) gains.set(item, gain);
+    }
+    return gains;
+  }
+
+  setAlbum(patch) {
+    if (!patch || typeof patch !== "object") return this.album;
+    const next = { ...this.album };
+    for (const key of ALBUM_FIELDS) {
+      if (Object.prototype.hasOwnProperty.call(patch, key)) {
+        next[key] = sanitizeAlbumField(key, patch[key]);
       }
-      throw new Error("Failed to determine output file path");
     }
+    this.album = next;
+    return this.album;
+  }
+
+  get totalSeconds() {
+    return this.items.reduce((acc, t) => acc + (t.duration || 0), 0);
+  }
 
-    const stat = await fsp.stat(filePath);
+  issueSeq() {
+    const seq = this.nextSeq;
+    this.nextSeq += 1;
+    return seq;
+  }
 
-    if (isCanceled()) {
-      clearCanceledToken(clientToken);
-      markAddProgressDone(clientToken, 0, "canceled", "Canceled");
-      await safeUnlink(filePath);
-      if (pendingInfo) pendingInfo.canceled = true;
-      return { status: "canceled" };
+  add(item, seq) {
+    const orderSeq = Number.isFinite(seq) ? seq : this.issueSeq();
+    const entry = { ...item, orderSeq };
+    const insertIdx = this.items.findIndex((t) => Number(t?.orderSeq ?? Infinity) > orderSeq);
+    if (insertIdx === -1) {
+      this.items.push(entry);
+    } else {
+      this.items.splice(insertIdx, 0, entry);
     }
+    this.nextSeq = Math.max(this.nextSeq, orderSeq + 1);
+    return entry;
+  }
+
+  remove(id) {
+    const idx = this.items.findIndex((t) => t.id === id);
+    if (idx === -1) return null;
+    const [removed] = this.items.splice(idx, 1);
+    this.compactDiscs();
+    return removed;
+  }
+
+  clear() {
+    const cleared = this.items.slice();
+    this.items.length = 0;
+    this.nextSeq = 1;
+    return cleared;
+  }
+
+  find(id) {
+    return this.items.find((t) => t.id === id) || null;
+  }
+
+  reorder(orderIds) {
+    if (!Array.isArray(orderIds)) return false;
+    if (orderIds.length !== this.items.length) return false;
+
+    const uniq = new Set(orderIds);
+    if (uniq.size !== orderIds.length) return false;
+
+    const map = new Map(this.items.map((item) => [item.id, item]));
+    if (orderIds.some((id) => !map.has(id))) return false;
+
+    const baseSeq = this.nextSeq;
+    const next = orderIds.map((id, idx) => {
+      const entry = map.get(id);
+      entry.orderSeq = baseSeq + idx;
+      return entry;
+    });
+    this.nextSeq = baseSeq + next.length;
+    this.items.splice(0, this.items.length, ...next);
+    return true;
+  }
 
-    const item = {
-      id: nanoid(8),
-      title: meta?.title || path.basename(filePath),
-      duration: Number(meta?.duration) || 0,
-      filepath: filePath,
-      sizeBytes: stat.size,
-      videoId: meta?.id || null,
-      thumbnail: pickThumbnail(meta) || null,
+  // Everything needed to rebuild the store after a restart, file paths included.
+  snapshot() {
+    return {
+      profileId: this.profileId,
+      nextSeq: this.nextSeq,
+      album: { ...this.album },
+      pregapSeconds: this.pregapSeconds,
+      loudness: { ...this.loudness },
+      transition: { ...this.transition },
+      items: this.items.map((item) => ({ ...item })),
     };
-    const stored = playlistStore.add(item, requestSeq);
-    ctx.lastAccess = Date.now();
-    clearCanceledToken(clientToken);
-    if (clientToken) {
-      markAddProgressDone(clientToken, 100, "success");
+  }
+
+  // Load a snapshot() back, re-validating settings the way the routes would.
+  restore(snapshot) {
+    if (!snapshot || typeof snapshot !== "object") return this;
+    this.setProfile(snapshot.profileId);
+    this.setAlbum(snapshot.album);
+    this.setPregapSeconds(snapshot.pregapSeconds);
+    this.setLoudness(snapshot.loudness);
+    this.setTransition(snapshot.transition);
+    const items = Array.isArray(snapshot.items) ? snapshot.items : [];
+    this.items = items
+      .filter((item) => item && typeof item.id === "string")
+      .sort((a, b) => Number(a.orderSeq) - Number(b.orderSeq));
+    const lastSeq = this.items.reduce((max, item) => Math.max(max, Number(item.orderSeq) || 0), 0);
+    this.nextSeq = Math.max(Number(snapshot.nextSeq) || 1, lastSeq + 1);
+    return this;
+  }
+
+  toJSON() {
+    const discs = [];
+    for (let disc = 1; disc <= this.discCount; disc++) {
+      discs.push(this.discSummary(disc));
     }
-    console.log("[add] completed", {
-      sessionId: ctx.id,
-      itemId: stored.id,
-      title: stored.title,
-      duration: stored.duration,
-      sizeBytes: stored.sizeBytes,
-      orderSeq: stored.orderSeq,
-    });
+    const gains = this.exportGains();
     return {
-      status: "success",
-      item: stored,
-      totals: {
-        totalSeconds: playlistStore.totalSeconds,
-        capSeconds: playlistStore.capSeconds,
-      },
+      ...this.discSummary(),
+      discs,
+      album: { ...this.album },
+      loudness: { ...this.loudness },
+      transition: { ...this.transition },
+      items: this.items.map((item) => ({
+        id: item.id,
+        title: item.title,
+        rawTitle: item.rawTitle || item.title,
+        artist: item.artist || "",
+        album: item.album || "",
+        comment: item.comment || "",
+        duration: item.duration,
+        sourceDuration: item.sourceDuration ?? item.duration,
+        trimStart: item.trimStart || 0,
+        trimEnd: item.trimEnd ?? null,
+        silence: item.silence || null,
+        silenceTrim: item.silenceTrim ?? null,
+        sizeBytes: item.sizeBytes,
+        videoId: item.videoId || null,
+        thumbnail: item.thumbnail || null,
+        order: item.orderSeq,
+        disc: discNumberOf(item),
+        overflow: Boolean(item.overflow),
+        loudness: item.loudness
+          ? {
+              integrated: item.loudness.integrated,
+              truePeak: item.loudness.truePeak,
+              lra: item.loudness.lra,
+            }
+          : null,
+        gainDb: gains.has(item) ? gains.get(item) : null,
+        fadeIn: item.fadeIn || 0,
+        fadeOut: item.fadeOut || 0,
+        volumeDb: item.volumeDb || 0,
+        transition: item.transition ? { ...item.transition } : null,
+      })),
     };
-  } catch (err) {
-    if (clientToken && !isAddCanceled(clientToken)) {
-      markAddProgressDone(clientToken, 0, "error", err?.message || err);
+  }
+}
+
+const canceledAddTokens = new Map();
+const CANCELED_TOKEN_TTL = 1000 * 60 * 15; // 15 minutes
+
+const addProgressMap = new Map();
+const ADD_PROGRESS_ACTIVE_TTL = 1000 * 60 * 5; // 5 minutes for active downloads
+const ADD_PROGRESS_DONE_TTL = 1000 * 10; // allow brief polling after completion
+
+function purgeCanceledTokens() {
+  const now = Date.now();
+  for (const [token, expiry] of canceledAddTokens) {
+    if (expiry <= now) canceledAddTokens.delete(token);
+  }
+}
+
+function markAddCanceled(token) {
+  if (!token) return;
+  purgeCanceledTokens();
+  canceledAddTokens.set(token, Date.now() + CANCELED_TOKEN_TTL);
+}
+
+function isAddCanceled(token) {
+  if (!token) return false;
+  purgeCanceledTokens();
+  return canceledAddTokens.has(token);
+}
+
+function clearCanceledToken(token) {
+  if (!token) return;
+  canceledAddTokens.delete(token);
+}
+
+function purgeAddProgress() {
+  const now = Date.now();
+  for (const [token, entry] of addProgressMap) {
+    if (!entry || typeof entry.expiresAt !== "number") {
+      addProgressMap.delete(token);
+      continue;
     }
-    if (filePath) {
-      await safeUnlink(filePath);
+    if (entry.expiresAt <= now) {
+      addProgressMap.delete(token);
     }
-    return { status: "error", error: err };
-  } finally {
-    if (cancelWatcher) clearInterval(cancelWatcher);
-    clearInterval(keepAliveTimer);
-    if (pendingInfo) {
-      pendingInfo.abort = null;
-      pendingInfo.running = false;
-      pendingInfo.completedAt = Date.now();
+  }
+}
+
+// `owner` (the project view that queued the add) receives the "job" events.
+function setAddProgress(token, value, { done = false, status, message, owner } = {}) {
+  if (!token) return;
+  purgeAddProgress();
+  const raw = Number(value);
+  const clamped = Number.isFinite(raw) ? Math.max(0, Math.min(100, raw)) : 0;
+  const prev = addProgressMap.get(token);
+  const nextValue = !done && prev && typeof prev.value === "number"
+    ? Math.max(prev.value, clamped)
+    : clamped;
+  const prevLogged = prev?.loggedValue ?? prev?.value ?? null;
+  const stepped = prevLogged === null || done !== prev?.done || Math.abs(nextValue - prevLogged) >= 5;
+  if (stepped) {
+    console.log("[add] progress", { token, value: nextValue, done });
+  }
+  let nextStatus = prev?.status ?? null;
+  if (status !== undefined) {
+    nextStatus = status === null ? null : String(status);
+    if (nextStatus !== prev?.status) {
+      console.log("[add] progress status", { token, status: nextStatus });
     }
   }
+  let nextMessage = prev?.message ?? null;
+  if (message !== undefined) {
+    const str = message === null || message === undefined ? null : String(message).trim();
+    nextMessage = str || null;
+  }
+  const nextOwner = owner ?? prev?.owner ?? null;
+  addProgressMap.set(token, {
+    value: nextValue,
+    done: Boolean(done),
+    status: nextStatus,
+    message: nextMessage,
+    expiresAt: Date.now() + (done ? ADD_PROGRESS_DONE_TTL : ADD_PROGRESS_ACTIVE_TTL),
+    loggedValue: stepped ? nextValue : prevLogged,
+    owner: nextOwner,
+  });
+  if (nextOwner && (stepped || nextStatus !== (prev?.status ?? null))) {
+    publishEvent(nextOwner, "job", {
+      token,
+      progress: nextValue,
+      done: Boolean(done),
+      status: nextStatus,
+      message: nextMessage,
+    });
+  }
 }
 
-async function safeUnlink(filePath) {
-  if (!filePath) return;
-  try {
-    await fsp.unlink(filePath);
-  } catch {}
+function markAddProgressDone(token, value = 100, status = "success", message = null) {
+  if (!token) return;
+  setAddProgress(token, value, { done: true, status, message });
 }
 
-// ------------------------- Helpers -------------------------------
-function run(cmd, args, opts = {}) {
-  return new Promise((resolve) => {
-    let stdout = "", stderr = "";
-    const p = spawn(cmd, args, { ...opts });
-    p.stdout?.on("data", d => stdout += d.toString());
-    p.stderr?.on("data", d => stderr += d.toString());
-    p.on("error", (err) => resolve({ code: -1, stdout, stderr: String(err) }));
-    p.on("close", (code) => resolve({ code, stdout, stderr }));
-  });
+function readAddProgress(token) {
+  if (!token) return null;
+  purgeAddProgress();
+  const entry = addProgressMap.get(token);
+  if (!entry) return null;
+  return {
+    value: entry.value,
+    done: entry.done,
+    status: entry.status ?? null,
+    message: entry.message ?? null,
+  };
+}
+
+// Disc usage including in-flight adds, so parallel requests can't jointly overrun.
+function projectDiscUsage(ctx, disc, options) {
+  const usage = ctx.playlist.discUsage(disc, options);
+  const { model } = usage;
+  let units = usage.usedUnits;
+  let count = usage.count;
+  let last = usage.last;
+  for (const info of ctx.pendingAdds?.values?.() || []) {
+    if (!info || info.canceled) continue;
+    for (const part of info.parts || [info]) {
+      if (part.disc !== disc) continue;
+      units += model.costOf(part) + (count === 0 ? model.firstGap : model.joinCost(last, part));
+      count += 1;
+      last = part;
+    }
+  }
+  return { disc, model, units, count, last, capUnits: usage.capUnits };
+}
+
+function lastPendingDisc(ctx) {
+  let max = ctx.playlist.discCount;
+  for (const info of ctx.pendingAdds?.values?.() || []) {
+    if (!info || info.canceled) continue;
+    for (const part of info.parts || [info]) {
+      if (Number.isFinite(part.disc)) max = Math.max(max, part.disc);
+    }
+  }
+  return max;
+}
+
+function unitsNeededOn(usage, track) {
+  const gap = usage.count === 0 ? usage.model.firstGap : usage.model.joinCost(usage.last, track);
+  return usage.model.costOf(track) + gap;
+}
+
+function describeUnits(model, units) {
+  return model.kind === "bytes" ? formatMegabytes(units) : formatClock(framesToSeconds(units));
+}
+
+// Amounts in the response use the profile's own unit so the client can show them.
+function capacityFields(model, needed, remaining) {
+  if (model.kind === "bytes") {
+    return { requiredBytes: needed, remainingBytes: Math.max(0, remaining), capBytes: model.capUnits };
+  }
+  return {
+    requiredSeconds: framesToSeconds(needed),
+    remainingSeconds: Math.max(0, remaining) / CD_FRAMES_PER_SECOND,
+    capSeconds: model.capUnits / CD_FRAMES_PER_SECOND,
+  };
+}
+
+// Place several tracks in sequence, each seeing the room the earlier ones took.
+// Returns { ok, placed: [{ ...track, disc, overflow }] } or the first failure.
+function planTrackPlacements(ctx, tracks) {
+  const key = `plan:${nanoid(6)}`;
+  const reservation = { parts: [] };
+  ctx.pendingAdds.set(key, reservation);
+  try {
+    const placed = [];
+    for (const track of tracks) {
+      const placement = planDiscPlacement(ctx, track);
+      if (!placement.ok) return { ...placement, track };
+      reservation.parts.push({ duration: track.duration, quality: track.quality, disc: placement.disc });
+      placed.push({ ...track, disc: placement.disc, overflow: placement.overflow });
+    }
+    return { ok: true, placed };
+  } finally {
+    ctx.pendingAdds.delete(key);
+  }
+}
+
+// Decide where a new track goes under the session's overflow policy. `track`
+// carries { duration, sizeBytes?, quality? }. Returns { ok, disc, overflow } or
+// { ok: false, code, message, ... }.
+function planDiscPlacement(ctx, track) {
+  const policy = ctx.settings?.overflowPolicy || "reject";
+  const disc = lastPendingDisc(ctx);
+  const usage = projectDiscUsage(ctx, disc);
+  const needed = unitsNeededOn(usage, track);
+  const remaining = usage.capUnits - usage.units;
+
+  if (needed <= remaining) {
+    return { ok: true, disc, overflow: false, policy };
+  }
+
+  if (policy === "flag") {
+    return { ok: true, disc, overflow: true, policy };
+  }
+
+  const { model } = usage;
+
+  if (policy === "next-disc") {
+    const nextUsage = projectDiscUsage(ctx, disc + 1);
+    if (unitsNeededOn(nextUsage, track) <= nextUsage.capUnits - nextUsage.units) {
+      return { ok: true, disc: disc + 1, overflow: false, policy };
+    }
+    return {
+      ok: false,
+      code: "track_too_long",
+      policy,
+      disc,
+      ...capacityFields(model, needed, remaining),
+      message: `Track needs ${describeUnits(model, needed)}, more than a whole disc`,
+    };
+  }
+
+  return {
+    ok: false,
+    code: "capacity_exceeded",
+    policy,
+    disc,
+    ...capacityFields(model, needed, remaining),
+    message: `Needs ${describeUnits(model, needed)}, only ${describeUnits(model, Math.max(0, remaining))} left on disc ${disc}`,
+  };
+}
+
+// A re-cut that makes a track longer has to fit its disc like an add would.
+// `next` carries the new { duration, sizeBytes }. Under "flag" it stays and is
+// flagged; "reject" and "next-disc" refuse, as an edit never moves a track to
+// another disc. Returns { ok, overflow } or { ok: false, code, message, ... }.
+function planItemResize(ctx, item, next) {
+  const policy = ctx.settings?.overflowPolicy || "reject";
+  const disc = discNumberOf(item);
+  const before = projectDiscUsage(ctx, disc);
+  const after = projectDiscUsage(ctx, disc, { resized: { ...item, ...next } });
+  if (after.units <= before.units || after.units <= after.capUnits) {
+    return { ok: true, overflow: Boolean(item.overflow) };
+  }
+  if (policy === "flag") return { ok: true, overflow: true };
+
+  const { model } = after;
+  const needed = after.units - before.units;
+  const remaining = before.capUnits - before.units;
+  return {
+    ok: false,
+    code: "capacity_exceeded",
+    policy,
+    disc,
+    ...capacityFields(model, needed, remaining),
+    message: `Needs ${describeUnits(model, needed)} more, only ${describeUnits(model, Math.max(0, remaining))} left on disc ${disc}`,
+  };
+}
+
+function formatClock(seconds) {
+  const s = Math.max(0, Math.ceil(Number(seconds) || 0));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function scheduleAddJob(ctx, job) {
+  if (!ctx || !job) return;
+  const token = job.clientToken || null;
+  const key = token || `seq:${job.requestSeq ?? nanoid(6)}`;
+  ctx.lastAccess = Date.now();
+  if (token) {
+    clearCanceledToken(token);
+    setAddProgress(token, 0, { status: "queued", owner: ctx });
+  }
+  const pendingInfo = {
+    orderSeq: job.requestSeq ?? null,
+    url: job.url || null,
+    duration: job.trim?.duration ?? (Number(job.meta?.duration) || 0),
+    quality: job.quality || null,
+    disc: job.disc ?? 1,
+    videoId: job.meta?.id || null,
+    title: job.meta?.title || null,
+    // Chapter adds reserve room for every track they will produce
+    parts: Array.isArray(job.parts)
+      ? job.parts.map((part) => ({ duration: part.duration, quality: job.quality || null, disc: part.disc }))
+      : null,
+    startedAt: Date.now(),
+    token: token || null,
+    canceled: false,
+    abort: null,
+  };
+  ctx.pendingAdds?.set?.(key, pendingInfo);
+
+  job.queueKey = key;
+
+  ctx.addQueue
+    .run(() => runAddJob(ctx, job), {
+      sessionId: ctx.id,
+      token: token || null,
+      orderSeq: job.requestSeq ?? null,
+    })
+    .then((outcome) => {
+      if (!outcome) return;
+      if (outcome.status === "error" && outcome.error) {
+        console.error("[add] job error:", outcome.error?.message || outcome.error);
+      }
+      if (outcome.status === "canceled") {
+        console.log("[add] job canceled", {
+          sessionId: ctx.id,
+          token: token || null,
+          orderSeq: job.requestSeq ?? null,
+        });
+      }
+    })
+    .catch((err) => {
+      console.error("[add] worker crashed:", err?.message || err);
+      if (token) {
+        markAddProgressDone(token, 0, "error", err?.message || "Worker crashed");
+      }
+    })
+    .finally(() => {
+      ctx.pendingAdds?.delete?.(key);
+    });
+}
+
+async function runAddJob(ctx, job) {
+  const {
+    url,
+    quality,
+    formatId,
+    clientToken,
+    usedClient,
+    requestSeq,
+    meta,
+    queueKey,
+  } = job;
+
+  const playlistStore = ctx.playlist;
+
+  const pendingInfo = queueKey ? ctx.pendingAdds?.get?.(queueKey) : null;
+  if (pendingInfo) {
+    pendingInfo.token = clientToken || pendingInfo.token || null;
+    pendingInfo.lastUpdated = Date.now();
+  }
+
+  const isCanceled = () => {
+    if (pendingInfo?.canceled) return true;
+    if (clientToken && isAddCanceled(clientToken)) return true;
+    return false;
+  };
+
+  if (isCanceled()) {
+    if (clientToken) {
+      clearCanceledToken(clientToken);
+      markAddProgressDone(clientToken, 0, "canceled", "Canceled");
+    }
+    if (pendingInfo) pendingInfo.canceled = true;
+    return { status: "canceled" };
+  }
+
+  if (clientToken) {
+    setAddProgress(clientToken, 0, { status: "running" });
+  }
+
+  ctx.lastAccess = Date.now();
+
+  // Playlist entries come from a flat listing that never probed a client
+  const extractorArg = job.probeClient
+    ? await resolveExtractorClient(url)
+    : job.extractorArgs || usedClient || "";
+
+  const q = (quality || "").toLowerCase();
+  const audioQuality = (q === "320" || q === "320k") ? "320K" : "0"; // default V0
+  const args = [];
+  const keepAliveEvery = Math.max(30_000, Math.min(Math.floor(SESSION_COOKIE_MAX_AGE / 2), 120_000));
+  const keepAliveTimer = setInterval(() => {
+    ctx.lastAccess = Date.now();
+  }, keepAliveEvery);
+  keepAliveTimer.unref?.();
+
+  if (extractorArg && extractorArg.trim()) args.push("--extractor-args", extractorArg);
+  if (COOKIES_PATH) args.push("--cookies", COOKIES_PATH);
+  if (YTDLP_EXTRA) args.push(...splitArgs(YTDLP_EXTRA));
+
+  const looksLikePath =
+    FF.bin && (FF.bin.startsWith("/") || FF.bin.includes("\\") || /^[A-Za-z]:\\/.test(FF.bin));
+  if (looksLikePath) args.push("--ffmpeg-location", FF.bin);
+
+  if (formatId) args.push("-f", String(formatId));
+
+  args.push(
+    "-x",
+    "--audio-format",
+    "mp3",
+    "--audio-quality",
+    audioQuality,
+    "--no-playlist",
+    "--restrict-filenames",
+    "-o",
+    path.join(ctx.trackDir, "%(title)s-%(id)s.%(ext)s"),
+    "--print",
+    "after_move:filepath",
+    "--newline",
+    url
+  );
+
+  let filePath = null;
+  const trimmedPaths = [];
+  let cancelWatcher = null;
+  try {
+    const proc = runYtDlp(args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+
+    if (pendingInfo) {
+      pendingInfo.abort = () => {
+        try {
+          proc.kill("SIGTERM");
+        } catch {}
+      };
+      pendingInfo.running = true;
+    }
+
+    proc.stdout?.on("data", (chunk) => {
+      const text = chunk.toString();
+      stdout += text;
+      if (clientToken) updateProgressFromYtDlp(clientToken, text, ctx);
+    });
+
+    proc.stderr?.on("data", (chunk) => {
+      const text = chunk.toString();
+      stderr += text;
+      if (clientToken) updateProgressFromYtDlp(clientToken, text, ctx);
+    });
+
+    if (clientToken) {
+      cancelWatcher = setInterval(() => {
+        if (isCanceled()) {
+          console.log("[add] terminating yt-dlp for canceled token", clientToken);
+          try {
+            proc.kill("SIGTERM");
+          } catch {}
+        }
+      }, 5_000);
+      cancelWatcher.unref?.();
+    }
+
+    const code = await new Promise((resolve) => {
+      proc.on("error", (err) => {
+        stderr += `\n${err?.message || err}`;
+        resolve(-1);
+      });
+      proc.on("close", (exitCode) => {
+        resolve(exitCode);
+      });
+    });
+
+    if (isCanceled()) {
+      clearCanceledToken(clientToken);
+      markAddProgressDone(clientToken, 0, "canceled", "Canceled");
+      if (pendingInfo) pendingInfo.canceled = true;
+      return { status: "canceled" };
+    }
+
+    if (code !== 0) {
+      if (clientToken) {
+        markAddProgressDone(clientToken, 0, "error", `yt-dlp exit ${code}`);
+      }
+      throw new Error(`yt-dlp exit ${code}: ${stderr}`);
+    }
+
+    filePath = stdout.trim().split(/\r?\n/).filter(Boolean).pop();
+    if (!filePath) {
+      if (clientToken) {
+        markAddProgressDone(clientToken, 0, "error", "No output file");
+      }
+      throw new Error("Failed to determine output file path");
+    }
+
+    const sourceDuration = Number(meta?.duration) || 0;
+    const baseTitle = meta?.title || path.basename(filePath);
+    // One download can yield several tracks (chapters); otherwise a single,
+    // possibly trimmed, cut of the whole video.
+    const cuts = Array.isArray(job.parts) && job.parts.length
+      ? job.parts
+      : [{
+          ...(job.trim || { start: 0, end: null, duration: sourceDuration }),
+          title: baseTitle,
+          seq: requestSeq,
+          disc: job.disc ?? 1,
+          overflow: Boolean(job.overflow),
+        }];
+
+    const silenceSettings = ctx.settings.silence;
+    const silenceOn = job.silenceTrim ?? silenceSettings.enabled;
+    const cutPaths = [];
+    const silences = [];
+    const playable = [];
+    for (const cut of cuts) {
+      if (isCanceled()) break;
+      const silence = silenceOn
+        ? await detectSilenceOrSkip(filePath, cut, sourceDuration, silenceSettings, { sessionId: ctx.id, clientToken })
+        : null;
+      const effective = effectiveCut(cut, silence, sourceDuration);
+      silences.push(silence);
+      playable.push(effective);
+      if (isTrimmed(effective)) {
+        const out = await trimMp3(filePath, effective, { quality, baseDir: ctx.trackDir });
+        trimmedPaths.push(out);
+        cutPaths.push(out);
+      } else {
+        cutPaths.push(filePath);
+      }
+    }
+
+    if (isCanceled()) {
+      clearCanceledToken(clientToken);
+      markAddProgressDone(clientToken, 0, "canceled", "Canceled");
+      await safeUnlink(filePath);
+      await Promise.allSettled(trimmedPaths.map((p) => safeUnlink(p)));
+      if (pendingInfo) pendingInfo.canceled = true;
+      return { status: "canceled" };
+    }
+
+    const stored = [];
+    for (let i = 0; i < cuts.length; i++) {
+      const cut = cuts[i];
+      const stat = await fsp.stat(cutPaths[i]);
+      // Chapter titles stand alone; the video's structured artist/track fields
+      // describe the whole upload, not each chapter
+      const rawTitle = cut.title || baseTitle;
+      const parsed = parseTrackTitle(rawTitle, Number.isInteger(cut.index) ? null : meta, ctx.settings.titleNoise);
+      const item = {
+        id: nanoid(8),
+        title: parsed.title || rawTitle,
+        artist: parsed.artist,
+        rawTitle,
+        duration: playable[i].duration,
+        sourceDuration,
+        trimStart: cut.start,
+        trimEnd: cut.end,
+        silence: silences[i],
+        silenceTrim: job.silenceTrim ?? null,
+        filepath: cutPaths[i],
+        originalPath: filePath,
+        quality: quality || null,
+        sizeBytes: stat.size,
+        videoId: meta?.id || null,
+        sourceUrl: job.url || meta?.webpage_url || null,
+        thumbnail: pickThumbnail(meta) || null,
+        disc: cut.disc ?? 1,
+        overflow: Boolean(cut.overflow),
+      };
+      if (Number.isInteger(cut.index)) item.chapterIndex = cut.index;
+      stored.push(playlistStore.add(item, cut.seq));
+    }
+    ctx.lastAccess = Date.now();
+    scheduleSessionSave(ctx);
+    publishPlaylist(ctx, "added");
+    clearCanceledToken(clientToken);
+    if (clientToken) {
+      markAddProgressDone(clientToken, 100, "success");
+    }
+    for (const entry of stored) {
+      ensureItemLoudness(ctx, entry);
+      warmCoverArt(entry);
+      console.log("[add] completed", {
+        sessionId: ctx.id,
+        itemId: entry.id,
+        title: entry.title,
+        artist: entry.artist,
+        duration: entry.duration,
+        trimStart: entry.trimStart,
+        trimEnd: entry.trimEnd,
+        silenceReclaimed: entry.silence?.reclaimed ?? 0,
+        sizeBytes: entry.sizeBytes,
+        orderSeq: entry.orderSeq,
+        disc: entry.disc,
+        overflow: entry.overflow,
+      });
+    }
+    return {
+      status: "success",
+      item: stored[0],
+      items: stored,
+      totals: playlistStore.discSummary(),
+    };
+  } catch (err) {
+    if (clientToken && !isAddCanceled(clientToken)) {
+      markAddProgressDone(clientToken, 0, "error", err?.message || err);
+    }
+    if (filePath) {
+      await safeUnlink(filePath);
+    }
+    await Promise.allSettled(trimmedPaths.map((p) => safeUnlink(p)));
+    return { status: "error", error: err };
+  } finally {
+    if (cancelWatcher) clearInterval(cancelWatcher);
+    clearInterval(keepAliveTimer);
+    if (pendingInfo) {
+      pendingInfo.abort = null;
+      pendingInfo.running = false;
+      pendingInfo.completedAt = Date.now();
+    }
+  }
+}
+
+async function safeUnlink(filePath) {
+  if (!filePath) return;
+  try {
+    await fsp.unlink(filePath);
+  } catch {}
+}
+
+// Every file a playlist item owns: the playable file plus the untrimmed download.
+// Chapters of one video share that download, so keep whatever `remaining` items
+// still point at.
+function unlinkItemFiles(item, remaining = []) {
+  const inUse = new Set(remaining.flatMap((other) => [other?.filepath, other?.originalPath]));
+  const paths = new Set([item?.filepath, item?.originalPath].filter((p) => p && !inUse.has(p)));
+  return Promise.allSettled(Array.from(paths, (p) => safeUnlink(p)));
+}
+
+// ------------------------- Helpers -------------------------------
+function run(cmd, args, opts = {}) {
+  return new Promise((resolve) => {
+    let stdout = "", stderr = "";
+    const p = spawn(cmd, args, { ...opts });
+    p.stdout?.on("data", d => stdout += d.toString());
+    p.stderr?.on("data", d => stderr += d.toString());
+    p.on("error", (err) => resolve({ code: -1, stdout, stderr: String(err) }));
+    p.on("close", (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+async function detectCommand(cmd) {
+  for (const flag of [["--version"], ["-version"], ["-V"], []]) {
+    const { code } = await run(cmd, flag);
+    if (code === 0) return { ok: true, cmd, tried: flag };
+  }
+  return { ok: false, cmd };
+}
+
+async function detectYtDlp() {
+  const candidates = [
+    process.env.YTDLP_PATH,
+    "yt-dlp", "yt-dlp.exe",
+    "python", "py"
+  ].filter(Boolean);
+
+  for (const c of candidates) {
+    const det = await detectCommand(c);
+    if (!det.ok) continue;
+    if (c === "python" || c === "py") {
+      const prob = await run(c, ["-m", "yt_dlp", "--version"]);
+      if (prob.code === 0) return { bin: c, mode: "python" };
+      continue;
+    }
+    const ver = await run(c, ["--version"]);
+    if (ver.code === 0) return { bin: c, mode: "direct", version: ver.stdout.trim() || ver.stderr.trim() };
+  }
+  return { bin: null, mode: null };
+}
+
+async function detectFfmpeg() {
+  const candidate = process.env.FFMPEG_PATH || "ffmpeg";
+  const det = await detectCommand(candidate);
+  if (!det.ok) return { bin: null };
+  const ver = await run(candidate, ["-version"]);
+  return { bin: candidate, version: (ver.stdout || ver.stderr).split("\n")[0] };
+}
+
+// ffprobe ships next to ffmpeg, so an explicit FFMPEG_PATH points at it too
+async function detectFfprobe() {
+  const sibling = process.env.FFMPEG_PATH && /[\\/]/.test(process.env.FFMPEG_PATH)
+    ? path.join(path.dirname(process.env.FFMPEG_PATH), path.basename(process.env.FFMPEG_PATH).replace(/ffmpeg/i, "ffprobe"))
+    : null;
+  for (const candidate of [process.env.FFPROBE_PATH, sibling, "ffprobe"].filter(Boolean)) {
+    const det = await detectCommand(candidate);
+    if (det.ok) return { bin: candidate };
+  }
+  return { bin: null };
+}
+
+const FF = await detectFfmpeg();
+const FP = await detectFfprobe();
+const YD = await detectYtDlp();
+const ZIP = await (async () => {
+  const candidate = process.env.ZIP_PATH || "zip";
+  const det = await detectCommand(candidate);
+  if (!det.ok) return { bin: null };
+  return { bin: candidate };
+})();
+
+function requireBinsOrThrow() {
+  if (!FF.bin) throw new Error("ffmpeg not found. Set FFMPEG_PATH env var to its full path.");
+  if (!YD.bin) throw new Error("yt-dlp not found. Install it or set YTDLP_PATH env var.");
+}
+
+function runYtDlp(args, opts = {}) {
+  if (YD.mode === "python") return spawn(YD.bin, ["-m", "yt_dlp", ...args], opts);
+  return spawn(YD.bin, args, opts);
+}
+
+const COOKIES_PATH  = COOKIES_INFO.path;
+const COOKIES_SOURCE = COOKIES_INFO.source;
+// You may force a client via env, e.g. YTDLP_EXTRACTOR_ARGS="youtube:player_client=web"
+const EXTRACTOR_ARGS = process.env.YTDLP_EXTRACTOR_ARGS ?? "youtube:player_client=tv";
+const YTDLP_EXTRA    = process.env.YTDLP_EXTRA || "--force-ipv4"; // helps on some networks
+
+function splitArgs(str) {
+  if (!str) return [];
+  const re = /(?:[^\s"]+|"[^"]*")+/g;
+  const out = [];
+  for (const m of str.match(re) || []) {
+    out.push(m.replace(/^"|"$/g, ""));
+  }
+  return out;
+}
+
+
+function safeBase(title) {
+  const s = String(title || "audio")
+    .replace(/[\\/:*?"<>|]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 120);
+  return s || "audio";
+}
+
+function normalizeForZip(title) {
+  const base = String(title || "")
+    .replace(/[\u0000-\u001f]+/g, "")
+    .replace(/[\\/:*?"<>|=]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[. ]+$/g, "");
+  return base.slice(0, 180).replace(/[. ]+$/g, "");
+}
+
+function formatZipEntryName(title, index, total, ext) {
+  const digits = String(Math.max(total, 1)).length;
+  const prefix = String(index).padStart(digits, "0");
+  const cleanTitle = normalizeForZip(title) || `Track ${index}`;
+  const cleanExt = ext && ext.startsWith(".") ? ext : ext ? `.${ext}` : "";
+  return `${prefix} ${cleanTitle}${cleanExt}`;
+}
+
+function updateProgressFromYtDlp(token, chunk, ctx) {
+  if (!token || !chunk) return;
+  const text = chunk.toString();
+  if (ctx && typeof ctx === "object") {
+    ctx.lastAccess = Date.now();
+  }
+  const matches = text.match(/\[download\]\s+([\d.]+)%/g);
+  if (matches && matches.length) {
+    const last = matches[matches.length - 1];
+    const pctMatch = last.match(/([\d.]+)%/);
+    if (pctMatch) {
+      const pct = parseFloat(pctMatch[1]);
+      if (!Number.isNaN(pct)) {
+        setAddProgress(token, Math.min(99, pct));
+      }
+    }
+  }
+  if (/\[(?:ExtractAudio|Merger|ffmpeg)\]/i.test(text)) {
+    setAddProgress(token, 99);
+  }
+}
+
+// ---------- Metadata ----------
+function collectYtDlp(args) {
+  return new Promise((resolve) => {
+    const p = runYtDlp(args, { stdio: ["ignore", "pipe", "pipe"] });
+    let out = "", err = "";
+    p.stdout.on("data", (d) => (out += d.toString()));
+    p.stderr.on("data", (d) => (err += d.toString()));
+    p.on("error", (e) => resolve({ code: -1, stdout: "", stderr: String(e) }));
+    p.on("close", (c) => resolve({ code: c, stdout: out, stderr: err }));
+  });
+}
+
+async function getVideoMetaDetailed(url, clientArg /* "youtube:player_client=web" | "" */) {
+  requireBinsOrThrow();
+  const args = ["-J", "--no-playlist", "--skip-download"];
+  if (COOKIES_PATH) args.push("--cookies", COOKIES_PATH);
+  if (clientArg && clientArg.trim()) args.push("--extractor-args", clientArg);
+  if (YTDLP_EXTRA) args.push(...splitArgs(YTDLP_EXTRA));
+  args.push(url);
+
+  const { code, stdout, stderr } = await collectYtDlp(args);
+
+  if (code !== 0) return { ok: false, error: "yt-dlp failed", code, stdout, stderr, usedClient: clientArg || null };
+
+  try {
+    const meta = JSON.parse(stdout);
+    return { ok: true, meta, stdout, stderr, usedClient: clientArg || null };
+  } catch {
+    return { ok: false, error: "JSON parse failed", code, stdout, stderr, usedClient: clientArg || null };
+  }
+}
+
+// Try clients in parallel; prefer first that yields audio-only (>=44.1k) by priority order,
+// else the richest success; else first failure.
+async function getVideoMetaSmart(url) {
+  if (EXTRACTOR_ARGS) return getVideoMetaDetailed(url, EXTRACTOR_ARGS);
+
+  const clients = [
+    "youtube:player_client=tv",
+    "youtube:player_client=tv_embedded",
+    "youtube:player_client=web",
+    "youtube:player_client=ios",
+    "youtube:player_client=android",
+    "",
+  ];
+  const promises = clients.map(c => getVideoMetaDetailed(url, c));
+  const results  = await Promise.all(promises);
+
+  const hasAudioOnlyHi = (meta) => {
+    const formats = Array.isArray(meta?.formats) ? meta.formats : [];
+    return formats.some(f =>
+      String(f?.vcodec || "").toLowerCase() === "none" &&
+      f?.acodec && f.acodec !== "none" &&
+      (Number(f.asr) || 0) >= 44100
+    );
+  };
+
+  for (let i = 0; i < results.length; i++) {
+    const r = results[i];
+    if (r.ok && hasAudioOnlyHi(r.meta)) return r;
+  }
+
+  const oks = results.filter(r => r.ok);
+  if (oks.length) {
+    oks.sort((a, b) => (b.meta?.formats?.length || 0) - (a.meta?.formats?.length || 0));
+    return oks[0];
+  }
+  return results[0];
+}
+
+// The client /api/add would download with: the configured one, or whichever
+// getVideoMetaSmart finds working for this video.
+async function resolveExtractorClient(url) {
+  if (EXTRACTOR_ARGS) return EXTRACTOR_ARGS;
+  // Runs ahead of the add job's cleanup, so it must not throw: a failed probe
+  // just leaves the download on yt-dlp's default client
+  try {
+    const metaR = await getVideoMetaSmart(url);
+    return metaR.ok ? metaR.usedClient || "" : "";
+  } catch (err) {
+    console.warn("[add] client probe failed", { url, error: err?.message || err });
+    return "";
+  }
+}
+
+// ---------- Best format picker (Opus > AAC, audio-only, >=44.1k) ----------
+function chooseBestFormat(formatsRaw) {
+  const norm = (f) => ({
+    ...f,
+    abr: (f.abr ?? (f.tbr ? Math.round(f.tbr) : undefined)),
+    asr: (typeof f.asr === "string" ? parseInt(f.asr, 10) : f.asr),
+    vcodec: (f.vcodec || "").toLowerCase(),
+    acodec: (f.acodec || "").toLowerCase(),
+  });
+
+  const all = (formatsRaw || [])
+    .filter(f => f && f.acodec && f.acodec !== "none")
+    .map(norm);
+
+  const audioOnly = all.filter(f => f.vcodec === "none");
+  const hiAudioOnly = audioOnly.filter(f => (f.asr || 0) >= 44100);
+
+  const isOpus = f => f.acodec.includes("opus");
+  const isAac  = f => f.acodec.includes("aac") || f.acodec.includes("mp4a");
+  const byBitrate = (a, b) => (b.abr || 0) - (a.abr || 0) || (b.tbr || 0) - (a.tbr || 0);
+
+  const pick = (arr, pred) => arr.filter(pred).sort(byBitrate)[0];
+
+  return (
+    pick(hiAudioOnly, isOpus) ||
+    pick(hiAudioOnly, isAac)  ||
+    pick(hiAudioOnly, () => true) ||
+    null
+  );
+}
+
+function pickThumbnail(meta) {
+  if (!meta) return null;
+  if (typeof meta.thumbnail === "string") return meta.thumbnail;
+  const arr = meta.thumbnails || meta.thumbnail || [];
+  if (Array.isArray(arr) && arr.length) {
+    return arr.slice().sort((a, b) => (b.width||0)*(b.height||0) - (a.width||0)*(a.height||0))[0].url || null;
+  }
+  return null;
+}
+
+// ---------- Playlist import ----------
+const PLAYLIST_IMPORT_TTL_MS = 1000 * 60 * 30;
+const PLAYLIST_IMPORTS_PER_SESSION = 4;
+
+// Playlist, mix and album links keep their `list`. A mix only resolves
+// together with the video that seeded it, so that one keeps `v` as well.
+function canonicalizePlaylist(u) {
+  try {
+    const url = new URL(u);
+    const list = url.searchParams.get("list");
+    if (!list) return u;
+    if (url.hostname === "youtu.be" || url.hostname.endsWith("youtube.com")) {
+      const id = url.hostname === "youtu.be" ? url.pathname.slice(1) : url.searchParams.get("v");
+      if (list.startsWith("RD") && id) return `https://www.youtube.com/watch?v=${id}&list=${list}`;
+      return `https://www.youtube.com/playlist?list=${list}`;
+    }
+  } catch {}
+  return u;
+}
+
+function playlistEntry(entry, index) {
+  const id = typeof entry?.id === "string" ? entry.id : null;
+  const url = canonicalizeYouTube(entry?.webpage_url || entry?.url || "");
+  const duration = Number(entry?.duration) || 0;
+  return {
+    index,
+    id,
+    url: /^https?:\/\//i.test(url) ? url : null,
+    title: entry?.title || `Entry ${index + 1}`,
+    channel: entry?.channel || entry?.uploader || null,
+    duration,
+    thumbnail: pickThumbnail(entry),
+    // Private and deleted videos are still listed, without a duration
+    available: Boolean(id && duration > 0 && /^https?:\/\//i.test(url)),
+  };
+}
+
+// Flat extraction lists the entries without resolving each video's formats.
+// Search queries ("ytsearch10:…") come back in the same playlist shape.
+async function getPlaylistEntries(url, { maxEntries = config.playlistMaxEntries } = {}) {
+  requireBinsOrThrow();
+  const args = ["-J", "--flat-playlist", "--yes-playlist", "--playlist-end", String(maxEntries)];
+  if (COOKIES_PATH) args.push("--cookies", COOKIES_PATH);
+  if (YTDLP_EXTRA) args.push(...splitArgs(YTDLP_EXTRA));
+  args.push(url);
+
+  const { code, stdout, stderr } = await collectYtDlp(args);
+  if (code !== 0) return { ok: false, error: "yt-dlp failed", code, stderr };
+
+  let info;
+  try {
+    info = JSON.parse(stdout);
+  } catch {
+    return { ok: false, error: "JSON parse failed", code, stderr };
+  }
+  if (info?._type !== "playlist" || !Array.isArray(info.entries)) {
+    return { ok: false, error: "Not a playlist", code, stderr };
+  }
+  const entries = info.entries.map((entry, index) => playlistEntry(entry, index));
+  return {
+    ok: true,
+    id: info.id || null,
+    title: info.title || null,
+    channel: info.channel || info.uploader || null,
+    entries,
+    truncated: Number(info.playlist_count) > entries.length,
+  };
+}
+
+// Expanded playlists are kept per session so the entries the user ticks are
+// exactly the ones they saw; mixes come back different on every request.
+function rememberPlaylistImport(ctx, playlist) {
+  const now = Date.now();
+  for (const [id, entry] of ctx.playlistImports) {
+    if (entry.expiresAt <= now) ctx.playlistImports.delete(id);
+  }
+  while (ctx.playlistImports.size >= PLAYLIST_IMPORTS_PER_SESSION) {
+    ctx.playlistImports.delete(ctx.playlistImports.keys().next().value);
+  }
+  const id = nanoid(10);
+  ctx.playlistImports.set(id, { ...playlist, expiresAt: now + PLAYLIST_IMPORT_TTL_MS });
+  return id;
+}
+
+function lookupPlaylistImport(ctx, id) {
+  const entry = typeof id === "string" ? ctx.playlistImports.get(id) : null;
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    ctx.playlistImports.delete(id);
+    return null;
+  }
+  return entry;
+}
+
+// What is left on the disc new tracks would land on, so the picker can warn
+// before the selection is sent.
+function describeRemainingCapacity(ctx) {
+  const usage = projectDiscUsage(ctx, lastPendingDisc(ctx));
+  const { model } = usage;
+  const remaining = Math.max(0, usage.capUnits - usage.units);
+  const base = {
+    disc: usage.disc,
+    policy: ctx.settings.overflowPolicy,
+    capacityMode: model.kind,
+    trackCount: usage.count,
+  };
+  if (model.kind === "bytes") return { ...base, remainingBytes: remaining };
+  return { ...base, remainingSeconds: remaining / CD_FRAMES_PER_SECOND };
+}
+
+// ---------- Tracklist import ----------
+const TRACKLIST_MAX_ROWS = 100;
+const TRACKLIST_SEARCH_RESULTS = 6;
+const TRACKLIST_CANDIDATES = 4; // best match plus alternates
+const TRACKLIST_SEARCH_LIMIT = 3;
+const TRACKLIST_MAX_BYTES = 2 * 1024 * 1024; // exports carry many columns per track
+const TRACKLIST_JOBS_RUNNING = 2; // per session
+const TRACKLIST_JOB_TTL_MS = 1000 * 60 * 30;
+
+// Header cells, lowercased with everything but letters and digits removed.
+// Covers the usual exports ("Track Name", "Artist Name(s)", "Duration (ms)").
+const TRACKLIST_COLUMNS = {
+  title: ["title", "track", "trackname", "tracktitle", "song", "songname", "name"],
+  artist: ["artist", "artists", "artistname", "artistnames", "performer", "band"],
+  duration: ["duration", "durationms", "durationseconds", "length", "time", "trackduration"],
+};
+
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') field += text[++i];
+      else quoted = false;
+    } else if (ch === '"' && !field) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Returns { title, artist, duration, durationMs } column indexes when the
+// header row names at least a title column, else null.
+function tracklistColumns(header) {
+  const keys = header.map((cell) => String(cell).toLowerCase().replace(/[^a-z0-9]+/g, ""));
+  const find = (names) => keys.findIndex((key) => names.includes(key));
+  const columns = {
+    title: find(TRACKLIST_COLUMNS.title),
+    artist: find(TRACKLIST_COLUMNS.artist),
+    duration: find(TRACKLIST_COLUMNS.duration),
+  };
+  if (columns.title === -1) return null;
+  columns.durationMs = columns.duration !== -1 && keys[columns.duration].endsWith("ms");
+  return columns;
+}
+
+// One "Artist - Title" per line. Track numbers, bullets and leading start
+// times are dropped; a trailing clock is taken as the track length.
+function parseTracklistLine(line) {
+  const text = line
+    .replace(/^\s*(?:\d{1,3}\s*[.):](?!\d)\s*|[-*•]\s+)/, "")
+    .replace(/^\d{1,2}:\d{2}(?::\d{2})?\s+/, "")
+    .trim();
+  const { query, duration } = parseSearchQuery(text);
+  const split = query.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  if (split) return { artist: split[1].trim(), title: split[2].trim(), duration };
+  return { artist: "", title: query, duration };
+}
+
+// CSV exports are recognised by their header; anything else is read as plain
+// text. Returns { format, rows: [{ row, artist, title, duration }] }.
+function parseTracklist(text) {
+  const body = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = body.split(/\r?\n/).find((line) => line.trim()) || "";
+  const delimiter = [",", ";", "\t"]
+    .map((char) => ({ char, count: firstLine.split(char).length }))
+    .sort((a, b) => b.count - a.count)[0];
+
+  const table = delimiter.count > 1 ? parseCsv(body, delimiter.char) : [];
+  const columns = table.length ? tracklistColumns(table[0]) : null;
+  let format = "text";
+  let rows;
+  if (columns) {
+    format = "csv";
+    rows = table.slice(1).map((cells) => {
+      const cell = (index) => (index === -1 ? "" : String(cells[index] ?? "").trim());
+      const rawDuration = cell(columns.duration);
+      const duration = columns.durationMs
+        ? (Number(rawDuration) > 0 ? Number(rawDuration) / 1000 : null)
+        : parseTimestamp(rawDuration);
+      return { artist: cell(columns.artist), title: cell(columns.title), duration };
+    });
+  } else {
+    rows = body
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"))
+      .map(parseTracklistLine);
+  }
+  rows = rows
+    .filter((row) => row.title)
+    .map((row, index) => ({ row: index + 1, ...row, duration: row.duration || null }));
+  return { format, rows };
+}
+
+// Ranking scores are word coverage plus bonuses and penalties; clamped, they
+// read well enough as a 0-1 confidence.
+function matchConfidence(score) {
+  return Math.round(Math.max(0, Math.min(1, Number(score) || 0)) * 100) / 100;
+}
+
+async function resolveTracklistRow(row) {
+  const query = [row.artist, row.title].filter(Boolean).join(" - ");
+  const found = await getPlaylistEntries(`ytsearch${TRACKLIST_SEARCH_RESULTS}:${query}`, {
+    maxEntries: TRACKLIST_SEARCH_RESULTS,
+  });
+  if (!found.ok) return { ...row, query, error: "Search failed", candidates: [] };
+  const candidates = rankSearchResults(found.entries, { query, duration: row.duration })
+    .slice(0, TRACKLIST_CANDIDATES)
+    .map((candidate) => ({ ...candidate, confidence: matchConfidence(candidate.score) }));
+  return { ...row, query, error: candidates.length ? null : "No match found", candidates };
+}
+
+// The tracklist arrives as a multipart "file" field; only its text is kept.
+function receiveTracklist(req) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: TRACKLIST_MAX_BYTES } });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    const upload = { filename: null, text: "", tooLarge: false };
+    const chunks = [];
+    busboy.on("file", (_field, file, info) => {
+      upload.filename = path.basename(String(info?.filename || ""));
+      file.on("data", (chunk) => chunks.push(chunk));
+      file.on("limit", () => {
+        upload.tooLarge = true;
+      });
+    });
+    busboy.on("error", reject);
+    busboy.on("close", () => {
+      upload.text = Buffer.concat(chunks).toString("utf8");
+      resolve(upload);
+    });
+    req.on("aborted", () => reject(new Error("Upload aborted")));
+    req.pipe(busboy);
+  });
+}
+
+function purgeTracklistJobs(ctx) {
+  const now = Date.now();
+  for (const [id, job] of ctx.tracklistJobs) {
+    if (job.expiresAt <= now) ctx.tracklistJobs.delete(id);
+  }
+}
+
+function describeTracklistJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    done: job.done,
+    total: job.rows.length,
+    error: job.error,
+    ...(job.status === "done" ? job.result : {}),
+  };
+}
+
+// Searching a long list takes minutes, so it runs in the background: progress
+// goes out as "tracklist" events and GET /api/import-tracklist/:id has the
+// state (and, once done, the review) for clients without the stream.
+function startTracklistJob(ctx, { title, format, rows, truncated }) {
+  const job = {
+    id: nanoid(10),
+    status: "running", // running | done | error | cancelled
+    title,
+    rows,
+    done: 0,
+    error: null,
+    result: null,
+    expiresAt: Date.now() + TRACKLIST_JOB_TTL_MS,
+  };
+  ctx.tracklistJobs.set(job.id, job);
+  const publish = () => publishEvent(ctx, "tracklist", { id: job.id, status: job.status, done: job.done, total: rows.length });
+
+  const searches = new ParallelWorkQueue(TRACKLIST_SEARCH_LIMIT);
+  const resolveRow = async (row) => {
+    if (job.status !== "running") return null;
+    const resolved = await resolveTracklistRow(row).catch((err) => ({
+      ...row,
+      query: [row.artist, row.title].filter(Boolean).join(" - "),
+      error: err?.message || "Search failed",
+      candidates: [],
+    }));
+    job.done += 1;
+    if (job.status === "running") publish();
+    return resolved;
+  };
+
+  Promise.all(rows.map((row) => searches.run(() => resolveRow(row))))
+    .then((resolved) => {
+      if (job.status !== "running") return;
+      const entries = [];
+      const reviewRows = resolved.map((row) => {
+        const candidates = row.candidates.map((candidate) => {
+          const entry = { ...candidate, index: entries.length, row: row.row };
+          entries.push(entry);
+          return entry;
+        });
+        return {
+          row: row.row,
+          artist: row.artist,
+          title: row.title,
+          duration: row.duration,
+          query: row.query,
+          error: row.error,
+          confidence: candidates[0]?.confidence ?? 0,
+          candidates,
+        };
+      });
+
+      const importId = rememberPlaylistImport(ctx, { url: null, title, entries });
+      job.status = "done";
+      job.result = {
+        importId,
+        title,
+        format,
+        rows: reviewRows,
+        truncated,
+        capacity: describeRemainingCapacity(ctx),
+      };
+      console.log("[tracklist] resolved", {
+        sessionId: ctx.id,
+        jobId: job.id,
+        importId,
+        rows: reviewRows.length,
+        unresolved: reviewRows.filter((row) => !row.candidates.length).length,
+      });
+    })
+    .catch((err) => {
+      job.status = "error";
+      job.error = String(err?.message || err);
+      console.error("[tracklist] job crashed", { sessionId: ctx.id, jobId: job.id, error: job.error });
+    })
+    .finally(() => {
+      job.expiresAt = Date.now() + TRACKLIST_JOB_TTL_MS;
+      publish();
+    });
+  return job;
+}
+
+// ---------- Uploads ----------
+const UPLOAD_EXTENSIONS = [".mp3", ".flac", ".wav", ".m4a", ".ogg"];
+const UPLOAD_MAX_FILES = 20;
+
+// Duration and tags of a local file. Tag names vary in case between formats,
+// and Ogg/FLAC keep them on the stream rather than the container.
+async function probeAudioFile(filePath) {
+  if (!FP.bin) return { ok: false, error: "ffprobe not available" };
+  const { code, stdout, stderr } = await run(FP.bin, [
+    "-v", "error",
+    "-print_format", "json",
+    "-show_format",
+    "-show_streams",
+    "-select_streams", "a:0",
+    filePath,
+  ]);
+  if (code !== 0) return { ok: false, error: "Not a readable audio file", stderr };
+  let info;
+  try {
+    info = JSON.parse(stdout);
+  } catch {
+    return { ok: false, error: "ffprobe output unreadable" };
+  }
+  const stream = info.streams?.[0];
+  const duration = Number(info.format?.duration) || Number(stream?.duration) || 0;
+  if (!stream || !duration) return { ok: false, error: "No audio found in this file" };
+  const tags = {};
+  for (const source of [stream.tags, info.format?.tags]) {
+    for (const [key, value] of Object.entries(source || {})) {
+      const name = key.toLowerCase();
+      if (!tags[name] && String(value).trim()) tags[name] = String(value).trim();
+    }
+  }
+  return { ok: true, duration, codec: stream.codec_name || null, tags };
+}
+
+// Stream every file part of a multipart request into `dir`. Resolves with one
+// entry per part, in the order sent: { filename, path, sizeBytes } or { filename, error }.
+function receiveUploads(req, dir) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: UPLOAD_MAX_FILES, fileSize: config.uploadMaxBytes } });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    const received = [];
+    const files = [];
+    const writes = [];
+    busboy.on("file", (_field, file, info) => {
+      const filename = path.basename(String(info?.filename || "upload"));
+      const ext = path.extname(filename).toLowerCase();
+      if (!UPLOAD_EXTENSIONS.includes(ext)) {
+        received.push({ filename, error: `Unsupported file type, use ${UPLOAD_EXTENSIONS.join(" ")}` });
+        file.resume();
+        return;
+      }
+      const entry = {
+        filename,
+        path: path.join(dir, `${nanoid(8)}-${safeBase(path.basename(filename, ext)).replace(/\s+/g, "_")}${ext}`),
+        sizeBytes: 0,
+      };
+      received.push(entry);
+      file.on("data", (chunk) => {
+        entry.sizeBytes += chunk.length;
+      });
+      file.on("limit", () => {
+        entry.error = `Larger than ${formatMegabytes(config.uploadMaxBytes)}`;
+      });
+      files.push(file);
+      writes.push(
+        pipeline(file, fs.createWriteStream(entry.path)).catch((err) => {
+          entry.error = entry.error || err?.message || "Upload failed";
+        })
+      );
+    });
+    busboy.on("filesLimit", () => {
+      received.push({ filename: null, error: `At most ${UPLOAD_MAX_FILES} files at once` });
+    });
+    // An aborted upload leaves nothing behind: no item will point at its parts
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      req.unpipe(busboy);
+      // A part cut off mid-file never ends on its own
+      for (const file of files) file.destroy(err);
+      Promise.allSettled(writes)
+        .then(() => Promise.all(received.filter((entry) => entry.path).map((entry) => safeUnlink(entry.path))))
+        .finally(() => reject(err));
+    };
+    busboy.on("error", fail);
+    busboy.on("close", () => {
+      Promise.all(writes).then(() => {
+        if (settled) return;
+        settled = true;
+        resolve(received);
+      }, fail);
+    });
+    req.on("aborted", () => fail(new Error("Upload aborted")));
+    req.pipe(busboy);
+  });
+}
+
+// Turn one received file into a playlist item, or say why not. Own files go in
+// as they are: no silence trimming and no re-encode, so lossless copies stay
+// lossless on the disc image. Trim in the row editor still works.
+async function addUploadedFile(ctx, upload, { allowDuplicate = false } = {}) {
+  const probed = await probeAudioFile(upload.path);
+  if (!probed.ok) return { ok: false, error: probed.error };
+
+  const stem = path.basename(upload.filename, path.extname(upload.filename));
+  const { tags } = probed;
+  const parsed = tags.title
+    ? { title: tags.title, artist: tags.artist || tags.album_artist || "" }
+    : parseTrackTitle(stem, null, ctx.settings.titleNoise);
+
+  if (!allowDuplicate) {
+    const held = heldDuplicate(
+      ctx,
+      { videoId: null, artist: parsed.artist || tags.artist || "", title: parsed.title || stem, duration: probed.duration },
+      { title: parsed.title || stem, logMeta: { filename: upload.filename } }
+    );
+    if (held) return { ok: false, ...held };
+  }
+
+  const placement = planDiscPlacement(ctx, { duration: probed.duration, sizeBytes: upload.sizeBytes });
+  if (!placement.ok) {
+    const { ok: _ok, ...details } = placement;
+    return { ok: false, error: "Not enough room on the disc", ...details };
+  }
+  const playlistStore = ctx.playlist;
+  const item = playlistStore.add({
+    id: nanoid(8),
+    title: parsed.title || stem,
+    artist: parsed.artist || tags.artist || "",
+    album: tags.album || "",
+    comment: tags.comment || "",
+    rawTitle: upload.filename,
+    duration: probed.duration,
+    sourceDuration: probed.duration,
+    trimStart: 0,
+    trimEnd: null,
+    silence: null,
+    silenceTrim: false,
+    filepath: upload.path,
+    originalPath: upload.path,
+    quality: null,
+    sizeBytes: upload.sizeBytes,
+    videoId: null,
+    sourceUrl: null,
+    thumbnail: null,
+    disc: placement.disc,
+    overflow: placement.overflow,
+    upload: { filename: upload.filename, codec: probed.codec },
+  }, playlistStore.issueSeq());
+  ensureItemLoudness(ctx, item);
+  return { ok: true, item };
+}
+
+// ---------- Duplicates ----------
+const DUPLICATE_SECONDS_SLACK = 8; // uploads of one song differ by intros and outros
+
+// Artist and title words, order-free, so "Band - Song" and an edited
+// artist/title pair compare equal.
+function duplicateKey({ artist, title }) {
+  return Array.from(new Set(searchWords(`${artist || ""} ${title || ""}`))).sort().join(" ");
+}
+
+function looksLikeSameSong(a, b) {
+  const key = duplicateKey(a);
+  if (!key || key !== duplicateKey(b)) return false;
+  return Math.abs((Number(a.duration) || 0) - (Number(b.duration) || 0)) <= DUPLICATE_SECONDS_SLACK;
+}
+
+function describeDuplicate(item, reason, pending = false) {
+  return {
+    reason,
+    pending,
+    id: pending ? null : item.id,
+    title: item.title || null,
+    artist: item.artist || null,
+    duration: Number(item.duration) || null,
+    disc: item.disc ?? 1,
+  };
+}
+
+// What a new add would repeat: the same video, already on the list or still
+// downloading, or (unless `sameVideoOnly`) a different upload whose artist,
+// title and length match.
+function findDuplicatesOf(ctx, candidate, { sameVideoOnly = false } = {}) {
+  const found = [];
+  for (const item of ctx.playlist.items) {
+    if (candidate.videoId && item.videoId === candidate.videoId) {
+      found.push(describeDuplicate(item, "same-video"));
+    } else if (!sameVideoOnly && looksLikeSameSong(candidate, item)) {
+      found.push(describeDuplicate(item, "similar-title"));
+    }
+  }
+  for (const info of ctx.pendingAdds?.values?.() || []) {
+    if (!info || info.canceled || !candidate.videoId || info.videoId !== candidate.videoId) continue;
+    found.push(describeDuplicate(info, "same-video", true));
+  }
+  return found;
+}
+
+// What findDuplicatesOf compares for a video, from its metadata
+function videoDuplicateCandidate(ctx, meta) {
+  const parsed = parseTrackTitle(meta?.title, meta, ctx.settings.titleNoise);
+  return { videoId: meta?.id || null, artist: parsed.artist, title: parsed.title, duration: Number(meta?.duration) || 0 };
+}
+
+// The "Possible duplicate" answer for an add that repeats the list, or null.
+// Every add path holds repeats the same way; the UI offers "add anyway",
+// which retries with allow_duplicate.
+function heldDuplicate(ctx, candidate, { title = null, sameVideoOnly = false, logMeta = {} } = {}) {
+  const duplicates = findDuplicatesOf(ctx, candidate, { sameVideoOnly });
+  if (!duplicates.length) return null;
+  const first = duplicates[0];
+  console.log("[add] held: duplicate", {
+    sessionId: ctx.id,
+    ...logMeta,
+    videoId: candidate.videoId || null,
+    reason: first.reason,
+    matches: duplicates.length,
+  });
+  const message = first.pending
+    ? `"${first.title}" is already being added`
+    : first.reason === "same-video"
+      ? `"${first.title}" is already on disc ${first.disc}`
+      : `Looks like "${first.title}" on disc ${first.disc}`;
+  return {
+    error: "Possible duplicate",
+    code: "duplicate",
+    message,
+    duplicates,
+    title,
+    duration: Number(candidate.duration) || null,
+  };
+}
+
+// Groups of list items that repeat each other. Chapters cut from one video are
+// distinct tracks; the same chapter twice is not.
+function findDuplicateGroups(items) {
+  const groupOf = new Map();
+  const groups = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = 0; j < i; j++) {
+      const a = items[j];
+      const b = items[i];
+      const sameVideo = a.videoId && a.videoId === b.videoId && (a.chapterIndex ?? null) === (b.chapterIndex ?? null);
+      if (!sameVideo && !looksLikeSameSong(a, b)) continue;
+      let group = groupOf.get(a.id);
+      if (!group) {
+        group = { reason: "same-video", ids: [a.id] };
+        groups.push(group);
+        groupOf.set(a.id, group);
+      }
+      if (!sameVideo) group.reason = "similar-title";
+      if (!groupOf.has(b.id)) {
+        group.ids.push(b.id);
+        groupOf.set(b.id, group);
+      }
+      break;
+    }
+  }
+  return groups;
+}
+
+// ---------- Download & transcode ----------
+async function downloadSourceToTmp(url, formatId, clientArg /* pass-through */, baseDir = config.tmpDir) {
+  requireBinsOrThrow();
+  await ensureDir(baseDir);
+  const outTmpl = path.join(baseDir, `${nanoid(6)}-%(title)s-%(id)s.%(ext)s`);
+  const args = [];
+  if (formatId) args.push("-f", String(formatId));
+  const looksLikePath =
+    FF.bin && (FF.bin.startsWith("/") || FF.bin.includes("\\") || /^[A-Za-z]:\\/.test(FF.bin));
+  if (looksLikePath) args.push("--ffmpeg-location", FF.bin);
+  if (COOKIES_PATH) args.push("--cookies", COOKIES_PATH);
+  if (clientArg && clientArg.trim()) args.push("--extractor-args", clientArg);
+  if (YTDLP_EXTRA) args.push(...splitArgs(YTDLP_EXTRA));
+  args.push(
+    "--no-playlist",
+    "--restrict-filenames",
+    "-o", outTmpl,
+    "--print", "after_move:filepath",
+    url
+  );
+  const { code, stdout, stderr } = await run(
+    YD.mode === "python" ? YD.bin : YD.bin,
+    (YD.mode === "python" ? ["-m","yt_dlp"] : []).concat(args)
+  );
+  if (code !== 0) throw new Error(`yt-dlp download failed: ${stderr}`);
+  const file = stdout.trim().split(/\r?\n/).filter(Boolean).pop();
+  if (!file || !fs.existsSync(file)) throw new Error("Downloaded file not found");
+  return file;
+}
+
+// ffmpeg -af chain for a gain and optional fades; fades need the duration to
+// place the fade-out.
+function audioFilterArgs({ gainDb = 0, fadeIn = 0, fadeOut = 0, duration = 0 } = {}) {
+  const filters = [];
+  if (gainDb) filters.push(`volume=${gainDb}dB`);
+  if (fadeIn > 0) filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+  if (fadeOut > 0 && duration > 0) {
+    const length = Math.min(fadeOut, duration);
+    filters.push(`afade=t=out:st=${Math.round((duration - length) * 1000) / 1000}:d=${length}`);
+  }
+  return filters.length ? ["-af", filters.join(",")] : [];
+}
+
+// What export does to one item: its loudness gain from `gains` plus its own
+// volume, and its fades. The stored file itself is never changed.
+function exportShape(item, gains = new Map()) {
+  return {
+    gainDb: roundDb((gains.get(item) || 0) + (item.volumeDb || 0)),
+    fadeIn: item.fadeIn || 0,
+    fadeOut: item.fadeOut || 0,
+    duration: Number(item.duration) || 0,
+  };
+}
+
+function isShaped(shape) {
+  return Boolean(shape.gainDb || shape.fadeIn || shape.fadeOut);
+}
+
+async function transcodeToMp3V0(inputPath, baseDir = config.tmpDir, { gainDb = 0 } = {}) {
+  const id = nanoid(8);
+  await ensureDir(baseDir);
+  const out = path.join(baseDir, `${id}.mp3`);
+  const args = ["-y", "-i", inputPath, "-vn", ...audioFilterArgs({ gainDb }), "-c:a", "libmp3lame", "-q:a", "0", out];
+  const { code, stderr } = await run(FF.bin, args);
+  if (code !== 0 || !fs.existsSync(out)) throw new Error(`ffmpeg mp3 failed: ${stderr}`);
+  return out;
+}
+
+async function transcodeToWav4416(inputPath, baseDir = config.tmpDir, { gainDb = 0 } = {}) {
+  const id = nanoid(8);
+  await ensureDir(baseDir);
+  const out = path.join(baseDir, `${id}.wav`);
+  const args = ["-y", "-i", inputPath, "-vn", ...audioFilterArgs({ gainDb }), "-ar", "44100", "-ac", "2", "-sample_fmt", "s16", out];
+  const { code, stderr } = await run(FF.bin, args);
+  if (code !== 0 || !fs.existsSync(out)) throw new Error(`ffmpeg wav failed: ${stderr}`);
+  return out;
+}
+
+// Re-encode a stored MP3 at `outPath` with an export shape (gain, fades)
+// applied, keeping its bitrate mode.
+async function renderShapedMp3(inputPath, outPath, shape, quality) {
+  const q = String(quality || "").toLowerCase();
+  const args = ["-y", "-v", "error", "-i", inputPath, "-vn", "-map_metadata", "0", ...audioFilterArgs(shape)];
+  args.push("-c:a", "libmp3lame", ...(q === "320" || q === "320k" ? ["-b:a", "320k"] : ["-q:a", "0"]), outPath);
+  const { code, stderr } = await run(FF.bin, args);
+  if (code !== 0 || !fs.existsSync(outPath)) throw new Error(`ffmpeg gain failed: ${stderr}`);
+  return outPath;
+}
+
+// First pass of EBU R128 normalization: measure integrated loudness, true peak
+// and loudness range with ffmpeg's loudnorm filter. The second pass is the gain
+// applied at export time.
+async function measureLoudness(inputPath) {
+  const args = ["-hide_banner", "-nostats", "-i", inputPath, "-vn", "-af", "loudnorm=print_format=json", "-f", "null", "-"];
+  const { code, stderr } = await run(FF.bin, args);
+  if (code !== 0) throw new Error(`ffmpeg loudness failed: ${stderr}`);
+  const start = stderr.lastIndexOf("{");
+  const end = stderr.lastIndexOf("}");
+  if (start === -1 || end < start) throw new Error("loudnorm printed no measurement");
+  const parsed = JSON.parse(stderr.slice(start, end + 1));
+  // Silence measures as "-inf"; keep it as null rather than NaN
+  const num = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+  return {
+    integrated: num(parsed.input_i),
+    truePeak: num(parsed.input_tp),
+    lra: num(parsed.input_lra),
+    threshold: num(parsed.input_thresh),
+  };
+}
+
+// Measure an item once per file it plays from; trims and edits that swap the
+// file get a fresh measurement. Resolves to the loudness, or null on failure.
+function ensureItemLoudness(ctx, item) {
+  const source = item?.filepath;
+  if (!source || !FF.bin) return Promise.resolve(null);
+  if (item.loudness && item.loudness.source === source) return Promise.resolve(item.loudness);
+  const running = ctx.loudnessJobs.get(item.id);
+  if (running?.source === source) return running.promise;
+
+  const promise = ctx.loudnessQueue
+    .run(() => measureLoudness(source), { itemId: item.id })
+    .then((measured) => {
+      if (item.filepath === source) {
+        item.loudness = { ...measured, source };
+        scheduleSessionSave(ctx);
+        publishPlaylist(ctx, "loudness");
+      }
+      console.log("[loudness] measured", { sessionId: ctx.id, itemId: item.id, ...measured });
+      return item.loudness || null;
+    })
+    .catch((err) => {
+      console.error("[loudness] analysis failed", { sessionId: ctx.id, itemId: item.id, error: err?.message || err });
+      return null;
+    })
+    .finally(() => {
+      if (ctx.loudnessJobs.get(item.id)?.promise === promise) ctx.loudnessJobs.delete(item.id);
+    });
+  ctx.loudnessJobs.set(item.id, { source, promise });
+  return promise;
 }
 
-async function detectCommand(cmd) {
-  for (const flag of [["--version"], ["-version"], ["-V"], []]) {
-    const { code } = await run(cmd, flag);
-    if (code === 0) return { ok: true, cmd, tried: flag };
+// Loudness settings for one export: the playlist's, with any request overrides.
+// Waits for measurements the chosen mode needs.
+async function resolveExportGains(ctx, items, override) {
+  const result = normalizeLoudnessSettings(override, ctx.playlist.loudness);
+  if (!result.ok) return result;
+  const settings = result.settings;
+  if (settings.mode !== "off") {
+    await Promise.all(items.map((item) => ensureItemLoudness(ctx, item)));
   }
-  return { ok: false, cmd };
+  return { ok: true, settings, gains: loudnessGains(items, settings) };
 }
 
-async function detectYtDlp() {
-  const candidates = [
-    process.env.YTDLP_PATH,
-    "yt-dlp", "yt-dlp.exe",
-    "python", "py"
-  ].filter(Boolean);
+// Cut [start, end) out of an MP3, re-encoding so the cut lands on the exact
+// sample rather than the nearest frame boundary.
+async function trimMp3(inputPath, { start = 0, end = null } = {}, { quality, baseDir = config.tmpDir } = {}) {
+  await ensureDir(baseDir);
+  const stem = path.basename(inputPath, path.extname(inputPath));
+  const out = path.join(baseDir, `${stem}-trim-${nanoid(6)}.mp3`);
+  const q = String(quality || "").toLowerCase();
+  const args = ["-y", "-v", "error", "-i", inputPath, "-ss", String(start)];
+  if (end !== null) args.push("-to", String(end));
+  args.push("-vn", "-map_metadata", "0", "-c:a", "libmp3lame");
+  args.push(...(q === "320" || q === "320k" ? ["-b:a", "320k"] : ["-q:a", "0"]), out);
+  const { code, stderr } = await run(FF.bin, args);
+  if (code !== 0 || !fs.existsSync(out)) throw new Error(`ffmpeg trim failed: ${stderr}`);
+  return out;
+}
 
-  for (const c of candidates) {
-    const det = await detectCommand(c);
-    if (!det.ok) continue;
-    if (c === "python" || c === "py") {
-      const prob = await run(c, ["-m", "yt_dlp", "--version"]);
-      if (prob.code === 0) return { bin: c, mode: "python" };
-      continue;
-    }
-    const ver = await run(c, ["--version"]);
-    if (ver.code === 0) return { bin: c, mode: "direct", version: ver.stdout.trim() || ver.stderr.trim() };
+// Leading/trailing silence inside the trim window [start, end) of `inputPath`,
+// using ffmpeg's silencedetect. Returns { lead, trail, reclaimed } in seconds.
+async function detectSilence(inputPath, { start = 0, end = null } = {}, sourceDuration, { thresholdDb, minSeconds }) {
+  const windowSeconds = (end ?? (Number(sourceDuration) || 0)) - start;
+  const args = ["-hide_banner", "-nostats", "-ss", String(start)];
+  if (end !== null) args.push("-to", String(end));
+  args.push("-i", inputPath, "-vn", "-af", `silencedetect=noise=${thresholdDb}dB:d=${minSeconds}`, "-f", "null", "-");
+  const { code, stderr } = await run(FF.bin, args);
+  if (code !== 0) throw new Error(`ffmpeg silencedetect failed: ${stderr}`);
+
+  const starts = Array.from(stderr.matchAll(/silence_start:\s*(-?[\d.]+)/g), (m) => Math.max(0, Number(m[1])));
+  const ends = Array.from(stderr.matchAll(/silence_end:\s*([\d.]+)/g), (m) => Number(m[1]));
+  const edge = 0.05;
+  let lead = 0;
+  let trail = 0;
+  if (starts.length && starts[0] <= edge && Number.isFinite(ends[0])) lead = ends[0];
+  const last = starts.length - 1;
+  // A silence still open at EOF has no silence_end
+  if (last >= 0 && (last > 0 || lead === 0)) {
+    const lastEnd = ends[last];
+    if (!Number.isFinite(lastEnd) || lastEnd >= windowSeconds - edge) trail = Math.max(0, windowSeconds - starts[last]);
   }
-  return { bin: null, mode: null };
+  if (windowSeconds && lead + trail > windowSeconds - SILENCE_KEEP_MIN_SECONDS) {
+    return { lead: 0, trail: 0, reclaimed: 0 };
+  }
+  const round = (value) => Math.round(value * 100) / 100;
+  return { lead: round(lead), trail: round(trail), reclaimed: round(lead + trail) };
 }
 
-async function detectFfmpeg() {
-  const candidate = process.env.FFMPEG_PATH || "ffmpeg";
-  const det = await detectCommand(candidate);
-  if (!det.ok) return { bin: null };
-  const ver = await run(candidate, ["-version"]);
-  return { bin: candidate, version: (ver.stdout || ver.stderr).split("\n")[0] };
+// Silence trimming only refines a track; if detection fails the track goes in
+// untrimmed rather than not at all.
+async function detectSilenceOrSkip(inputPath, window, sourceDuration, settings, logMeta = {}) {
+  try {
+    return await detectSilence(inputPath, window, sourceDuration, settings);
+  } catch (err) {
+    console.warn("[silence] detection failed, keeping the track as is", { ...logMeta, error: err?.message || err });
+    return null;
+  }
 }
 
-const FF = await detectFfmpeg();
-const YD = await detectYtDlp();
-const ZIP = await (async () => {
-  const candidate = process.env.ZIP_PATH || "zip";
-  const det = await detectCommand(candidate);
-  if (!det.ok) return { bin: null };
-  return { bin: candidate };
-})();
+// Re-render a stored item from its untrimmed download using its trim window and
+// silence trimming. `trim` and `silenceTrim` replace the stored values when given.
+// Nothing on the item changes yet: check the result, then applyRecut() or
+// discardRecut() it.
+async function renderRecut(ctx, item, { trim, silenceTrim } = {}) {
+  const source = item.originalPath || item.filepath;
+  const sourceDuration = item.sourceDuration ?? item.duration;
+  const window = trim || { start: item.trimStart || 0, end: item.trimEnd ?? null };
+  const override = silenceTrim === undefined ? item.silenceTrim ?? null : silenceTrim;
+  const silenceSettings = ctx.settings.silence;
+  const silence = (override ?? silenceSettings.enabled)
+    ? await detectSilenceOrSkip(source, window, sourceDuration, silenceSettings, { sessionId: ctx.id, itemId: item.id })
+    : null;
+  const cut = effectiveCut(window, silence, sourceDuration);
+  const nextPath = isTrimmed(cut)
+    ? await trimMp3(source, cut, { quality: item.quality, baseDir: ctx.trackDir })
+    : source;
+  const stat = await fsp.stat(nextPath);
+  return { source, nextPath, sizeBytes: stat.size, duration: cut.duration, window, silence, override };
+}
 
-function requireBinsOrThrow() {
-  if (!FF.bin) throw new Error("ffmpeg not found. Set FFMPEG_PATH env var to its full path.");
-  if (!YD.bin) throw new Error("yt-dlp not found. Install it or set YTDLP_PATH env var.");
+async function applyRecut(ctx, item, recut) {
+  const previous = item.filepath;
+  Object.assign(item, {
+    originalPath: recut.source,
+    filepath: recut.nextPath,
+    sizeBytes: recut.sizeBytes,
+    duration: recut.duration,
+    trimStart: recut.window.start,
+    trimEnd: recut.window.end,
+    silence: recut.silence,
+    silenceTrim: recut.override,
+    loudness: null,
+  });
+  ensureItemLoudness(ctx, item);
+  if (previous && previous !== recut.source && previous !== recut.nextPath) {
+    await safeUnlink(previous);
+  }
+  return item;
 }
 
-function runYtDlp(args, opts = {}) {
-  if (YD.mode === "python") return spawn(YD.bin, ["-m", "yt_dlp", ...args], opts);
-  return spawn(YD.bin, args, opts);
+async function discardRecut(recut) {
+  if (recut.nextPath !== recut.source) await safeUnlink(recut.nextPath);
 }
 
-const COOKIES_PATH  = COOKIES_INFO.path;
-const COOKIES_SOURCE = COOKIES_INFO.source;
-// You may force a client via env, e.g. YTDLP_EXTRACTOR_ARGS="youtube:player_client=web"
-const EXTRACTOR_ARGS = process.env.YTDLP_EXTRACTOR_ARGS ?? "youtube:player_client=tv";
-const YTDLP_EXTRA    = process.env.YTDLP_EXTRA || "--force-ipv4"; // helps on some networks
+async function moveIntoDownloads(tmpPath, desiredName, targetDir = config.downloadDir) {
+  const ext = path.extname(desiredName);
+  const stem = path.basename(desiredName, ext) || "download";
+  const safeStem = safeBase(stem);
+  const safeExt = ext && ext.startsWith(".") ? ext : ext ? `.${ext}` : "";
 
-function splitArgs(str) {
-  if (!str) return [];
-  const re = /(?:[^\s"]+|"[^"]*")+/g;
-  const out = [];
-  for (const m of str.match(re) || []) {
-    out.push(m.replace(/^"|"$/g, ""));
+  await ensureDir(targetDir);
+
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const suffix = attempt === 0 ? "" : ` (${attempt})`;
+    const filename = `${safeStem}${suffix}${safeExt}`;
+    const destPath = path.join(targetDir, filename);
+
+    try {
+      await fsp.access(destPath);
+      continue; // file exists, try next suffix
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+    }
+
+    try {
+      await fsp.rename(tmpPath, destPath);
+      return { path: destPath, filename };
+    } catch (err) {
+      if (err?.code === "EEXIST") {
+        continue;
+      }
+      if (err?.code === "EXDEV") {
+        await fsp.copyFile(tmpPath, destPath);
+        await fsp.unlink(tmpPath);
+        return { path: destPath, filename };
+      }
+      throw err;
+    }
   }
-  return out;
+
+  throw new Error("Failed to allocate download filename");
 }
 
+// ---------- ID3 tags ----------
+const COVER_ART_MAX_BYTES = 2 * 1024 * 1024;
+const COVER_ART_TIMEOUT_MS = 8000;
+const COVER_ART_WAIT_MS = 1500; // longest an export waits for art that isn't fetched yet
+const COVER_ART_CACHE_ENTRIES = 200;
 
-function safeBase(title) {
-  const s = String(title || "audio")
-    .replace(/[\\/:*?"<>|]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim()
-    .slice(0, 120);
-  return s || "audio";
+// videoId (or thumbnail URL) -> promise of { mime, data } or null, shared by
+// all sessions since the images are public.
+const coverArtCache = new Map();
+
+function syncsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
 }
 
-function normalizeForZip(title) {
-  const base = String(title || "")
-    .replace(/[\u0000-\u001f]+/g, "")
-    .replace(/[\\/:*?"<>|=]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim()
-    .replace(/[. ]+$/g, "");
-  return base.slice(0, 180).replace(/[. ]+$/g, "");
+// One ID3v2.4 frame; v2.4 frame sizes are syncsafe like the tag size.
+function id3Frame(id, body) {
+  const header = Buffer.alloc(10);
+  header.write(id, 0, "latin1");
+  syncsafe(body.length).copy(header, 4);
+  return Buffer.concat([header, body]);
 }
 
-function formatZipEntryName(title, index, total, ext) {
-  const digits = String(Math.max(total, 1)).length;
-  const prefix = String(index).padStart(digits, "0");
-  const cleanTitle = normalizeForZip(title) || `Track ${index}`;
-  const cleanExt = ext && ext.startsWith(".") ? ext : ext ? `.${ext}` : "";
-  return `${prefix} ${cleanTitle}${cleanExt}`;
+const ID3_UTF8 = 0x03;
+
+function id3TextFrame(id, text) {
+  return id3Frame(id, Buffer.concat([Buffer.from([ID3_UTF8]), Buffer.from(String(text), "utf8")]));
 }
 
-function updateProgressFromYtDlp(token, chunk, ctx) {
-  if (!token || !chunk) return;
-  const text = chunk.toString();
-  if (ctx && typeof ctx === "object") {
-    ctx.lastAccess = Date.now();
+// Full ID3v2.4 tag for `fields`: { title, artist, album, albumArtist, track,
+// trackTotal, disc, discTotal, year, genre, comment, url, cover: { mime, data } }.
+// Without a comment the source URL doubles as one.
+function buildId3Tag(fields) {
+  const frames = [];
+  const text = (id, value) => {
+    if (value !== undefined && value !== null && String(value).trim()) frames.push(id3TextFrame(id, String(value).trim()));
+  };
+  text("TIT2", fields.title);
+  text("TPE1", fields.artist);
+  text("TALB", fields.album);
+  text("TPE2", fields.albumArtist);
+  if (fields.track) text("TRCK", fields.trackTotal ? `${fields.track}/${fields.trackTotal}` : fields.track);
+  if (fields.disc) text("TPOS", fields.discTotal ? `${fields.disc}/${fields.discTotal}` : fields.disc);
+  text("TDRC", fields.year);
+  text("TCON", fields.genre);
+  if (fields.url) {
+    // WXXX: encoding, description, then the URL itself in ISO-8859-1
+    frames.push(id3Frame("WXXX", Buffer.concat([
+      Buffer.from([ID3_UTF8]),
+      Buffer.from("Source\0", "utf8"),
+      Buffer.from(fields.url, "latin1"),
+    ])));
   }
-  const matches = text.match(/\[download\]\s+([\d.]+)%/g);
-  if (matches && matches.length) {
-    const last = matches[matches.length - 1];
-    const pctMatch = last.match(/([\d.]+)%/);
-    if (pctMatch) {
-      const pct = parseFloat(pctMatch[1]);
-      if (!Number.isNaN(pct)) {
-        setAddProgress(token, Math.min(99, pct));
-      }
-    }
+  const comment = fields.comment || fields.url;
+  if (comment) {
+    frames.push(id3Frame("COMM", Buffer.concat([
+      Buffer.from([ID3_UTF8]),
+      Buffer.from("eng", "latin1"),
+      Buffer.from(`\0${comment}`, "utf8"),
+    ])));
   }
-  if (/\[(?:ExtractAudio|Merger|ffmpeg)\]/i.test(text)) {
-    setAddProgress(token, 99);
+  if (fields.cover?.data?.length) {
+    frames.push(id3Frame("APIC", Buffer.concat([
+      Buffer.from([0x00]),
+      Buffer.from(`${fields.cover.mime}\0`, "latin1"),
+      Buffer.from([0x03]), // front cover
+      Buffer.from("\0", "latin1"),
+      fields.cover.data,
+    ])));
   }
+  const body = Buffer.concat(frames);
+  const header = Buffer.from([0x49, 0x44, 0x33, 0x04, 0x00, 0x00]); // "ID3" v2.4.0, no flags
+  return Buffer.concat([header, syncsafe(body.length), body]);
 }
 
-// ---------- Metadata ----------
-async function getVideoMetaDetailed(url, clientArg /* "youtube:player_client=web" | "" */) {
-  requireBinsOrThrow();
-  const args = ["-J", "--no-playlist", "--skip-download"];
-  if (COOKIES_PATH) args.push("--cookies", COOKIES_PATH);
-  if (clientArg && clientArg.trim()) args.push("--extractor-args", clientArg);
-  if (YTDLP_EXTRA) args.push(...splitArgs(YTDLP_EXTRA));
-  args.push(url);
+// Byte range of an MP3 without its ID3v2 header tag and ID3v1 trailer, so a
+// fresh tag replaces whatever yt-dlp wrote rather than stacking on top.
+async function mp3AudioRange(filePath) {
+  const handle = await fsp.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    let start = 0;
+    const head = Buffer.alloc(10);
+    await handle.read(head, 0, 10, 0);
+    const validHeader = head[3] >= 2 && head[3] <= 4 && head.subarray(6, 10).every((byte) => byte < 0x80);
+    if (size >= 10 && head.toString("latin1", 0, 3) === "ID3" && validHeader) {
+      const tagSize = (head[6] << 21) | (head[7] << 14) | (head[8] << 7) | head[9];
+      start = Math.min(size, 10 + tagSize + (head[5] & 0x10 ? 10 : 0));
+    }
+    let end = size;
+    if (size - start >= 128) {
+      const tail = Buffer.alloc(3);
+      await handle.read(tail, 0, 3, size - 128);
+      if (tail.toString("latin1") === "TAG") end = size - 128;
+    }
+    return { start, end };
+  } finally {
+    await handle.close();
+  }
+}
 
-  const { code, stdout, stderr } = await new Promise((resolve) => {
-    const p = runYtDlp(args, { stdio: ["ignore", "pipe", "pipe"] });
-    let out = "", err = "";
-    p.stdout.on("data", (d) => (out += d.toString()));
-    p.stderr.on("data", (d) => (err += d.toString()));
-    p.on("error", (e) => resolve({ code: -1, stdout: "", stderr: String(e) }));
-    p.on("close", (c) => resolve({ code: c, stdout: out, stderr: err }));
-  });
+async function writeTaggedMp3(inputPath, outPath, fields) {
+  const { start, end } = await mp3AudioRange(inputPath);
+  await fsp.writeFile(outPath, buildId3Tag(fields));
+  if (end > start) {
+    await pipeline(fs.createReadStream(inputPath, { start, end: end - 1 }), fs.createWriteStream(outPath, { flags: "a" }));
+  }
+  return outPath;
+}
 
-  if (code !== 0) return { ok: false, error: "yt-dlp failed", code, stdout, stderr, usedClient: clientArg || null };
+function itemSourceUrl(item) {
+  if (item.sourceUrl) return item.sourceUrl;
+  return item.videoId ? `https://www.youtube.com/watch?v=${item.videoId}` : null;
+}
 
+async function fetchImage(url) {
   try {
-    const meta = JSON.parse(stdout);
-    return { ok: true, meta, stdout, stderr, usedClient: clientArg || null };
+    const r = await fetch(url, {
+      headers: { "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0" },
+      signal: AbortSignal.timeout(COVER_ART_TIMEOUT_MS),
+    });
+    if (!r.ok) return null;
+    // Players widely understand JPEG and PNG in APIC, not WebP
+    const mime = (r.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (mime !== "image/jpeg" && mime !== "image/png") return null;
+    const data = Buffer.from(await r.arrayBuffer());
+    if (!data.length || data.length > COVER_ART_MAX_BYTES) return null;
+    return { mime, data };
   } catch {
-    return { ok: false, error: "JSON parse failed", code, stdout, stderr, usedClient: clientArg || null };
+    return null;
   }
 }
 
-// Try clients in parallel; prefer first that yields audio-only (>=44.1k) by priority order,
-// else the richest success; else first failure.
-async function getVideoMetaSmart(url) {
-  if (EXTRACTOR_ARGS) return getVideoMetaDetailed(url, EXTRACTOR_ARGS);
+// Start fetching an item's cover art in the background; added tracks call this
+// so exports find it ready. A failed fetch is forgotten and retried next time.
+function warmCoverArt(item) {
+  const key = item?.videoId || item?.thumbnail;
+  if (!key) return null;
+  if (!coverArtCache.has(key)) {
+    const urls = item.videoId
+      ? [`https://i.ytimg.com/vi/${item.videoId}/maxresdefault.jpg`, `https://i.ytimg.com/vi/${item.videoId}/hqdefault.jpg`]
+      : [item.thumbnail];
+    const fetching = (async () => {
+      for (const url of urls) {
+        const image = await fetchImage(url);
+        if (image) return image;
+      }
+      return null;
+    })();
+    fetching.then((image) => {
+      if (!image && coverArtCache.get(key) === fetching) coverArtCache.delete(key);
+    });
+    while (coverArtCache.size >= COVER_ART_CACHE_ENTRIES) {
+      coverArtCache.delete(coverArtCache.keys().next().value);
+    }
+    coverArtCache.set(key, fetching);
+  }
+  return coverArtCache.get(key);
+}
 
-  const clients = [
-    "youtube:player_client=tv",
-    "youtube:player_client=tv_embedded",
-    "youtube:player_client=web",
-    "youtube:player_client=ios",
-    "youtube:player_client=android",
-    "",
-  ];
-  const promises = clients.map(c => getVideoMetaDetailed(url, c));
-  const results  = await Promise.all(promises);
+// Cover art for an export. Exports never wait on a slow image host: art that
+// isn't in within COVER_ART_WAIT_MS is left out (the APIC frame is optional).
+async function coverArtFor(item) {
+  const fetching = warmCoverArt(item);
+  if (!fetching) return null;
+  let timer;
+  const waited = new Promise((resolve) => {
+    timer = setTimeout(resolve, COVER_ART_WAIT_MS, null);
+  });
+  try {
+    return await Promise.race([fetching, waited]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  const hasAudioOnlyHi = (meta) => {
-    const formats = Array.isArray(meta?.formats) ? meta.formats : [];
-    return formats.some(f =>
-      String(f?.vcodec || "").toLowerCase() === "none" &&
-      f?.acodec && f.acodec !== "none" &&
-      (Number(f.asr) || 0) >= 44100
-    );
+// Tag fields for an item from its place in the playlist right now: track
+// number within its disc and the disc number, plus the album details.
+async function itemTagFields(playlistStore, item) {
+  const disc = discNumberOf(item);
+  const discItems = playlistStore.discItems(disc);
+  const album = playlistStore.album;
+  return {
+    title: item.title,
+    artist: item.artist || album.performer,
+    album: item.album || album.title,
+    albumArtist: album.performer,
+    track: discItems.indexOf(item) + 1 || null,
+    trackTotal: discItems.length,
+    disc,
+    discTotal: playlistStore.discCount,
+    year: album.year,
+    genre: album.genre,
+    comment: item.comment,
+    url: itemSourceUrl(item),
+    cover: await coverArtFor(item),
   };
+}
 
-  for (let i = 0; i < results.length; i++) {
-    const r = results[i];
-    if (r.ok && hasAudioOnlyHi(r.meta)) return r;
-  }
+// ---------- Disc image (BIN/CUE) ----------
+function framesToMsf(frames) {
+  const total = Math.max(0, Math.floor(Number(frames) || 0));
+  const m = Math.floor(total / (60 * CD_FRAMES_PER_SECOND));
+  const s = Math.floor(total / CD_FRAMES_PER_SECOND) % 60;
+  const f = total % CD_FRAMES_PER_SECOND;
+  return [m, s, f].map((n) => String(n).padStart(2, "0")).join(":");
+}
 
-  const oks = results.filter(r => r.ok);
-  if (oks.length) {
-    oks.sort((a, b) => (b.meta?.formats?.length || 0) - (a.meta?.formats?.length || 0));
-    return oks[0];
-  }
-  return results[0];
+function cueQuote(value) {
+  const clean = String(value ?? "")
+    .replace(/[\u0000-\u001f]+/g, " ")
+    .replace(/"/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+  return `"${clean}"`;
 }
 
-// ---------- Best format picker (Opus > AAC, audio-only, >=44.1k) ----------
-function chooseBestFormat(formatsRaw) {
-  const norm = (f) => ({
-    ...f,
-    abr: (f.abr ?? (f.tbr ? Math.round(f.tbr) : undefined)),
-    asr: (typeof f.asr === "string" ? parseInt(f.asr, 10) : f.asr),
-    vcodec: (f.vcodec || "").toLowerCase(),
-    acodec: (f.acodec || "").toLowerCase(),
+// Disc-level REM/CD-TEXT commands come before FILE; per-track TITLE/PERFORMER
+// go between TRACK and INDEX so burners pick them up as CD-TEXT. Gaps after the
+// first track are emitted as PREGAP so the burner generates the silence; a
+// track's own `pregapFrames` wins over the disc-wide one (0 after gapless joins).
+function buildCueSheet(binName, tracks, { album = {}, pregapFrames = 0 } = {}) {
+  const lines = [];
+  if (album.genre) lines.push(`REM GENRE ${cueQuote(album.genre)}`);
+  if (album.year) lines.push(`REM DATE ${album.year}`);
+  if (album.performer) lines.push(`PERFORMER ${cueQuote(album.performer)}`);
+  if (album.songwriter) lines.push(`SONGWRITER ${cueQuote(album.songwriter)}`);
+  if (album.title) lines.push(`TITLE ${cueQuote(album.title)}`);
+  lines.push(`FILE ${cueQuote(binName)} BINARY`);
+  tracks.forEach((track, idx) => {
+    const item = track.item || {};
+    lines.push(`  TRACK ${String(idx + 1).padStart(2, "0")} AUDIO`);
+    const title = item.title || `Track ${idx + 1}`;
+    lines.push(`    TITLE ${cueQuote(title)}`);
+    const performer = item.artist || album.performer;
+    if (performer) lines.push(`    PERFORMER ${cueQuote(performer)}`);
+    const gap = track.pregapFrames ?? pregapFrames;
+    if (idx > 0 && gap > 0) lines.push(`    PREGAP ${framesToMsf(gap)}`);
+    lines.push(`    INDEX 01 ${framesToMsf(track.startFrame)}`);
   });
+  return `${lines.join("\r\n")}\r\n`;
+}
 
-  const all = (formatsRaw || [])
-    .filter(f => f && f.acodec && f.acodec !== "none")
-    .map(norm);
-
-  const audioOnly = all.filter(f => f.vcodec === "none");
-  const hiAudioOnly = audioOnly.filter(f => (f.asr || 0) >= 44100);
-
-  const isOpus = f => f.acodec.includes("opus");
-  const isAac  = f => f.acodec.includes("aac") || f.acodec.includes("mp4a");
-  const byBitrate = (a, b) => (b.abr || 0) - (a.abr || 0) || (b.tbr || 0) - (a.tbr || 0);
+// Decode one file to raw 44.1 kHz/16-bit stereo little-endian PCM on a pipe.
+// Returns { stream, exited } where `exited` resolves with { code, stderr }.
+function decodePcm(inputPath, shape = {}) {
+  const args = [
+    "-v", "error",
+    "-i", inputPath,
+    "-vn",
+    ...audioFilterArgs(shape),
+    "-f", "s16le",
+    "-acodec", "pcm_s16le",
+    "-ar", String(CD_SAMPLE_RATE),
+    "-ac", "2",
+    "pipe:1",
+  ];
+  const proc = spawn(FF.bin, args, { stdio: ["ignore", "pipe", "pipe"] });
+  let stderr = "";
+  proc.stderr.on("data", (d) => (stderr += d.toString()));
+  const exited = new Promise((resolve) => {
+    proc.on("error", (err) => resolve({ code: -1, stderr: String(err?.message || err) }));
+    proc.on("close", (code) => resolve({ code, stderr }));
+  });
+  return { stream: proc.stdout, exited };
+}
 
-  const pick = (arr, pred) => arr.filter(pred).sort(byBitrate)[0];
+// Overlap the outgoing tail with the incoming head, sample by sample.
+function mixCrossfade(tail, head, curve) {
+  const fade = CROSSFADE_CURVES[curve] || CROSSFADE_CURVES.tri;
+  const samples = Math.floor(Math.min(tail.length, head.length) / PCM_BYTES_PER_SAMPLE);
+  const mixed = Buffer.alloc(samples * PCM_BYTES_PER_SAMPLE);
+  for (let i = 0; i < samples; i++) {
+    const t = samples > 1 ? i / (samples - 1) : 1;
+    const gainIn = fade(t);
+    const gainOut = fade(1 - t);
+    for (let offset = i * PCM_BYTES_PER_SAMPLE; offset < (i + 1) * PCM_BYTES_PER_SAMPLE; offset += 2) {
+      const value = Math.round(tail.readInt16LE(offset) * gainOut + head.readInt16LE(offset) * gainIn);
+      mixed.writeInt16LE(Math.max(-32768, Math.min(32767, value)), offset);
+    }
+  }
+  // A track shorter than the overlap leaves the rest of the longer side as is.
+  const rest = tail.length > head.length ? tail.subarray(mixed.length) : head.subarray(mixed.length);
+  return rest.length ? Buffer.concat([mixed, rest]) : mixed;
+}
 
-  return (
-    pick(hiAudioOnly, isOpus) ||
-    pick(hiAudioOnly, isAac)  ||
-    pick(hiAudioOnly, () => true) ||
-    null
-  );
+function sectorPadding(bytes) {
+  return (CD_SECTOR_BYTES - (bytes % CD_SECTOR_BYTES)) % CD_SECTOR_BYTES;
 }
 
-function pickThumbnail(meta) {
-  if (!meta) return null;
-  if (typeof meta.thumbnail === "string") return meta.thumbnail;
-  const arr = meta.thumbnails || meta.thumbnail || [];
-  if (Array.isArray(arr) && arr.length) {
-    return arr.slice().sort((a, b) => (b.width||0)*(b.height||0) - (a.width||0)*(a.height||0))[0].url || null;
+// Render `items` back to back as one PCM stream into `out`, applying `joins`
+// (from discJoins). Crossfades hold back the outgoing tail until the next
+// track's head is decoded, then write the mix. `alignCuts` pads to a sector
+// boundary before a track that follows a cut (disc images, where the burner
+// adds the pregap); `insertGaps` writes the pregap silence itself (a mix).
+// Returns { tracks: [{ item, startByte, bytes }], sizeBytes }.
+async function renderMixPcm(items, joins, { out, gains = new Map(), alignCuts = false, insertGaps = false } = {}) {
+  const tracks = [];
+  let offset = 0;
+  let held = null;
+  const emit = async (buf) => {
+    if (!buf.length) return;
+    await writeToStream(out, buf);
+    offset += buf.length;
+  };
+
+  for (let idx = 0; idx < items.length; idx++) {
+    const item = items[idx];
+    const joinIn = idx > 0 ? joins[idx - 1] : null;
+    const joinOut = idx < items.length - 1 ? joins[idx] : null;
+    if (joinIn?.type === "cut") {
+      if (alignCuts) await emit(Buffer.alloc(sectorPadding(offset)));
+      if (insertGaps) await emit(Buffer.alloc(joinIn.pregapFrames * CD_SECTOR_BYTES));
+    }
+    const headBytes = held ? held.length : 0;
+    const tailBytes = joinOut?.type === "crossfade" ? joinOut.overlapFrames * CD_SECTOR_BYTES : 0;
+    const startByte = offset;
+    const head = [];
+    let headLength = 0;
+    let pending = Buffer.alloc(0);
+    let decoded = 0;
+
+    const { stream, exited } = decodePcm(item.filepath, exportShape(item, gains));
+    for await (let chunk of stream) {
+      decoded += chunk.length;
+      if (held && headLength < headBytes) {
+        const take = chunk.subarray(0, headBytes - headLength);
+        head.push(take);
+        headLength += take.length;
+        chunk = chunk.subarray(take.length);
+        if (headLength === headBytes) {
+          await emit(mixCrossfade(held, Buffer.concat(head), joinIn.curve));
+          held = null;
+        }
+        if (!chunk.length) continue;
+      }
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      if (pending.length > tailBytes) {
+        await emit(pending.subarray(0, pending.length - tailBytes));
+        pending = pending.subarray(pending.length - tailBytes);
+      }
+    }
+    const { code, stderr } = await exited;
+    if (code !== 0) throw new Error(`ffmpeg pcm failed (${code}): ${stderr}`);
+    if (!decoded) throw new Error(`No audio decoded for "${item.title || item.id}"`);
+    if (held) {
+      await emit(mixCrossfade(held, Buffer.concat(head), joinIn.curve));
+      held = null;
+    }
+    if (tailBytes) held = pending;
+    else await emit(pending);
+    tracks.push({ item, startByte });
   }
-  return null;
+  if (held) await emit(held);
+
+  tracks.forEach((track, idx) => {
+    const end = idx + 1 < tracks.length ? tracks[idx + 1].startByte : offset;
+    track.bytes = end - track.startByte;
+  });
+  return { tracks, sizeBytes: offset };
 }
 
-// ---------- Download & transcode ----------
-async function downloadSourceToTmp(url, formatId, clientArg /* pass-through */, baseDir = config.tmpDir) {
-  requireBinsOrThrow();
-  await ensureDir(baseDir);
-  const outTmpl = path.join(baseDir, `${nanoid(6)}-%(title)s-%(id)s.%(ext)s`);
-  const args = [];
-  if (formatId) args.push("-f", String(formatId));
-  const looksLikePath =
-    FF.bin && (FF.bin.startsWith("/") || FF.bin.includes("\\") || /^[A-Za-z]:\\/.test(FF.bin));
-  if (looksLikePath) args.push("--ffmpeg-location", FF.bin);
-  if (COOKIES_PATH) args.push("--cookies", COOKIES_PATH);
-  if (clientArg && clientArg.trim()) args.push("--extractor-args", clientArg);
-  if (YTDLP_EXTRA) args.push(...splitArgs(YTDLP_EXTRA));
-  args.push(
-    "--no-playlist",
-    "--restrict-filenames",
-    "-o", outTmpl,
-    "--print", "after_move:filepath",
-    url
-  );
-  const { code, stdout, stderr } = await run(
-    YD.mode === "python" ? YD.bin : YD.bin,
-    (YD.mode === "python" ? ["-m","yt_dlp"] : []).concat(args)
-  );
-  if (code !== 0) throw new Error(`yt-dlp download failed: ${stderr}`);
-  const file = stdout.trim().split(/\r?\n/).filter(Boolean).pop();
-  if (!file || !fs.existsSync(file)) throw new Error("Downloaded file not found");
-  return file;
+function writeToStream(out, buf) {
+  return new Promise((resolve, reject) => {
+    out.write(buf, (err) => (err ? reject(err) : resolve()));
+  });
 }
 
-async function transcodeToMp3V0(inputPath, baseDir = config.tmpDir) {
-  const id = nanoid(8);
-  await ensureDir(baseDir);
-  const out = path.join(baseDir, `${id}.mp3`);
-  const args = ["-y", "-i", inputPath, "-vn", "-c:a", "libmp3lame", "-q:a", "0", out];
-  const { code, stderr } = await run(FF.bin, args);
-  if (code !== 0 || !fs.existsSync(out)) throw new Error(`ffmpeg mp3 failed: ${stderr}`);
-  return out;
+function closeStream(out) {
+  return new Promise((resolve, reject) => {
+    out.once("error", reject);
+    out.end(resolve);
+  });
 }
 
-async function transcodeToWav4416(inputPath, baseDir = config.tmpDir) {
-  const id = nanoid(8);
-  await ensureDir(baseDir);
-  const out = path.join(baseDir, `${id}.wav`);
-  const args = ["-y", "-i", inputPath, "-vn", "-ar", "44100", "-ac", "2", "-sample_fmt", "s16", out];
-  const { code, stderr } = await run(FF.bin, args);
-  if (code !== 0 || !fs.existsSync(out)) throw new Error(`ffmpeg wav failed: ${stderr}`);
-  return out;
+// Lay the disc out as one BIN. Tracks after a cut start on a sector boundary
+// (the CUE's PREGAP supplies the gap); gapless and crossfaded tracks run on
+// and their INDEX is rounded to the nearest frame.
+async function renderDiscImage(items, binPath, { gains = new Map(), joins = [] } = {}) {
+  const out = fs.createWriteStream(binPath);
+  let mix;
+  let pad = 0;
+  try {
+    mix = await renderMixPcm(items, joins, { out, gains, alignCuts: true });
+    pad = sectorPadding(mix.sizeBytes);
+    if (pad) await writeToStream(out, Buffer.alloc(pad));
+  } finally {
+    await closeStream(out);
+  }
+  const startFrames = mix.tracks.map((track) => Math.round(track.startByte / CD_SECTOR_BYTES));
+  const totalFrames = (mix.sizeBytes + pad) / CD_SECTOR_BYTES;
+  const tracks = mix.tracks.map((track, idx) => ({
+    item: track.item,
+    startFrame: startFrames[idx],
+    frames: (idx + 1 < startFrames.length ? startFrames[idx + 1] : totalFrames) - startFrames[idx],
+    pregapFrames: idx > 0 ? joins[idx - 1]?.pregapFrames || 0 : 0,
+    transition: idx > 0 ? joins[idx - 1]?.type || "cut" : null,
+  }));
+  return { tracks, sizeBytes: mix.sizeBytes + pad };
 }
 
-async function moveIntoDownloads(tmpPath, desiredName, targetDir = config.downloadDir) {
-  const ext = path.extname(desiredName);
-  const stem = path.basename(desiredName, ext) || "download";
-  const safeStem = safeBase(stem);
-  const safeExt = ext && ext.startsWith(".") ? ext : ext ? `.${ext}` : "";
+// Pipe raw PCM into ffmpeg and encode it to `outPath` as MP3 (V0) or WAV.
+// Returns { stdin, exited } where `exited` resolves with { code, stderr }.
+function encodePcm(outPath, format) {
+  const codec = format === "wav" ? ["-c:a", "pcm_s16le"] : ["-c:a", "libmp3lame", "-q:a", "0"];
+  const args = [
+    "-y", "-v", "error",
+    "-f", "s16le", "-ar", String(CD_SAMPLE_RATE), "-ac", "2",
+    "-i", "pipe:0",
+    ...codec,
+    outPath,
+  ];
+  const proc = spawn(FF.bin, args, { stdio: ["pipe", "ignore", "pipe"] });
+  let stderr = "";
+  proc.stderr.on("data", (d) => (stderr += d.toString()));
+  // An early exit surfaces through `exited`; don't let EPIPE crash the server
+  proc.stdin.on("error", () => {});
+  const exited = new Promise((resolve) => {
+    proc.on("error", (err) => resolve({ code: -1, stderr: String(err?.message || err) }));
+    proc.on("close", (code) => resolve({ code, stderr }));
+  });
+  return { stdin: proc.stdin, exited };
+}
 
-  await ensureDir(targetDir);
+// One continuous file of the disc as it would play: pregap silence after cuts,
+// gapless and crossfaded joins rendered in place.
+async function renderMixFile(items, joins, outPath, { gains = new Map(), format = "mp3" } = {}) {
+  const encoder = encodePcm(outPath, format);
+  let mix;
+  try {
+    mix = await renderMixPcm(items, joins, { out: encoder.stdin, gains, insertGaps: true });
+  } finally {
+    encoder.stdin.end();
+  }
+  const { code, stderr } = await encoder.exited;
+  if (code !== 0 || !fs.existsSync(outPath)) throw new Error(`ffmpeg mix encode failed: ${stderr}`);
+  return mix;
+}
 
-  for (let attempt = 0; attempt < 1000; attempt++) {
-    const suffix = attempt === 0 ? "" : ` (${attempt})`;
-    const filename = `${safeStem}${suffix}${safeExt}`;
-    const destPath = path.join(targetDir, filename);
+function wavHeader(dataBytes) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(2, 22);
+  header.writeUInt32LE(CD_SAMPLE_RATE, 24);
+  header.writeUInt32LE(PCM_BYTES_PER_SECOND, 28);
+  header.writeUInt16LE(PCM_BYTES_PER_SAMPLE, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
 
+// Render a disc continuously, then cut it into one WAV per track at the track
+// boundaries, so crossfades and gapless joins survive as separate files.
+// `names[i]` is the file name for items[i] inside `dir`. Returns the paths.
+async function renderWavSet(items, joins, dir, names, { gains = new Map() } = {}) {
+  const rawPath = path.join(dir, `mix-${nanoid(8)}.pcm`);
+  const out = fs.createWriteStream(rawPath);
+  let mix;
+  try {
     try {
-      await fsp.access(destPath);
-      continue; // file exists, try next suffix
-    } catch (err) {
-      if (err?.code !== "ENOENT") throw err;
+      mix = await renderMixPcm(items, joins, { out, gains });
+    } finally {
+      await closeStream(out);
     }
-
-    try {
-      await fsp.rename(tmpPath, destPath);
-      return { path: destPath, filename };
-    } catch (err) {
-      if (err?.code === "EEXIST") {
+    const files = [];
+    for (const [idx, track] of mix.tracks.entries()) {
+      const filePath = path.join(dir, names[idx]);
+      files.push(filePath);
+      const wav = fs.createWriteStream(filePath);
+      await writeToStream(wav, wavHeader(track.bytes));
+      if (!track.bytes) {
+        await closeStream(wav);
         continue;
       }
-      if (err?.code === "EXDEV") {
-        await fsp.copyFile(tmpPath, destPath);
-        await fsp.unlink(tmpPath);
-        return { path: destPath, filename };
-      }
-      throw err;
+      const end = track.startByte + track.bytes - 1;
+      await pipeline(fs.createReadStream(rawPath, { start: track.startByte, end }), wav);
     }
+    return files;
+  } finally {
+    await safeUnlink(rawPath);
   }
-
-  throw new Error("Failed to allocate download filename");
 }
 
 // --------------------------- Routes ------------------------------
@@ -1337,7 +4443,7 @@ app.get("/api/diag", async (_req, res) => {
       active: queue.activeCount,
       queued: queue.queuedCount,
       capacity: queue.capacity,
-      pending: ctx?.pendingAdds ? ctx.pendingAdds.size : 0,
+      pending: Array.from(ctx.projects.values()).reduce((acc, project) => acc + project.pendingAdds.size, 0),
     };
     sessionWorkerState[sid] = info;
     totalActive += info.active;
@@ -1346,6 +4452,7 @@ app.get("/api/diag", async (_req, res) => {
 
   res.json({
     ffmpeg: FF,
+    ffprobe: FP,
     ytdlp: YD,
     zip: ZIP,
     cookies: {
@@ -1369,64 +4476,527 @@ app.get("/api/diag", async (_req, res) => {
 app.get("/api/list", async (req, res) => {
   try {
     const ctx = await getSessionContext(req);
-    console.log("[playlist] list", { sessionId: ctx.id, count: ctx.playlist.items.length });
-    res.json(ctx.playlist.toJSON());
+    console.log("[playlist] list", { sessionId: ctx.id, project: ctx.project.id, count: ctx.playlist.items.length });
+    res.json({
+      ...ctx.playlist.toJSON(),
+      project: { id: ctx.project.id, name: ctx.project.name },
+      share: req.share ? { mode: req.share.mode } : null,
+    });
   } catch (err) {
     console.error("[list] session error:", err?.message || err);
     res.status(500).json({ error: "Session error" });
   }
 });
 
-app.post("/api/clear", async (req, res) => {
+app.post("/api/clear", async (req, res) => {
+  try {
+    const ctx = await getSessionContext(req);
+    const cleared = ctx.playlist.clear();
+    const remaining = sessionItems(ctx);
+    await Promise.allSettled(cleared.map((t) => unlinkItemFiles(t, remaining)));
+    console.log("[playlist] cleared", { sessionId: ctx.id, removed: cleared.length });
+    publishPlaylist(ctx, "cleared");
+    res.json({ ok: true, ...ctx.playlist.discSummary() });
+  } catch (err) {
+    console.error("[clear] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+app.post("/api/remove/:id", async (req, res) => {
+  try {
+    const ctx = await getSessionContext(req);
+    const removed = ctx.playlist.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "not found" });
+    await unlinkItemFiles(removed, sessionItems(ctx));
+    console.log("[playlist] removed", { sessionId: ctx.id, itemId: removed.id, title: removed.title });
+    publishPlaylist(ctx, "removed");
+    res.json({ ok: true, ...ctx.playlist.discSummary() });
+  } catch (err) {
+    console.error("[remove] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+app.post("/api/reorder", async (req, res) => {
+  const { order } = req.body || {};
+  if (!Array.isArray(order)) {
+    return res.status(400).json({ error: "Missing order" });
+  }
+
+  try {
+    const ctx = await getSessionContext(req);
+    const ok = ctx.playlist.reorder(order);
+    if (!ok) {
+      return res.status(400).json({ error: "Order mismatch" });
+    }
+
+    console.log("[playlist] reordered", { sessionId: ctx.id, order });
+    publishPlaylist(ctx, "reordered");
+    res.json({ ok: true, ...ctx.playlist.discSummary() });
+  } catch (err) {
+    console.error("[reorder] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+// ---------- Project routes ----------
+app.get("/api/projects", async (req, res) => {
+  try {
+    const { session } = await getSessionContext(req);
+    res.json(listProjects(session));
+  } catch (err) {
+    console.error("[projects] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+// Body: { name, profile? }. The new project starts empty and is not switched to.
+app.post("/api/projects", async (req, res) => {
+  const body = req.body || {};
+  try {
+    const { session } = await getSessionContext(req);
+    if (session.projects.size >= PROJECTS_PER_SESSION) {
+      return res.status(409).json({ error: `A session can hold at most ${PROJECTS_PER_SESSION} projects` });
+    }
+    const profile = body.profile === undefined ? config.discProfile : body.profile;
+    if (!resolveDiscProfile(profile)) {
+      return res.status(400).json({ error: `Unknown disc profile: ${profile}` });
+    }
+    const project = createProject(session, {
+      name: sanitizeProjectName(body.name, `CD ${session.projects.size + 1}`),
+      playlist: new PlaylistStore({ profile }),
+    });
+    console.log("[projects] created", { sessionId: session.id, project: project.id, name: project.name });
+    publishProjects(session);
+    res.status(201).json({ project: describeProject(session, project), ...listProjects(session) });
+  } catch (err) {
+    console.error("[projects] create failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to create project" });
+  }
+});
+
+app.post("/api/projects/:id/rename", async (req, res) => {
+  const name = sanitizeProjectName(req.body?.name, "");
+  if (!name) return res.status(400).json({ error: "Missing name" });
+  try {
+    const { session } = await getSessionContext(req);
+    const project = session.projects.get(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    project.name = name;
+    console.log("[projects] renamed", { sessionId: session.id, project: project.id, name });
+    publishProjects(session);
+    res.json({ project: describeProject(session, project), ...listProjects(session) });
+  } catch (err) {
+    console.error("[projects] rename failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to rename project" });
+  }
+});
+
+// Copies the playlist and its settings. Track files are hard-linked (copied
+// where links aren't possible) so each project owns its files outright.
+app.post("/api/projects/:id/duplicate", async (req, res) => {
+  try {
+    const { session } = await getSessionContext(req);
+    const source = session.projects.get(req.params.id);
+    if (!source) return res.status(404).json({ error: "Project not found" });
+    if (session.projects.size >= PROJECTS_PER_SESSION) {
+      return res.status(409).json({ error: `A session can hold at most ${PROJECTS_PER_SESSION} projects` });
+    }
+    const playlist = await clonePlaylist(session, source.playlist);
+    const project = createProject(session, {
+      name: sanitizeProjectName(req.body?.name, `${source.name} (copy)`.slice(0, PROJECT_NAME_MAX)),
+      playlist,
+    });
+    console.log("[projects] duplicated", {
+      sessionId: session.id,
+      from: source.id,
+      project: project.id,
+      items: playlist.items.length,
+    });
+    publishProjects(session);
+    res.status(201).json({ project: describeProject(session, project), ...listProjects(session) });
+  } catch (err) {
+    console.error("[projects] duplicate failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to duplicate project" });
+  }
+});
+
+// Cancels the project's in-flight adds and removes its track files. Deleting
+// the active project switches to the most recently created one left.
+app.post("/api/projects/:id/delete", async (req, res) => {
+  try {
+    const { session } = await getSessionContext(req);
+    const project = session.projects.get(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    if (session.projects.size === 1) {
+      return res.status(409).json({ error: "A session needs at least one project" });
+    }
+    session.projects.delete(project.id);
+    dropProjectShares(project);
+    for (const info of project.pendingAdds.values()) {
+      info.canceled = true;
+      try {
+        info.abort?.();
+      } catch {}
+    }
+    const cleared = project.playlist.clear();
+    const remaining = sessionItems(session);
+    await Promise.allSettled(cleared.map((item) => unlinkItemFiles(item, remaining)));
+    if (session.activeProjectId === project.id) {
+      session.activeProjectId = Array.from(session.projects.values())
+        .sort((a, b) => b.createdAt - a.createdAt)[0].id;
+    }
+    console.log("[projects] deleted", {
+      sessionId: session.id,
+      project: project.id,
+      removedItems: cleared.length,
+      active: session.activeProjectId,
+    });
+    closeShareStreams(session, { projectId: project.id });
+    publishProjects(session);
+    res.json(listProjects(session));
+  } catch (err) {
+    console.error("[projects] delete failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to delete project" });
+  }
+});
+
+app.post("/api/projects/:id/switch", async (req, res) => {
+  try {
+    const { session } = await getSessionContext(req);
+    const project = session.projects.get(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    session.activeProjectId = project.id;
+    console.log("[projects] switched", { sessionId: session.id, project: project.id });
+    publishProjects(session);
+    res.json(listProjects(session));
+  } catch (err) {
+    console.error("[projects] switch failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to switch project" });
+  }
+});
+
+// ---------- Share link routes ----------
+// Links for the project in view (the active one unless another is named).
+app.get("/api/shares", async (req, res) => {
+  try {
+    const ctx = await getSessionContext(req);
+    res.json({ project: ctx.project.id, shares: describeShares(ctx.project) });
+  } catch (err) {
+    console.error("[shares] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+// Body: { mode: "view" | "edit" }.
+app.post("/api/shares", async (req, res) => {
+  const mode = String(req.body?.mode || "view").trim().toLowerCase();
+  if (!SHARE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${SHARE_MODES.join(", ")}` });
+  }
+  try {
+    const ctx = await getSessionContext(req);
+    if (ctx.project.shares.size >= SHARES_PER_PROJECT) {
+      return res.status(409).json({ error: `A project can have at most ${SHARES_PER_PROJECT} share links` });
+    }
+    const share = { token: nanoid(24), mode, createdAt: Date.now() };
+    registerShare(ctx, ctx.project, share);
+    console.log("[shares] created", { sessionId: ctx.id, project: ctx.project.id, mode });
+    res.status(201).json({ share, project: ctx.project.id, shares: describeShares(ctx.project) });
+  } catch (err) {
+    console.error("[shares] create failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to create share link" });
+  }
+});
+
+// Revokes a link on any of the session's projects.
+app.post("/api/shares/:token/revoke", async (req, res) => {
+  try {
+    const { session } = await getSessionContext(req);
+    const project = Array.from(session.projects.values()).find((p) => p.shares.has(req.params.token));
+    if (!project) return res.status(404).json({ error: "Share link not found" });
+    project.shares.delete(req.params.token);
+    shareTokenIndex.delete(req.params.token);
+    console.log("[shares] revoked", { sessionId: session.id, project: project.id });
+    closeShareStreams(session, { token: req.params.token });
+    res.json({ project: project.id, shares: describeShares(project) });
+  } catch (err) {
+    console.error("[shares] revoke failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to revoke share link" });
+  }
+});
+
+// Copies a shared project into the recipient's own session and makes it active
+// there. Later changes on either side stay separate.
+app.post("/api/share/clone", async (req, res) => {
+  if (!req.share) return res.status(400).json({ error: "Missing share link" });
+  try {
+    const shared = await getSessionContext(req);
+    const mine = await getSessionRoot(req);
+    if (mine.projects.size >= PROJECTS_PER_SESSION) {
+      return res.status(409).json({ error: `A session can hold at most ${PROJECTS_PER_SESSION} projects` });
+    }
+    const playlist = await clonePlaylist(mine, shared.playlist);
+    const project = createProject(mine, { name: shared.project.name, playlist });
+    mine.activeProjectId = project.id;
+    console.log("[shares] cloned", {
+      from: shared.id,
+      sessionId: mine.id,
+      project: project.id,
+      items: playlist.items.length,
+    });
+    publishProjects(mine);
+    res.status(201).json({ project: describeProject(mine, project), ...listProjects(mine) });
+  } catch (err) {
+    console.error("[shares] clone failed:", err?.message || err);
+    res.status(500).json({ error: "Failed to copy the shared CD" });
+  }
+});
+
+// Disc layout settings for the session playlist
+app.get("/api/settings", async (req, res) => {
+  try {
+    const ctx = await getSessionContext(req);
+    res.json(describeSettings(ctx));
+  } catch (err) {
+    console.error("[settings] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+app.post("/api/settings", async (req, res) => {
+  const body = req.body || {};
+  if (typeof body !== "object" || Array.isArray(body)) {
+    return res.status(400).json({ error: "Invalid settings" });
+  }
+
+  if (req.share && SESSION_SETTING_FIELDS.some((field) => body[field] !== undefined)) {
+    return res.status(403).json({ error: "Share links can't change session-wide settings", code: "share-forbidden" });
+  }
+
+  try {
+    const ctx = await getSessionContext(req);
+    if (body.profile !== undefined) {
+      if (!resolveDiscProfile(body.profile)) {
+        return res.status(400).json({ error: `profile must be one of ${Object.keys(DISC_PROFILES).join(", ")}` });
+      }
+      ctx.playlist.setProfile(body.profile);
+    }
+    if (body.overflowPolicy !== undefined) {
+      const policy = normalizeOverflowPolicy(body.overflowPolicy, null);
+      if (!policy) {
+        return res.status(400).json({ error: `overflowPolicy must be one of ${OVERFLOW_POLICIES.join(", ")}` });
+      }
+      ctx.settings.overflowPolicy = policy;
+    }
+    if (body.titleNoise !== undefined) {
+      // null (or an empty list) goes back to the built-in patterns
+      ctx.settings.titleNoise = normalizeTitleNoise(body.titleNoise) || defaultTitleNoise();
+    }
+    if (body.silence !== undefined) {
+      const result = normalizeSilenceSettings(body.silence, ctx.settings.silence);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      ctx.settings.silence = result.settings;
+    }
+    if (body.loudness !== undefined) {
+      const result = normalizeLoudnessSettings(body.loudness, ctx.playlist.loudness);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      ctx.playlist.setLoudness(result.settings);
+    }
+    if (body.transition !== undefined) {
+      const result = ctx.playlist.setTransition(body.transition);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+    }
+    if (body.pregapSeconds !== undefined) {
+      const num = Number(body.pregapSeconds);
+      if (!Number.isFinite(num) || num < 0 || num > CD_PREGAP_MAX_SECONDS) {
+        return res.status(400).json({ error: `pregapSeconds must be between 0 and ${CD_PREGAP_MAX_SECONDS}` });
+      }
+      ctx.playlist.setPregapSeconds(num);
+    }
+    console.log("[settings] updated", { sessionId: ctx.id, settings: describeSettings(ctx) });
+    publishPlaylist(ctx, "settings");
+    res.json({ ok: true, ...describeSettings(ctx), ...ctx.playlist.discSummary() });
+  } catch (err) {
+    console.error("[settings] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+app.post("/api/album", async (req, res) => {
+  const patch = req.body || {};
+  if (typeof patch !== "object" || Array.isArray(patch)) {
+    return res.status(400).json({ error: "Invalid album" });
+  }
+
+  try {
+    const ctx = await getSessionContext(req);
+    const album = ctx.playlist.setAlbum(patch);
+    console.log("[playlist] album updated", { sessionId: ctx.id, album });
+    publishPlaylist(ctx, "album");
+    res.json({ ok: true, album });
+  } catch (err) {
+    console.error("[album] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+app.post("/api/move/:id", async (req, res) => {
+  const disc = parseDiscParam(req.body?.disc);
+  if (!disc) {
+    return res.status(400).json({ error: "Missing disc" });
+  }
+
   try {
     const ctx = await getSessionContext(req);
-    const cleared = ctx.playlist.clear();
-    await Promise.allSettled(cleared.map((t) => safeUnlink(t?.filepath)));
-    console.log("[playlist] cleared", { sessionId: ctx.id, removed: cleared.length });
-    res.json({ ok: true, totalSeconds: ctx.playlist.totalSeconds });
+    const moved = ctx.playlist.moveToDisc(req.params.id, disc);
+    if (moved === null) return res.status(404).json({ error: "not found" });
+    if (moved === false) return res.status(400).json({ error: "No such disc" });
+    console.log("[playlist] moved to disc", { sessionId: ctx.id, itemId: moved.id, disc: moved.disc });
+    publishPlaylist(ctx, "moved");
+    res.json({ ok: true, ...ctx.playlist.toJSON() });
   } catch (err) {
-    console.error("[clear] session error:", err?.message || err);
+    console.error("[move] session error:", err?.message || err);
     res.status(500).json({ error: "Session error" });
   }
 });
 
-app.post("/api/remove/:id", async (req, res) => {
+app.post("/api/split", async (req, res) => {
+  const mode = req.body?.mode === "pack" ? "pack" : "order";
+
   try {
     const ctx = await getSessionContext(req);
-    const removed = ctx.playlist.remove(req.params.id);
-    if (!removed) return res.status(404).json({ error: "not found" });
-    await safeUnlink(removed.filepath);
-    console.log("[playlist] removed", { sessionId: ctx.id, itemId: removed.id, title: removed.title });
-    res.json({
-      ok: true,
-      totalSeconds: ctx.playlist.totalSeconds,
-      capSeconds: ctx.playlist.capSeconds,
-    });
+    const discCount = ctx.playlist.splitAcrossDiscs(mode);
+    console.log("[playlist] split across discs", { sessionId: ctx.id, mode, discCount });
+    publishPlaylist(ctx, "split");
+    res.json({ ok: true, mode, ...ctx.playlist.toJSON() });
   } catch (err) {
-    console.error("[remove] session error:", err?.message || err);
+    console.error("[split] session error:", err?.message || err);
     res.status(500).json({ error: "Session error" });
   }
 });
 
-app.post("/api/reorder", async (req, res) => {
-  const { order } = req.body || {};
-  if (!Array.isArray(order)) {
-    return res.status(400).json({ error: "Missing order" });
+// Edit a stored track. Title, artist, album and comment feed tags, ZIP names
+// and the CUE sheet. Trim points are re-cut from the untrimmed download, so
+// they can be widened again later. Fades and volume only take effect on export.
+// `transition` sets how the track hands over to the next one; null goes back to
+// the playlist default.
+app.post("/api/update/:id", async (req, res) => {
+  const body = req.body || {};
+  if (typeof body !== "object" || Array.isArray(body)) {
+    return res.status(400).json({ error: "Invalid update" });
   }
 
+  let ctx;
   try {
-    const ctx = await getSessionContext(req);
-    const ok = ctx.playlist.reorder(order);
-    if (!ok) {
-      return res.status(400).json({ error: "Order mismatch" });
-    }
-
-    console.log("[playlist] reordered", { sessionId: ctx.id, order });
-    res.json({ ok: true, totalSeconds: ctx.playlist.totalSeconds, capSeconds: ctx.playlist.capSeconds });
+    ctx = await getSessionContext(req);
   } catch (err) {
-    console.error("[reorder] session error:", err?.message || err);
-    res.status(500).json({ error: "Session error" });
+    console.error("[update] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  const item = ctx.playlist.find(req.params.id);
+  if (!item) return res.status(404).json({ error: "not found" });
+
+  const metaResult = normalizeItemMeta(body);
+  if (!metaResult.ok) return res.status(400).json({ error: metaResult.error });
+  const meta = metaResult.meta;
+
+  const recut = {};
+  if (body.start !== undefined || body.end !== undefined) {
+    const trim = normalizeTrim(
+      {
+        start: body.start !== undefined ? body.start : item.trimStart,
+        end: body.end !== undefined ? body.end : item.trimEnd,
+      },
+      item.sourceDuration ?? item.duration
+    );
+    if (!trim.ok) return res.status(400).json({ error: trim.error });
+    recut.trim = trim;
+  }
+  if (body.silenceTrim !== undefined) {
+    const override = parseSilenceOverride(body.silenceTrim);
+    if (!override.ok) return res.status(400).json({ error: "silenceTrim must be true, false or null" });
+    recut.silenceTrim = override.value;
+  }
+  let shaping = null;
+  const fadesGiven = body.fadeIn !== undefined || body.fadeOut !== undefined;
+  if (fadesGiven || body.volumeDb !== undefined) {
+    // Check new fades against the length the track will have after any re-cut;
+    // fades it already had are fitted to that length once it's known
+    const duration = fadesGiven ? (recut.trim ? recut.trim.duration : item.duration) : Infinity;
+    const result = normalizeItemShaping(body, { ...item, duration });
+    if (!result.ok) return res.status(400).json({ error: result.error });
+    shaping = result.shaping;
+  }
+  let transition;
+  if (body.transition === null || body.transition === "default") {
+    transition = null;
+  } else if (body.transition !== undefined) {
+    const result = normalizeTransition(body.transition, item.transition || ctx.playlist.transition);
+    if (!result.ok) return res.status(400).json({ error: result.error });
+    transition = result.transition;
+  }
+
+  if (Object.keys(recut).length) {
+    if (!FF.bin) return res.status(500).json({ error: "ffmpeg not available" });
+    let rendered;
+    try {
+      rendered = await renderRecut(ctx, item, recut);
+    } catch (err) {
+      console.error("[update] trim failed", { sessionId: ctx.id, itemId: item.id, error: err?.message || err });
+      return res.status(500).json({ error: "Failed to trim track" });
+    }
+    // Removed while the new cut was rendering
+    if (ctx.playlist.find(item.id) !== item) {
+      await discardRecut(rendered);
+      return res.status(404).json({ error: "not found" });
+    }
+    const placement = planItemResize(ctx, item, { duration: rendered.duration, sizeBytes: rendered.sizeBytes });
+    if (!placement.ok) {
+      await discardRecut(rendered);
+      console.log("[update] rejected: disc full", { sessionId: ctx.id, itemId: item.id, code: placement.code, disc: placement.disc });
+      const { ok: _ok, ...details } = placement;
+      return res.status(409).json({ error: "Not enough room on the disc", ...details });
+    }
+    // Fades have to fit the new length too. Ones sent with this update are
+    // refused; ones the track already had shrink to fit.
+    const fades = normalizeItemShaping(body, { ...item, duration: rendered.duration });
+    if (!fades.ok && fadesGiven) {
+      await discardRecut(rendered);
+      return res.status(400).json({ error: fades.error });
+    }
+    if (!fades.ok) {
+      shaping = fitFades(shaping || { fadeIn: item.fadeIn || 0, fadeOut: item.fadeOut || 0, volumeDb: item.volumeDb || 0 }, rendered.duration);
+    }
+    await applyRecut(ctx, item, rendered);
+    item.overflow = placement.overflow;
+    console.log("[playlist] trimmed", {
+      sessionId: ctx.id,
+      itemId: item.id,
+      trimStart: item.trimStart,
+      trimEnd: item.trimEnd,
+      silenceTrim: item.silenceTrim,
+      silenceReclaimed: item.silence?.reclaimed ?? 0,
+      duration: item.duration,
+    });
+  }
+  if (Object.keys(meta).length) {
+    Object.assign(item, meta);
+    console.log("[playlist] metadata updated", { sessionId: ctx.id, itemId: item.id, ...meta });
+  }
+  if (shaping) {
+    Object.assign(item, shaping);
+    console.log("[playlist] shaping set", { sessionId: ctx.id, itemId: item.id, ...shaping });
+  }
+  if (transition !== undefined) {
+    item.transition = transition;
+    console.log("[playlist] transition set", { sessionId: ctx.id, itemId: item.id, transition });
   }
+
+  publishPlaylist(ctx, "updated");
+  res.json({ ok: true, ...ctx.playlist.toJSON() });
 });
 
 app.get("/api/file/:id", async (req, res) => {
@@ -1435,9 +5005,15 @@ app.get("/api/file/:id", async (req, res) => {
     const item = ctx.playlist.find(req.params.id);
     if (!item) return res.status(404).end();
     console.log("[playlist] file download", { sessionId: ctx.id, itemId: item.id, title: item.title });
-    res.download(item.filepath, path.basename(item.filepath));
+    if (path.extname(item.filepath).toLowerCase() !== ".mp3") {
+      return res.download(item.filepath, path.basename(item.filepath));
+    }
+    await ensureDir(ctx.scratchDir);
+    const taggedPath = path.join(ctx.scratchDir, `file-${nanoid(10)}.mp3`);
+    await writeTaggedMp3(item.filepath, taggedPath, await itemTagFields(ctx.playlist, item));
+    res.download(taggedPath, path.basename(item.filepath), () => safeUnlink(taggedPath));
   } catch (err) {
-    console.error("[file] session error:", err?.message || err);
+    console.error("[file] error:", err?.message || err);
     res.status(500).end();
   }
 });
@@ -1452,46 +5028,125 @@ app.post("/api/zip", async (req, res) => {
   }
 
   const playlistStore = ctx.playlist;
+  const disc = parseDiscParam(req.body?.disc);
+  if (disc && disc > playlistStore.discCount) {
+    return res.status(404).json({ error: "No such disc" });
+  }
+  const zipItems = disc ? playlistStore.discItems(disc) : playlistStore.items.slice();
+  // "wav" renders each disc with its transitions and splits it per track
+  const format = String(req.body?.format || "mp3").toLowerCase();
+  if (format !== "mp3" && format !== "wav") {
+    return res.status(400).json({ error: "format must be mp3 or wav" });
+  }
 
-  if (!playlistStore.items.length) {
+  if (!zipItems.length) {
     return res.status(400).json({ error: "Playlist is empty" });
   }
   if (!ZIP.bin) {
     return res.status(500).json({ error: "ZIP utility not available" });
   }
+  if (format === "wav" && !FF.bin) {
+    return res.status(500).json({ error: "ffmpeg not available" });
+  }
 
-  const entries = playlistStore.items
+  const entries = zipItems
     .map((item, idx) => {
       if (!item?.filepath) return null;
       if (!fs.existsSync(item.filepath)) return null;
-      const ext = path.extname(item.filepath) || ".mp3";
-      const archiveName = formatZipEntryName(item.title, idx + 1, playlistStore.items.length, ext);
-      return { archiveName, filePath: item.filepath };
+      const ext = format === "wav" ? ".wav" : path.extname(item.filepath) || ".mp3";
+      const name = item.artist ? `${item.artist} - ${item.title}` : item.title;
+      const archiveName = formatZipEntryName(name, idx + 1, zipItems.length, ext);
+      return { archiveName, filePath: item.filepath, item };
     })
     .filter(Boolean);
 
   if (!entries.length) {
     return res.status(400).json({ error: "No files available to zip" });
   }
+  // Transitions need both neighbours, so a WAV set can't skip a missing file
+  if (format === "wav" && entries.length < zipItems.length) {
+    const present = new Set(entries.map((entry) => entry.item));
+    return res.status(400).json({
+      error: "Some tracks are missing their audio file",
+      missing: zipItems.filter((item) => !present.has(item)).map((item) => item?.id || null),
+    });
+  }
+
+  // Album mode treats each disc as its own album, also when zipping them all
+  const loudnessOverride = req.body?.loudness;
+  const gains = new Map();
+  let loudnessSettings = null;
+  const discNumbers = disc ? [disc] : Array.from({ length: playlistStore.discCount }, (_, idx) => idx + 1);
+  const albums = disc ? [zipItems] : discNumbers.map((number) => playlistStore.discItems(number));
+  for (const albumItems of albums) {
+    const loudness = await resolveExportGains(ctx, albumItems, loudnessOverride);
+    if (!loudness.ok) {
+      return res.status(400).json({ error: loudness.error });
+    }
+    loudnessSettings = loudness.settings;
+    for (const [item, gain] of loudness.gains) gains.set(item, gain);
+  }
+  if (!FF.bin && entries.some((entry) => isShaped(exportShape(entry.item, gains)))) {
+    return res.status(500).json({ error: "ffmpeg not available" });
+  }
 
-  console.log("[zip] preparing", { sessionId: ctx.id, entries: entries.length });
+  console.log("[zip] preparing", { sessionId: ctx.id, entries: entries.length, disc, format, loudness: loudnessSettings });
   await ensureDir(ctx.scratchDir);
   const stagingDir = await fsp.mkdtemp(path.join(ctx.scratchDir, "zip-stage-"));
   const stagedFiles = [];
 
   try {
-    for (const entry of entries) {
-      const stagedPath = path.join(stagingDir, entry.archiveName);
-      try {
-        await fsp.link(entry.filePath, stagedPath);
-      } catch (err) {
-        if (err?.code === "EXDEV" || err?.code === "EEXIST") {
-          await fsp.copyFile(entry.filePath, stagedPath);
-        } else {
-          throw err;
+    if (format === "wav") {
+      const nameOf = new Map(entries.map((entry) => [entry.item, entry.archiveName]));
+      for (const [idx, albumItems] of albums.entries()) {
+        const files = await renderWavSet(
+          albumItems,
+          playlistStore.discJoins(discNumbers[idx]),
+          stagingDir,
+          albumItems.map((item) => nameOf.get(item)),
+          { gains }
+        );
+        stagedFiles.push(...files);
+      }
+    } else {
+      // Tags are written from the playlist as it is now, so numbering follows
+      // the current order rather than the order tracks were added in
+      for (const entry of entries) warmCoverArt(entry.item);
+      for (const entry of entries) {
+        const stagedPath = path.join(stagingDir, entry.archiveName);
+        const shape = exportShape(entry.item, gains);
+        if (path.extname(entry.filePath).toLowerCase() === ".mp3") {
+          let source = entry.filePath;
+          if (isShaped(shape)) {
+            source = path.join(stagingDir, `shaped-${nanoid(8)}.mp3`);
+            await renderShapedMp3(entry.filePath, source, shape, entry.item.quality);
+          }
+          try {
+            await writeTaggedMp3(source, stagedPath, await itemTagFields(playlistStore, entry.item));
+          } finally {
+            if (source !== entry.filePath) await safeUnlink(source);
+          }
+          stagedFiles.push(stagedPath);
+          continue;
+        }
+        if (isShaped(shape)) {
+          // Shaping re-encodes, so an uploaded FLAC or WAV comes out as MP3
+          const mp3Path = stagedPath.slice(0, -path.extname(stagedPath).length) + ".mp3";
+          await renderShapedMp3(entry.filePath, mp3Path, shape, entry.item.quality);
+          stagedFiles.push(mp3Path);
+          continue;
         }
+        try {
+          await fsp.link(entry.filePath, stagedPath);
+        } catch (err) {
+          if (err?.code === "EXDEV" || err?.code === "EEXIST") {
+            await fsp.copyFile(entry.filePath, stagedPath);
+          } else {
+            throw err;
+          }
+        }
+        stagedFiles.push(stagedPath);
       }
-      stagedFiles.push(stagedPath);
     }
 
     let zipPath = path.join(ctx.scratchDir, `cd-${nanoid(10)}.zip`);
@@ -1503,7 +5158,8 @@ app.post("/api/zip", async (req, res) => {
 
     let finalInfo = null;
     try {
-      const downloadName = `${safeBase("cd-playlist")}.zip`;
+      const stem = disc ? `cd-playlist-disc-${disc}` : "cd-playlist";
+      const downloadName = `${safeBase(format === "wav" ? `${stem}-wav` : stem)}.zip`;
       finalInfo = await moveIntoDownloads(zipPath, downloadName, ctx.downloadsDir);
       zipPath = null;
     } catch (err) {
@@ -1526,6 +5182,8 @@ app.post("/api/zip", async (req, res) => {
       href: `/downloads/${encodeURIComponent(token)}`,
       filename: finalInfo.filename,
       sizeBytes: stat?.size ?? null,
+      format,
+      loudness: loudnessSettings,
     });
   } catch (err) {
     console.error("[zip] error:", err?.message || err);
@@ -1542,6 +5200,204 @@ app.post("/api/zip", async (req, res) => {
   }
 });
 
+// Burnable audio-CD image: one sector-aligned BIN plus a CUE sheet, each served
+// through its own download token.
+app.post("/api/disc-image", async (req, res) => {
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[disc-image] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  const playlistStore = ctx.playlist;
+  const disc = parseDiscParam(req.body?.disc) || 1;
+  const discItems = playlistStore.discItems(disc);
+
+  if (playlistStore.profile.kind !== "time") {
+    return res.status(400).json({ error: "Disc images are only available for audio CD profiles" });
+  }
+  if (!discItems.length) {
+    return res.status(400).json({ error: "Playlist is empty" });
+  }
+  if (discItems.length > CD_MAX_TRACKS) {
+    return res.status(400).json({ error: `An audio CD holds at most ${CD_MAX_TRACKS} tracks` });
+  }
+  if (!FF.bin) {
+    return res.status(500).json({ error: "ffmpeg not available" });
+  }
+
+  const items = discItems;
+  const missing = items.filter((item) => !item?.filepath || !fs.existsSync(item.filepath));
+  if (missing.length) {
+    return res.status(400).json({
+      error: "Some tracks are missing their audio file",
+      missing: missing.map((item) => item?.id || null),
+    });
+  }
+
+  const loudness = await resolveExportGains(ctx, items, req.body?.loudness);
+  if (!loudness.ok) {
+    return res.status(400).json({ error: loudness.error });
+  }
+
+  console.log("[disc-image] preparing", { sessionId: ctx.id, tracks: items.length, loudness: loudness.settings });
+  await ensureDir(ctx.scratchDir);
+  let binPath = path.join(ctx.scratchDir, `cd-${nanoid(10)}.bin`);
+  let cuePath = null;
+
+  try {
+    const layout = await renderDiscImage(items, binPath, {
+      gains: loudness.gains,
+      joins: playlistStore.discJoins(disc),
+    });
+
+    const binStem = playlistStore.discCount > 1 ? `cd-playlist-disc-${disc}` : "cd-playlist";
+    const binInfo = await moveIntoDownloads(binPath, `${safeBase(binStem)}.bin`, ctx.downloadsDir);
+    binPath = null;
+
+    const stem = path.basename(binInfo.filename, ".bin");
+    cuePath = path.join(ctx.scratchDir, `cd-${nanoid(10)}.cue`);
+    await fsp.writeFile(cuePath, buildCueSheet(binInfo.filename, layout.tracks, {
+      album: playlistStore.album,
+    }), "utf8");
+    const cueInfo = await moveIntoDownloads(cuePath, `${stem}.cue`, ctx.downloadsDir);
+    cuePath = null;
+
+    const cueStat = await fsp.stat(cueInfo.path).catch(() => null);
+    const binToken = registerDownloadToken(ctx, binInfo.path, binInfo.filename);
+    const cueToken = registerDownloadToken(ctx, cueInfo.path, cueInfo.filename);
+
+    console.log("[disc-image] ready", {
+      sessionId: ctx.id,
+      bin: binInfo.filename,
+      cue: cueInfo.filename,
+      sizeBytes: layout.sizeBytes,
+      frames: layout.sizeBytes / CD_SECTOR_BYTES,
+    });
+
+    res.json({
+      ok: true,
+      bin: {
+        href: `/downloads/${encodeURIComponent(binToken)}`,
+        filename: binInfo.filename,
+        sizeBytes: layout.sizeBytes,
+      },
+      cue: {
+        href: `/downloads/${encodeURIComponent(cueToken)}`,
+        filename: cueInfo.filename,
+        sizeBytes: cueStat?.size ?? null,
+      },
+      tracks: layout.tracks.map((track, idx) => ({
+        number: idx + 1,
+        id: track.item.id,
+        start: framesToMsf(track.startFrame),
+        frames: track.frames,
+        transition: track.transition,
+        gainDb: loudness.gains.get(track.item) ?? null,
+      })),
+      loudness: loudness.settings,
+    });
+  } catch (err) {
+    console.error("[disc-image] error:", err?.message || err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Disc image failed", message: String(err?.message || err) });
+    } else {
+      res.end();
+    }
+  } finally {
+    if (binPath) await safeUnlink(binPath);
+    if (cuePath) await safeUnlink(cuePath);
+  }
+});
+
+// Continuous mix of one disc as a single MP3 or WAV, with its transitions.
+app.post("/api/mix", async (req, res) => {
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[mix] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  const playlistStore = ctx.playlist;
+  const disc = parseDiscParam(req.body?.disc) || 1;
+  const items = playlistStore.discItems(disc);
+  const format = String(req.body?.format || "mp3").toLowerCase();
+
+  if (format !== "mp3" && format !== "wav") {
+    return res.status(400).json({ error: "format must be mp3 or wav" });
+  }
+  if (!items.length) {
+    return res.status(400).json({ error: "Playlist is empty" });
+  }
+  if (!FF.bin) {
+    return res.status(500).json({ error: "ffmpeg not available" });
+  }
+  const missing = items.filter((item) => !item?.filepath || !fs.existsSync(item.filepath));
+  if (missing.length) {
+    return res.status(400).json({
+      error: "Some tracks are missing their audio file",
+      missing: missing.map((item) => item?.id || null),
+    });
+  }
+
+  const loudness = await resolveExportGains(ctx, items, req.body?.loudness);
+  if (!loudness.ok) {
+    return res.status(400).json({ error: loudness.error });
+  }
+
+  const joins = playlistStore.discJoins(disc);
+  console.log("[mix] preparing", {
+    sessionId: ctx.id,
+    disc,
+    format,
+    tracks: items.length,
+    transitions: joins.map((join) => join.type),
+    loudness: loudness.settings,
+  });
+  await ensureDir(ctx.scratchDir);
+  let mixPath = path.join(ctx.scratchDir, `mix-${nanoid(10)}.${format}`);
+
+  try {
+    const mix = await renderMixFile(items, joins, mixPath, { gains: loudness.gains, format });
+    const stem = playlistStore.discCount > 1 ? `cd-playlist-disc-${disc}-mix` : "cd-playlist-mix";
+    const info = await moveIntoDownloads(mixPath, `${safeBase(stem)}.${format}`, ctx.downloadsDir);
+    mixPath = null;
+
+    const stat = await fsp.stat(info.path).catch(() => null);
+    const token = registerDownloadToken(ctx, info.path, info.filename);
+    console.log("[mix] ready", { sessionId: ctx.id, filename: info.filename, sizeBytes: stat?.size ?? null, token });
+
+    res.json({
+      ok: true,
+      href: `/downloads/${encodeURIComponent(token)}`,
+      filename: info.filename,
+      sizeBytes: stat?.size ?? null,
+      format,
+      durationSeconds: mix.sizeBytes / PCM_BYTES_PER_SECOND,
+      tracks: mix.tracks.map((track, idx) => ({
+        number: idx + 1,
+        id: track.item.id,
+        startSeconds: track.startByte / PCM_BYTES_PER_SECOND,
+        transition: idx > 0 ? joins[idx - 1].type : null,
+      })),
+      loudness: loudness.settings,
+    });
+  } catch (err) {
+    console.error("[mix] error:", err?.message || err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Mix failed", message: String(err?.message || err) });
+    } else {
+      res.end();
+    }
+  } finally {
+    if (mixPath) await safeUnlink(mixPath);
+  }
+});
+
 // Probe: supports { fast: true } for quickest title/duration via web client
 app.post("/api/probe", async (req, res) => {
   let { url, fast } = req.body || {};
@@ -1577,6 +5433,7 @@ app.post("/api/probe", async (req, res) => {
       title: meta.title,
       duration: meta.duration,
       thumbnail: thumb,
+      chapters: extractChapters(meta),
       bestFormat: best,
       audioFormats,
       usedClient: r.usedClient || null
@@ -1596,8 +5453,9 @@ app.post("/api/cancel-add", async (req, res) => {
   markAddProgressDone(token, 0, "canceled", "Canceled");
 
   let ctx = null;
-  if (req.sessionId && sessionContexts.has(req.sessionId)) {
-    ctx = sessionContexts.get(req.sessionId);
+  const ownerId = req.share?.sessionId || req.sessionId;
+  if (ownerId && sessionContexts.has(ownerId)) {
+    ctx = sessionContexts.get(ownerId);
   } else {
     try {
       ctx = await getSessionContext(req);
@@ -1606,54 +5464,272 @@ app.post("/api/cancel-add", async (req, res) => {
     }
   }
 
-  if (ctx?.pendingAdds) {
-    for (const info of ctx.pendingAdds.values()) {
-      if (!info || info.token !== token) continue;
-      info.canceled = true;
-      try {
-        info.abort?.();
-      } catch {}
-    }
+  // The add may belong to any project, not just the one in view
+  for (const project of ctx?.projects?.values?.() || []) {
+    for (const info of project.pendingAdds.values()) {
+      if (!info || info.token !== token) continue;
+      info.canceled = true;
+      try {
+        info.abort?.();
+      } catch {}
+    }
+  }
+
+  res.status(204).end();
+});
+
+// Live updates for the project in view (or the one a share link grants).
+app.get("/api/events", async (req, res) => {
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[events] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+  const { session, project } = ctx;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+  const client = { res, projectId: project.id, shareToken: req.share?.token || null };
+  session.eventClients.add(client);
+  sendEvent(res, "hello", { project: project.id, share: req.share ? { mode: req.share.mode } : null });
+  console.log("[events] stream opened", { sessionId: session.id, project: project.id, shared: Boolean(req.share) });
+
+  // Comments keep proxies from closing an idle stream; an open page keeps its session alive
+  const keepAlive = setInterval(() => {
+    session.lastAccess = Date.now();
+    res.write(": keep-alive\n\n");
+  }, EVENT_KEEPALIVE_MS);
+  res.on("close", () => {
+    clearInterval(keepAlive);
+    session.eventClients.delete(client);
+    console.log("[events] stream closed", { sessionId: session.id, project: project.id });
+  });
+});
+
+app.get("/api/add-progress/:token", (req, res) => {
+  const token = req.params.token;
+  if (!token) {
+    return res.json({ progress: null, done: true });
+  }
+  const entry = readAddProgress(token);
+  if (!entry) {
+    return res.json({ progress: null, done: false });
+  }
+  res.json({
+    progress: entry.value,
+    done: entry.done,
+    status: entry.status ?? null,
+    message: entry.message ?? null,
+  });
+});
+
+
+function canonicalizeYouTube(u) {
+  try {
+    const url = new URL(u);
+    if (url.hostname === "youtu.be") {
+      const id = url.pathname.slice(1);
+      if (id) return `https://www.youtube.com/watch?v=${id}`;
+    }
+    if (url.hostname.endsWith("youtube.com")) {
+      const id = url.searchParams.get("v") || url.pathname.match(/^\/shorts\/([\w-]{11})/)?.[1];
+      if (id) return `https://www.youtube.com/watch?v=${id}`;
+    }
+  } catch {}
+  return u;
+}
+// "Add as separate tracks": one playlist item per chapter, all cut from a single
+// download. `selected` is an optional list of chapter indexes to keep.
+function addChapterTracks(req, res, { ctx, url, quality, token, metaR, selected, silenceTrim = null }) {
+  const { format_id, used_client } = req.body || {};
+  const playlistStore = ctx.playlist;
+  const all = extractChapters(metaR.meta);
+  if (!all.length) {
+    return res.status(400).json({ error: "This video has no chapters", client_token: token });
+  }
+
+  let picked = all;
+  if (selected !== undefined && selected !== null) {
+    const wanted = new Set(Array.isArray(selected) ? selected.map(Number) : []);
+    picked = all.filter((chapter) => wanted.has(chapter.index));
+    if (!picked.length || picked.length !== wanted.size) {
+      return res.status(400).json({ error: "Invalid chapter selection", client_token: token });
+    }
+  }
+
+  const plan = planTrackPlacements(
+    ctx,
+    picked.map((chapter) => ({ ...chapter, end: chapter.end >= Number(metaR.meta.duration) ? null : chapter.end, quality }))
+  );
+  if (!plan.ok) {
+    console.log("[add] rejected: disc full", {
+      sessionId: ctx.id,
+      clientToken: token,
+      code: plan.code,
+      disc: plan.disc,
+      chapter: plan.track?.index,
+      message: plan.message,
+    });
+    const { ok: _ok, track, ...details } = plan;
+    return res.status(409).json({
+      error: "Not enough room on the disc",
+      ...details,
+      message: `${track.title}: ${plan.message}`,
+      chapter: track.index,
+      client_token: token,
+    });
+  }
+
+  const parts = plan.placed.map((part) => ({ ...part, seq: playlistStore.issueSeq() }));
+  const requestSeq = parts[0].seq;
+  const totalSeconds = parts.reduce((acc, part) => acc + part.duration, 0);
+
+  console.log("[add] scheduled chapters", {
+    sessionId: ctx.id,
+    orderSeq: requestSeq,
+    clientToken: token,
+    chapters: parts.length,
+    discs: Array.from(new Set(parts.map((part) => part.disc))),
+  });
+
+  scheduleAddJob(ctx, {
+    url,
+    quality,
+    formatId: format_id || null,
+    clientToken: token,
+    usedClient: used_client || null,
+    extractorArgs: metaR.usedClient || used_client || "",
+    requestSeq,
+    meta: metaR.meta,
+    parts,
+    silenceTrim,
+    disc: parts[parts.length - 1].disc,
+    overflow: parts.some((part) => part.overflow),
+  });
+
+  res.status(202).json({
+    accepted: true,
+    client_token: token,
+    order: requestSeq,
+    disc: parts[0].disc,
+    overflow: parts.some((part) => part.overflow),
+    title: metaR.meta?.title || null,
+    duration: totalSeconds,
+    tracks: parts.length,
+    chapters: parts.map((part) => ({
+      index: part.index,
+      title: part.title,
+      duration: part.duration,
+      disc: part.disc,
+      overflow: part.overflow,
+    })),
+    thumbnail: pickThumbnail(metaR.meta) || null,
+    usedClient: metaR.usedClient || used_client || null,
+  });
+}
+
+// Place and schedule one whole (possibly trimmed) video. Returns { ok, body }
+// for a 202, or { ok: false, status, body } for a held duplicate or when the
+// disc has no room.
+function queueVideoAdd(ctx, { url, quality, formatId, token, usedClient, metaR, trim, silenceTrim, allowDuplicate = false }) {
+  if (!allowDuplicate) {
+    const held = heldDuplicate(ctx, videoDuplicateCandidate(ctx, metaR.meta), {
+      title: metaR.meta?.title || null,
+      logMeta: { clientToken: token },
+    });
+    if (held) return { ok: false, status: 409, body: { ...held, client_token: token } };
+  }
+
+  const placement = planDiscPlacement(ctx, {
+    duration: trim.duration,
+    quality,
+  });
+  if (!placement.ok) {
+    console.log("[add] rejected: disc full", {
+      sessionId: ctx.id,
+      clientToken: token,
+      code: placement.code,
+      disc: placement.disc,
+      message: placement.message,
+    });
+    const { ok: _ok, ...details } = placement;
+    return {
+      ok: false,
+      status: 409,
+      body: { error: "Not enough room on the disc", ...details, client_token: token },
+    };
   }
 
-  res.status(204).end();
-});
+  const requestSeq = ctx.playlist.issueSeq();
 
-app.get("/api/add-progress/:token", (req, res) => {
-  const token = req.params.token;
-  if (!token) {
-    return res.json({ progress: null, done: true });
-  }
-  const entry = readAddProgress(token);
-  if (!entry) {
-    return res.json({ progress: null, done: false });
-  }
-  res.json({
-    progress: entry.value,
-    done: entry.done,
-    status: entry.status ?? null,
-    message: entry.message ?? null,
+  console.log("[add] scheduled", {
+    sessionId: ctx.id,
+    orderSeq: requestSeq,
+    clientToken: token,
+    disc: placement.disc,
+    overflow: placement.overflow,
+    trimStart: trim.start,
+    trimEnd: trim.end,
   });
-});
 
+  scheduleAddJob(ctx, {
+    url,
+    quality,
+    formatId,
+    clientToken: token,
+    usedClient,
+    extractorArgs: metaR.usedClient || usedClient || "",
+    requestSeq,
+    meta: metaR.meta,
+    trim,
+    silenceTrim,
+    disc: placement.disc,
+    overflow: placement.overflow,
+  });
 
-function canonicalizeYouTube(u) {
-  try {
-    const url = new URL(u);
-    if (url.hostname === "youtu.be") {
-      const id = url.pathname.slice(1);
-      if (id) return `https://www.youtube.com/watch?v=${id}`;
-    }
-    if (url.hostname.endsWith("youtube.com")) {
-      const id = url.searchParams.get("v");
-      if (id) return `https://www.youtube.com/watch?v=${id}`;
-    }
-  } catch {}
-  return u;
+  return {
+    ok: true,
+    body: {
+      accepted: true,
+      client_token: token,
+      order: requestSeq,
+      disc: placement.disc,
+      overflow: placement.overflow,
+      title: metaR.meta?.title || null,
+      duration: trim.duration || null,
+      sourceDuration: Number(metaR.meta?.duration) || null,
+      trimStart: trim.start,
+      trimEnd: trim.end,
+      thumbnail: pickThumbnail(metaR.meta) || null,
+      usedClient: metaR.usedClient || usedClient || null,
+    },
+  };
 }
+
 // Add to the CD list (stores MP3 file to /downloads and updates the playlist)
 app.post("/api/add", async (req, res) => {
-  let { url, quality, format_id, client_token, used_client } = req.body || {};
+  let {
+    url,
+    quality,
+    format_id,
+    client_token,
+    used_client,
+    start,
+    end,
+    split_chapters,
+    chapters,
+    trim_silence,
+    allow_duplicate,
+  } = req.body || {};
+  const urlTrim = trimFromUrl(url);
   url = canonicalizeYouTube(url);
   if (!url || !/^https?:\/\//i.test(url)) return res.status(400).json({ error: "Invalid URL" });
 
@@ -1665,7 +5741,6 @@ app.post("/api/add", async (req, res) => {
     return res.status(500).json({ error: "Session error" });
   }
 
-  const playlistStore = ctx.playlist;
   const token = typeof client_token === "string" && client_token.trim()
     ? client_token.trim().slice(0, 80)
     : `tmp_${Date.now()}_${nanoid(6)}`;
@@ -1688,34 +5763,498 @@ app.post("/api/add", async (req, res) => {
     });
   }
 
-  const requestSeq = playlistStore.issueSeq();
+  let silenceTrim = null;
+  if (trim_silence !== undefined) {
+    const override = parseSilenceOverride(trim_silence);
+    if (!override.ok) return res.status(400).json({ error: "trim_silence must be true, false or null", client_token: token });
+    silenceTrim = override.value;
+  }
 
-  console.log("[add] scheduled", {
-    sessionId: ctx.id,
-    orderSeq: requestSeq,
-    clientToken: token,
-  });
+  if (split_chapters) {
+    // Chapters of a video already on the list are distinct tracks; only the
+    // same video twice counts.
+    if (!allow_duplicate) {
+      const held = heldDuplicate(ctx, videoDuplicateCandidate(ctx, metaR.meta), {
+        title: metaR.meta.title || null,
+        sameVideoOnly: true,
+        logMeta: { clientToken: token },
+      });
+      if (held) return res.status(409).json({ ...held, client_token: token });
+    }
+    return addChapterTracks(req, res, { ctx, url, quality, token, metaR, selected: chapters, silenceTrim });
+  }
 
-  scheduleAddJob(ctx, {
+  const trim = normalizeTrim(
+    { start: start ?? urlTrim.start, end: end ?? urlTrim.end },
+    Number(metaR.meta.duration)
+  );
+  if (!trim.ok) {
+    return res.status(400).json({ error: trim.error, client_token: token });
+  }
+
+  const queued = queueVideoAdd(ctx, {
     url,
     quality,
     formatId: format_id || null,
-    clientToken: token,
+    token,
     usedClient: used_client || null,
-    extractorArgs: metaR.usedClient || used_client || "",
-    requestSeq,
-    meta: metaR.meta,
+    metaR,
+    trim,
+    silenceTrim,
+    allowDuplicate: Boolean(allow_duplicate),
+  });
+  res.status(queued.ok ? 202 : queued.status).json(queued.body);
+});
+
+// Resolve "Artist - Song" text to candidate videos. The chosen one is added
+// through /api/add like a pasted link.
+app.post("/api/search", async (req, res) => {
+  const { query: rawQuery, limit } = req.body || {};
+  const { query, duration } = parseSearchQuery(rawQuery);
+  if (!query) return res.status(400).json({ error: "Missing search text" });
+  const count = Math.min(SEARCH_RESULTS_MAX, Math.max(1, Math.floor(Number(limit)) || SEARCH_RESULTS_DEFAULT));
+
+  console.log("[search] requested", { sessionId: req.sessionId, query, duration, limit: count });
+  try {
+    // Ask for more than we show so the ranking has something to reorder
+    const fetchCount = Math.min(SEARCH_RESULTS_MAX * 2, count * 2);
+    const found = await getPlaylistEntries(`ytsearch${fetchCount}:${query}`, { maxEntries: fetchCount });
+    if (!found.ok) {
+      return res.status(502).json({ error: "Search failed", detail: found.error, stderr: found.stderr });
+    }
+    const results = rankSearchResults(found.entries, { query, duration }).slice(0, count);
+    res.json({
+      query,
+      duration,
+      results: results.map(({ id, url, title, channel, duration: length, thumbnail, score }) => ({
+        id,
+        url,
+        title,
+        channel,
+        duration: length,
+        thumbnail,
+        score,
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: "Search crashed", message: String(e?.message || e) });
+  }
+});
+
+// Read a tracklist file (CSV export or "Artist - Title" lines) and resolve each
+// row by search in a background job. Every candidate lands in one import,
+// numbered in file order, so the reviewed picks are added through /api/add-playlist.
+app.post("/api/import-tracklist", async (req, res) => {
+  if (!String(req.headers["content-type"] || "").startsWith("multipart/form-data")) {
+    return res.status(400).json({ error: "Send the file as multipart/form-data" });
+  }
+
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[tracklist] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  let upload;
+  try {
+    upload = await receiveTracklist(req);
+  } catch (err) {
+    console.error("[tracklist] receive failed:", err?.message || err);
+    return res.status(400).json({ error: "Upload failed", message: String(err?.message || err) });
+  }
+  if (upload.tooLarge) {
+    return res.status(413).json({ error: `The file is larger than ${formatMegabytes(TRACKLIST_MAX_BYTES)}` });
+  }
+  if (!upload.text.trim()) return res.status(400).json({ error: "The file is empty" });
+
+  const parsed = parseTracklist(upload.text);
+  if (!parsed.rows.length) return res.status(400).json({ error: "No tracks found in this file" });
+
+  purgeTracklistJobs(ctx);
+  const running = Array.from(ctx.tracklistJobs.values()).filter((job) => job.status === "running").length;
+  if (running >= TRACKLIST_JOBS_RUNNING) {
+    return res.status(429).json({ error: "Other tracklists are still being looked up, try again when they finish" });
+  }
+
+  const rows = parsed.rows.slice(0, TRACKLIST_MAX_ROWS);
+  const title = upload.filename?.trim() ? upload.filename.trim().slice(0, 120) : "Tracklist";
+  const truncated = parsed.rows.length > rows.length;
+  const job = startTracklistJob(ctx, { title, format: parsed.format, rows, truncated });
+
+  console.log("[tracklist] resolving", {
+    sessionId: ctx.id,
+    jobId: job.id,
+    format: parsed.format,
+    rows: rows.length,
+    truncated,
+  });
+  res.status(202).json({ ...describeTracklistJob(job), title, format: parsed.format, truncated });
+});
+
+app.get("/api/import-tracklist/:id", async (req, res) => {
+  try {
+    const ctx = await getSessionContext(req);
+    purgeTracklistJobs(ctx);
+    const job = ctx.tracklistJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: "This import has expired" });
+    res.json(describeTracklistJob(job));
+  } catch (err) {
+    console.error("[tracklist] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+// Closing the review stops the searches that haven't started yet.
+app.post("/api/import-tracklist/:id/cancel", async (req, res) => {
+  try {
+    const ctx = await getSessionContext(req);
+    const job = ctx.tracklistJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: "This import has expired" });
+    if (job.status === "running") {
+      job.status = "cancelled";
+      console.log("[tracklist] cancelled", { sessionId: ctx.id, jobId: job.id, done: job.done });
+    }
+    ctx.tracklistJobs.delete(job.id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("[tracklist] session error:", err?.message || err);
+    res.status(500).json({ error: "Session error" });
+  }
+});
+
+const ADD_BATCH_MAX = 50;
+const ADD_BATCH_PROBE_LIMIT = 4;
+
+// Bulk paste: probe every link with a small concurrency cap, then place and
+// schedule them in the pasted order. Each entry is { url, client_token,
+// allow_duplicate? } and gets its own result, so one bad link doesn't sink the rest.
+app.post("/api/add-batch", async (req, res) => {
+  const { entries, quality, trim_silence } = req.body || {};
+  if (!Array.isArray(entries) || !entries.length) return res.status(400).json({ error: "No links given" });
+  if (entries.length > ADD_BATCH_MAX) {
+    return res.status(400).json({ error: `At most ${ADD_BATCH_MAX} links at once` });
+  }
+
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[add] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  let silenceTrim = null;
+  if (trim_silence !== undefined) {
+    const override = parseSilenceOverride(trim_silence);
+    if (!override.ok) return res.status(400).json({ error: "trim_silence must be true, false or null" });
+    silenceTrim = override.value;
+  }
+
+  const seen = new Set();
+  const jobs = entries.map((entry) => {
+    const raw = typeof entry?.url === "string" ? entry.url.trim() : "";
+    const token = typeof entry?.client_token === "string" && entry.client_token.trim()
+      ? entry.client_token.trim().slice(0, 80)
+      : `tmp_${Date.now()}_${nanoid(6)}`;
+    const url = canonicalizeYouTube(raw);
+    if (!url || !/^https?:\/\//i.test(url)) return { token, error: "Invalid URL" };
+    if (seen.has(url)) return { token, error: "Duplicate link" };
+    seen.add(url);
+    return { token, url, urlTrim: trimFromUrl(raw), allowDuplicate: Boolean(entry.allow_duplicate) };
+  });
+
+  console.log("[add] batch requested", {
+    sessionId: ctx.id,
+    links: jobs.length,
+    valid: jobs.filter((job) => job.url).length,
+  });
+
+  const probes = new ParallelWorkQueue(ADD_BATCH_PROBE_LIMIT);
+  await Promise.all(jobs.map(async (job) => {
+    if (!job.url) return;
+    try {
+      job.metaR = await probes.run(() => getVideoMetaSmart(job.url));
+    } catch (err) {
+      job.metaR = { ok: false, error: err?.message || String(err) };
+    }
+  }));
+
+  const results = jobs.map((job) => {
+    if (job.error) return { client_token: job.token, error: job.error };
+    const { metaR } = job;
+    if (!metaR.ok || !metaR.meta?.duration) {
+      return { client_token: job.token, error: "Failed to read video metadata" };
+    }
+    const trim = normalizeTrim(job.urlTrim, Number(metaR.meta.duration));
+    if (!trim.ok) return { client_token: job.token, error: trim.error };
+    const queued = queueVideoAdd(ctx, {
+      url: job.url,
+      quality,
+      formatId: null,
+      token: job.token,
+      usedClient: null,
+      metaR,
+      trim,
+      silenceTrim,
+      allowDuplicate: job.allowDuplicate,
+    });
+    return queued.body;
   });
 
   res.status(202).json({
-    accepted: true,
-    client_token: token,
-    order: requestSeq,
-    title: metaR.meta?.title || null,
-    duration: Number(metaR.meta?.duration) || null,
-    thumbnail: pickThumbnail(metaR.meta) || null,
-    usedClient: metaR.usedClient || used_client || null,
+    accepted: results.filter((result) => result.accepted).length,
+    results,
+  });
+});
+
+// Scan the current list for repeats: the same video (or chapter) twice, or
+// different uploads of what looks like the same song.
+app.post("/api/find-duplicates", async (req, res) => {
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[duplicates] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+  const groups = findDuplicateGroups(ctx.playlist.items);
+  console.log("[duplicates] scanned", {
+    sessionId: ctx.id,
+    items: ctx.playlist.items.length,
+    groups: groups.length,
+  });
+  res.json({ groups });
+});
+
+// Local audio files (multipart, any field name). Each file is checked and
+// placed on its own, so one bad file doesn't sink the rest. Files that look
+// like a track already on the list are held unless ?allow_duplicate=1.
+app.post("/api/upload", async (req, res) => {
+  if (!String(req.headers["content-type"] || "").startsWith("multipart/form-data")) {
+    return res.status(400).json({ error: "Send the files as multipart/form-data" });
+  }
+
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[upload] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  let received;
+  try {
+    received = await receiveUploads(req, ctx.trackDir);
+  } catch (err) {
+    console.error("[upload] receive failed:", err?.message || err);
+    return res.status(400).json({ error: "Upload failed", message: String(err?.message || err) });
+  }
+  if (!received.length) return res.status(400).json({ error: "No files received" });
+
+  const allowDuplicate = ["1", "true"].includes(String(req.query.allow_duplicate || ""));
+  const results = [];
+  for (const upload of received) {
+    if (upload.error) {
+      if (upload.path) await safeUnlink(upload.path);
+      results.push({ filename: upload.filename, error: upload.error });
+      continue;
+    }
+    const outcome = await addUploadedFile(ctx, upload, { allowDuplicate });
+    if (!outcome.ok) {
+      await safeUnlink(upload.path);
+      const { ok: _ok, ...details } = outcome;
+      results.push({ filename: upload.filename, ...details });
+      continue;
+    }
+    const { item } = outcome;
+    console.log("[upload] added", {
+      sessionId: ctx.id,
+      itemId: item.id,
+      filename: upload.filename,
+      duration: item.duration,
+      sizeBytes: item.sizeBytes,
+      orderSeq: item.orderSeq,
+      disc: item.disc,
+      overflow: item.overflow,
+    });
+    results.push({ filename: upload.filename, id: item.id, title: item.title, disc: item.disc, overflow: item.overflow });
+  }
+  ctx.lastAccess = Date.now();
+  if (results.some((result) => result.id)) publishPlaylist(ctx, "uploaded");
+
+  res.status(results.some((result) => result.id) ? 201 : 400).json({
+    added: results.filter((result) => result.id).length,
+    results,
+    totals: ctx.playlist.discSummary(),
+  });
+});
+
+// Expand a playlist, mix or album link into its entries for the picker
+app.post("/api/playlist-entries", async (req, res) => {
+  let { url } = req.body || {};
+  url = canonicalizePlaylist(url);
+  if (!url || !/^https?:\/\//i.test(url)) return res.status(400).json({ error: "Invalid URL" });
+
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[playlist] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  console.log("[playlist] expanding", { sessionId: ctx.id, url });
+  try {
+    const playlist = await getPlaylistEntries(url);
+    if (!playlist.ok) {
+      return res.status(400).json({ error: "Failed to read playlist", detail: playlist.error, stderr: playlist.stderr });
+    }
+    if (!playlist.entries.length) return res.status(400).json({ error: "This playlist is empty" });
+
+    const importId = rememberPlaylistImport(ctx, { url, title: playlist.title, entries: playlist.entries });
+    console.log("[playlist] expanded", {
+      sessionId: ctx.id,
+      importId,
+      entries: playlist.entries.length,
+      truncated: playlist.truncated,
+    });
+    res.json({
+      importId,
+      id: playlist.id,
+      title: playlist.title,
+      channel: playlist.channel,
+      entries: playlist.entries,
+      truncated: playlist.truncated,
+      capacity: describeRemainingCapacity(ctx),
+    });
+  } catch (e) {
+    res.status(500).json({ error: "Playlist expansion crashed", message: String(e?.message || e) });
+  }
+});
+
+// Add the ticked entries of an expanded playlist, one add job per entry, in
+// playlist order. `client_tokens` optionally pairs a progress token with each entry.
+// Entries that repeat the list come back under `held` instead of being queued.
+app.post("/api/add-playlist", async (req, res) => {
+  const { import_id, entries, client_tokens, quality, trim_silence, allow_duplicate } = req.body || {};
+
+  let ctx;
+  try {
+    ctx = await getSessionContext(req);
+  } catch (err) {
+    console.error("[add] session error:", err?.message || err);
+    return res.status(500).json({ error: "Session error" });
+  }
+
+  const playlist = lookupPlaylistImport(ctx, import_id);
+  if (!playlist) return res.status(404).json({ error: "This import expired, please start it again" });
+
+  const wanted = new Set(Array.isArray(entries) ? entries.map(Number) : []);
+  const picked = playlist.entries.filter((entry) => wanted.has(entry.index));
+  if (!picked.length || picked.length !== wanted.size) {
+    return res.status(400).json({ error: "Invalid playlist selection" });
+  }
+  const unavailable = picked.find((entry) => !entry.available);
+  if (unavailable) {
+    return res.status(400).json({ error: `${unavailable.title} is not available`, entry: unavailable.index });
+  }
+
+  let silenceTrim = null;
+  if (trim_silence !== undefined) {
+    const override = parseSilenceOverride(trim_silence);
+    if (!override.ok) return res.status(400).json({ error: "trim_silence must be true, false or null" });
+    silenceTrim = override.value;
+  }
+
+  const tokens = Array.isArray(client_tokens) ? client_tokens : [];
+  const tokenFor = (position) =>
+    typeof tokens[position] === "string" && tokens[position].trim()
+      ? tokens[position].trim().slice(0, 80)
+      : `tmp_${Date.now()}_${nanoid(6)}`;
+
+  const held = [];
+  const queued = [];
+  for (const [position, entry] of picked.entries()) {
+    const token = tokenFor(position);
+    const duplicate = allow_duplicate
+      ? null
+      : heldDuplicate(ctx, videoDuplicateCandidate(ctx, entry), {
+          title: entry.title,
+          logMeta: { clientToken: token, importId: import_id },
+        });
+    if (duplicate) held.push({ index: entry.index, url: entry.url, ...duplicate, client_token: token });
+    else queued.push({ ...entry, quality, token });
+  }
+
+  const plan = planTrackPlacements(ctx, queued);
+  if (!plan.ok) {
+    console.log("[add] rejected: disc full", {
+      sessionId: ctx.id,
+      importId: import_id,
+      code: plan.code,
+      disc: plan.disc,
+      entry: plan.track?.index,
+      message: plan.message,
+    });
+    const { ok: _ok, track, ...details } = plan;
+    return res.status(409).json({
+      error: "Not enough room on the disc",
+      ...details,
+      message: `${track.title}: ${plan.message}`,
+      entry: track.index,
+    });
+  }
+
+  const playlistStore = ctx.playlist;
+  const tracks = [];
+  for (const entry of plan.placed) {
+    const { token } = entry;
+    const requestSeq = playlistStore.issueSeq();
+    // The flat entry carries everything the job reads from full metadata
+    const meta = {
+      id: entry.id,
+      title: entry.title,
+      duration: entry.duration,
+      thumbnail: entry.thumbnail,
+      channel: entry.channel,
+      webpage_url: entry.url,
+    };
+    scheduleAddJob(ctx, {
+      url: entry.url,
+      quality,
+      formatId: null,
+      clientToken: token,
+      usedClient: null,
+      probeClient: true,
+      requestSeq,
+      meta,
+      silenceTrim,
+      disc: entry.disc,
+      overflow: entry.overflow,
+    });
+    tracks.push({
+      index: entry.index,
+      client_token: token,
+      order: requestSeq,
+      disc: entry.disc,
+      overflow: entry.overflow,
+      title: entry.title,
+      duration: entry.duration,
+      thumbnail: entry.thumbnail,
+    });
+  }
+
+  console.log("[add] scheduled playlist", {
+    sessionId: ctx.id,
+    importId: import_id,
+    entries: tracks.length,
+    held: held.length,
+    discs: Array.from(new Set(tracks.map((track) => track.disc))),
   });
+
+  res.status(202).json({ accepted: tracks.length > 0, title: playlist.title, tracks, held });
 });
 
 // One-off conversion endpoint (MP3 or WAV) that prepares a download link
@@ -1786,10 +6325,18 @@ app.post("/api/convert", async (req, res) => {
 
     let outPath = null;
     try {
+      // A single file has no album to balance against, so album mode acts per track
+      const loudnessSettings = ctx.playlist.loudness;
+      let gainDb = 0;
+      if (loudnessSettings.mode !== "off") {
+        const measured = await measureLoudness(src);
+        gainDb = loudnessGains([{ loudness: measured }], { ...loudnessSettings, mode: "track" }).values().next().value || 0;
+        console.log("[convert] loudness", { sessionId: ctx.id, ...measured, gainDb });
+      }
       if (tgt === "mp3") {
-        outPath = await transcodeToMp3V0(src, ctx.scratchDir);      // VBR V0 (best from lossy source)
+        outPath = await transcodeToMp3V0(src, ctx.scratchDir, { gainDb });      // VBR V0 (best from lossy source)
       } else {
-        outPath = await transcodeToWav4416(src, ctx.scratchDir);    // 44.1kHz/16-bit (CD)
+        outPath = await transcodeToWav4416(src, ctx.scratchDir, { gainDb });    // 44.1kHz/16-bit (CD)
       }
     } finally {
       try { await fsp.unlink(src); } catch {}
@@ -1888,10 +6435,20 @@ app.get("/thumb/:id", async (req, res) => {
   }
 });
 
+await rehydrateSessions();
+
+// Write out pending session saves before exiting so the last edits survive.
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    console.log(`[session] ${signal} received, saving sessions`);
+    flushSessionSaves().finally(() => process.exit(0));
+  });
+}
 
 app.listen(config.port, () => {
   console.log(`▶ Listening on http://localhost:${config.port}`);
   console.log(`FFmpeg: ${FF.bin || "NOT FOUND"}`);
+  console.log(`ffprobe: ${FP.bin || "NOT FOUND"}`);
   console.log(`yt-dlp: ${YD.bin || "NOT FOUND"} ${YD.mode ? `(mode: ${YD.mode})` : ""}`);
   console.log(`zip: ${ZIP.bin || "NOT FOUND"}`);
 });
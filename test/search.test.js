@@ -0,0 +1,240 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fsp from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseSearchQuery, scoreSearchCandidate, rankSearchResults, searchWords } from "../search.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixtures = path.join(__dirname, "fixtures");
+
+// Scores are rounded to three places; compare differences the same way
+function assertGap(higher, lower, gap) {
+  assert.equal(Math.round((higher - lower) * 1000) / 1000, gap);
+}
+
+function candidate(index, title, channel, duration, extra = {}) {
+  return { index, id: `vid${index}`, title, channel, duration, available: true, ...extra };
+}
+
+describe("parseSearchQuery", () => {
+  test("keeps plain text as the query", () => {
+    assert.deepEqual(parseSearchQuery("  Band - Song  "), { query: "Band - Song", duration: null });
+  });
+
+  test("takes a trailing clock as the expected length", () => {
+    assert.deepEqual(parseSearchQuery("Band - Song 3:45"), { query: "Band - Song", duration: 225 });
+    assert.deepEqual(parseSearchQuery("Band - Epic (1:02:03)"), { query: "Band - Epic", duration: 3723 });
+  });
+
+  test("leaves a clock that is part of the title alone", () => {
+    assert.deepEqual(parseSearchQuery("3:45"), { query: "3:45", duration: null });
+  });
+
+  test("caps the query length", () => {
+    assert.equal(parseSearchQuery("a".repeat(500)).query.length, 200);
+  });
+
+  test("treats missing input as empty", () => {
+    assert.deepEqual(parseSearchQuery(undefined), { query: "", duration: null });
+  });
+});
+
+describe("scoreSearchCandidate", () => {
+  const words = searchWords("Band - Song");
+
+  test("prefers Topic channels and official audio over other uploads", () => {
+    const plain = scoreSearchCandidate(candidate(0, "Band - Song", "Band", 240), words, null);
+    const topic = scoreSearchCandidate(candidate(1, "Song", "Band - Topic", 240), words, null);
+    const audio = scoreSearchCandidate(candidate(2, "Band - Song (Official Audio)", "Band", 240), words, null);
+    const video = scoreSearchCandidate(candidate(3, "Band - Song (Official Video)", "Band", 240), words, null);
+    assert.ok(topic > plain);
+    assert.ok(audio > video);
+    assert.ok(video > plain);
+  });
+
+  test("counts the Topic channel's artist as a matched word", () => {
+    const topic = scoreSearchCandidate(candidate(0, "Song", "Band - Topic", 240), words, null);
+    const stray = scoreSearchCandidate(candidate(1, "Song", "Someone - Topic", 240), words, null);
+    assertGap(topic, stray, 0.5);
+  });
+
+  test("sinks detour uploads unless the query asks for them", () => {
+    const studio = scoreSearchCandidate(candidate(0, "Band - Song", "Band", 240), words, null);
+    const live = scoreSearchCandidate(candidate(1, "Band - Song (Live)", "Band", 240), words, null);
+    const liveAndCover = scoreSearchCandidate(candidate(2, "Band - Song live cover", "Band", 240), words, null);
+    assertGap(studio, live, 0.3);
+    assertGap(studio, liveAndCover, 0.6);
+
+    const wantLive = searchWords("Band - Song live");
+    assert.ok(
+      scoreSearchCandidate(candidate(1, "Band - Song (Live)", "Band", 240), wantLive, null) >
+        scoreSearchCandidate(candidate(0, "Band - Song", "Band", 240), wantLive, null)
+    );
+  });
+
+  test("rewards a length close to the expected one", () => {
+    const exact = scoreSearchCandidate(candidate(0, "Band - Song", "Band", 225), words, 225);
+    const near = scoreSearchCandidate(candidate(1, "Band - Song", "Band", 240), words, 225);
+    const far = scoreSearchCandidate(candidate(2, "Band - Song", "Band", 400), words, 225);
+    const farther = scoreSearchCandidate(candidate(3, "Band - Song", "Band", 900), words, 225);
+    assert.ok(exact > near);
+    assert.ok(near > far);
+    // The penalty stops growing a minute out
+    assert.equal(far, farther);
+  });
+
+  test("penalizes very long uploads when no length was given", () => {
+    const song = scoreSearchCandidate(candidate(0, "Band - Song", "Band", 240), words, null);
+    const loop = scoreSearchCandidate(candidate(1, "Band - Song", "Band", 3600), words, null);
+    assertGap(song, loop, 0.3);
+  });
+});
+
+describe("rankSearchResults", () => {
+  test("orders by score and drops unavailable entries", () => {
+    const ranked = rankSearchResults(
+      [
+        candidate(0, "Band - Song (Live at Wembley)", "Band", 260),
+        candidate(1, "Band - Song (Official Video)", "BandVEVO", 250),
+        candidate(2, "Song", "Band - Topic", 241),
+        candidate(3, "Band - Song (Official Audio)", "Band", 242),
+        candidate(4, "[Private video]", null, 0, { available: false }),
+      ],
+      { query: "Band - Song", duration: null }
+    );
+    assert.deepEqual(
+      ranked.map((entry) => entry.index),
+      [2, 3, 1, 0]
+    );
+    assert.ok(ranked.every((entry) => typeof entry.score === "number"));
+  });
+
+  test("keeps the search's own order on ties", () => {
+    const ranked = rankSearchResults(
+      [
+        candidate(0, "Band - Song", "Band", 240),
+        candidate(1, "Band - Song", "Band", 240),
+        candidate(2, "Band - Song", "Band", 240),
+      ],
+      { query: "Band - Song", duration: null }
+    );
+    assert.deepEqual(
+      ranked.map((entry) => entry.index),
+      [0, 1, 2]
+    );
+  });
+
+  test("lets the expected length outweigh the uploader", () => {
+    const ranked = rankSearchResults(
+      [
+        candidate(0, "Song", "Band - Topic", 300),
+        candidate(1, "Band - Song", "Band", 180),
+      ],
+      { query: "Band - Song", duration: 180 }
+    );
+    assert.deepEqual(
+      ranked.map((entry) => entry.index),
+      [1, 0]
+    );
+  });
+});
+
+// The real server, with a yt-dlp stand-in that prints canned search results.
+describe("POST /api/search", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+
+  const freePort = () =>
+    new Promise((resolve, reject) => {
+      const probe = net.createServer();
+      probe.once("error", reject);
+      probe.listen(0, "127.0.0.1", () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+
+  const search = (body) =>
+    fetch(`${baseUrl}/api/search`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  before(async () => {
+    dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), "cd-maker-test-"));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        YTDLP_PATH: path.join(fixtures, "yt-dlp"),
+        FFMPEG_PATH: path.join(fixtures, "ffmpeg"),
+        TMP_DIR: path.join(dataDir, "tmp"),
+        DOWNLOAD_DIR: path.join(dataDir, "downloads"),
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    server.stderr.resume();
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("server did not start")), 20_000);
+      server.stdout.on("data", (chunk) => {
+        if (String(chunk).includes("Listening on")) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      server.once("exit", (code) => {
+        clearTimeout(timer);
+        reject(new Error(`server exited with ${code}`));
+      });
+    });
+  });
+
+  after(async () => {
+    if (server && server.exitCode === null) {
+      const exited = new Promise((resolve) => server.once("exit", resolve));
+      server.kill("SIGTERM");
+      await exited;
+    }
+    if (dataDir) await fsp.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test("returns ranked candidates with their details", async () => {
+    const res = await search({ query: "Band - Song", limit: 3 });
+    assert.equal(res.status, 200);
+    const data = await res.json();
+    assert.equal(data.query, "Band - Song");
+    assert.equal(data.duration, null);
+    assert.deepEqual(
+      data.results.map((result) => result.id),
+      ["topic000001", "audio000001", "video000001"]
+    );
+    assert.deepEqual(Object.keys(data.results[0]).sort(), ["channel", "duration", "id", "score", "thumbnail", "title", "url"]);
+    assert.equal(data.results[0].channel, "Band - Topic");
+    assert.equal(data.results[0].duration, 241);
+    assert.equal(data.results[0].url, "https://www.youtube.com/watch?v=topic000001");
+    assert.equal(data.results[0].thumbnail, "https://i.ytimg.com/vi/topic000001/hqdefault.jpg");
+  });
+
+  test("passes the expected length on to the ranking", async () => {
+    const data = await (await search({ query: "Band - Song 4:22" })).json();
+    assert.equal(data.query, "Band - Song");
+    assert.equal(data.duration, 262);
+    assert.equal(data.results.length, 5);
+    assert.ok(!data.results.some((result) => result.id === "private0001"));
+  });
+
+  test("rejects an empty query", async () => {
+    const res = await search({ query: "   " });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: "Missing search text" });
+  });
+});